@@ -0,0 +1,89 @@
+// scripts/og-image.js
+// Link-preview images (Open Graph / Twitter cards) for the prerendered pages:
+// a 1200×630 SVG card in the site's dark palette, rasterized to PNG with
+// resvg. Text uses the system sans-serif fonts (DejaVu on the CI runner).
+//
+// A preview is { title, subtitle, chips[], footer }; see src/lib/seo.js.
+import { Resvg } from "@resvg/resvg-js";
+
+export const WIDTH = 1200;
+export const HEIGHT = 630;
+const PAD = 80;
+const FONT = "Inter, DejaVu Sans, Arial, sans-serif";
+
+const escapeXml = (s) => s.replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// No text measuring in SVG: estimate glyph widths (~0.58em to wrap, a roomier 0.62em to size chips)
+const charsPerLine = (fontSize, width = WIDTH - 2 * PAD) => Math.floor(width / (fontSize * 0.58));
+const textWidth = (text, fontSize) => text.length * fontSize * 0.62;
+
+/** Greedy word wrap into at most `maxLines` lines, ending in "…" when cut short. */
+export function wrapText(text, perLine, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= perLine) {
+      line = next;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, perLine - 1).replace(/\s+\S*$/, "")}…`;
+  return kept;
+}
+
+const textBlock = (lines, { x, y, size, lineHeight, fill, weight = 400 }) =>
+  lines
+    .map(
+      (l, i) =>
+        `<text x="${x}" y="${y + i * lineHeight}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" fill="${fill}">${escapeXml(l)}</text>`,
+    )
+    .join("\n");
+
+/** The preview card as an SVG string. */
+export function previewSvg({ title, subtitle = "", chips = [], footer = "" }) {
+  const titleLines = wrapText(title, charsPerLine(64), 2);
+  const subtitleY = 200 + titleLines.length * 76 + 20;
+  const subtitleLines = wrapText(subtitle, charsPerLine(30), 3);
+
+  let chipX = PAD;
+  const chipEls = [];
+  for (const chip of chips) {
+    const w = textWidth(chip, 22) + 36;
+    if (chipX + w > WIDTH - PAD) break;
+    chipEls.push(
+      `<rect x="${chipX}" y="510" width="${w}" height="44" rx="22" fill="#1e293b" stroke="#334155"/>` +
+        `<text x="${chipX + 18}" y="540" font-family="${FONT}" font-size="22" fill="#cbd5e1">${escapeXml(chip)}</text>`,
+    );
+    chipX += w + 12;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+<defs>
+  <radialGradient id="cmu" cx="0.85" cy="0.15" r="0.5"><stop offset="0" stop-color="#ef4444" stop-opacity="0.35"/><stop offset="1" stop-color="#ef4444" stop-opacity="0"/></radialGradient>
+  <radialGradient id="gt" cx="0.95" cy="0.9" r="0.45"><stop offset="0" stop-color="#f59e0b" stop-opacity="0.25"/><stop offset="1" stop-color="#f59e0b" stop-opacity="0"/></radialGradient>
+</defs>
+<rect width="100%" height="100%" fill="#020617"/>
+<rect width="100%" height="100%" fill="url(#cmu)"/>
+<rect width="100%" height="100%" fill="url(#gt)"/>
+<rect x="0" y="${HEIGHT - 8}" width="${WIDTH}" height="8" fill="#7dd3fc"/>
+${textBlock([footer], { x: PAD, y: 110, size: 26, lineHeight: 0, fill: "#7dd3fc", weight: 600 })}
+${textBlock(titleLines, { x: PAD, y: 200, size: 64, lineHeight: 76, fill: "#f1f5f9", weight: 800 })}
+${textBlock(subtitleLines, { x: PAD, y: subtitleY, size: 30, lineHeight: 42, fill: "#cbd5e1" })}
+${chipEls.join("\n")}
+</svg>`;
+}
+
+/** PNG bytes for a preview. */
+export function renderPreviewPng(preview) {
+  const resvg = new Resvg(previewSvg(preview), {
+    fitTo: { mode: "width", value: WIDTH },
+    font: { loadSystemFonts: true, defaultFontFamily: "DejaVu Sans" },
+  });
+  return resvg.render().asPng();
+}
@@ -0,0 +1,122 @@
+// scripts/posts.js
+// Compiles the blog: every src/content/posts/<slug>.md becomes a post with
+// its frontmatter checked against postSchema (src/content/schema.js), the
+// Markdown rendered to HTML, code blocks syntax-highlighted with
+// highlight.js and a reading-time estimate. All of it happens at build time
+// (scripts/vite-plugin-posts.js), so the app ships plain HTML and no
+// Markdown or highlighting code.
+//
+// No posts ship yet, and with none the blog, its nav link and feed.xml are
+// left out. To write one, create src/content/posts/<slug>.md (the file name
+// is the URL slug) starting with a frontmatter block, then Markdown:
+//
+//   ---
+//   title: The post title
+//   date: 2025-01-01
+//   tags: [Tag, Another tag]
+//   project: secure-risc-v-emulation      (optional: a portfolio.json project slug)
+//   summary: One or two sentences for the index, feed and link previews.
+//   ---
+//
+//   Fenced code blocks with a language (```c, ```python) are highlighted.
+import { readdirSync, readFileSync } from "node:fs";
+import { basename, dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Marked } from "marked";
+import hljs from "highlight.js";
+import { ContentError, postSchema } from "../src/content/schema.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+export const POSTS_DIR = resolve(ROOT, "src/content/posts");
+// Compiled instead of POSTS_DIR under Vitest (scripts/vite-plugin-posts.js)
+export const FIXTURE_POSTS_DIR = resolve(ROOT, "src/test/fixtures/posts");
+
+const WORDS_PER_MINUTE = 200;
+const SLUG = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Split "---\nkey: value\n---\nbody" into { data, body }. Values are plain
+ * strings, or string lists written as [a, b, c]; surrounding quotes are dropped.
+ */
+export function parseFrontmatter(source) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  if (!m) return { data: {}, body: source };
+  const unquote = (s) => s.trim().replace(/^(["'])(.*)\1$/, "$2");
+  const data = {};
+  m[1].split(/\r?\n/).forEach((line) => {
+    const kv = /^(\w+):\s*(.*)$/.exec(line);
+    if (!kv) return;
+    const [, key, raw] = kv;
+    const list = /^\[(.*)\]$/.exec(raw.trim());
+    data[key] = list ? list[1].split(",").map(unquote).filter(Boolean) : unquote(raw);
+  });
+  return { data, body: source.slice(m[0].length) };
+}
+
+/** Whole minutes to read `markdown` at 200 words a minute (at least 1). */
+export function readingMinutes(markdown) {
+  const words = markdown.match(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu)?.length ?? 0;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+const escapeHtml = (s) => s.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    // The frontmatter title is the page's h2, so a post's "##" sections are h3s (never above h3)
+    heading({ tokens, depth }) {
+      const level = Math.min(Math.max(depth + 1, 3), 6);
+      return `<h${level}>${this.parser.parseInline(tokens)}</h${level}>\n`;
+    },
+    code({ text, lang }) {
+      const language = (lang || "").split(/\s/)[0];
+      if (!hljs.getLanguage(language)) return `<pre><code class="hljs">${escapeHtml(text)}</code></pre>\n`;
+      const { value } = hljs.highlight(text, { language, ignoreIllegals: true });
+      return `<pre><code class="hljs language-${language}">${value}</code></pre>\n`;
+    },
+  },
+});
+
+/** Post Markdown → HTML, with highlighted code blocks. */
+export const renderMarkdown = (markdown) => marked.parse(markdown);
+
+/**
+ * One post from its slug and file contents.
+ * @param {{ projects?: string[] }} [opts]  known project slugs, to check `project` against
+ * @throws {ContentError} when the frontmatter is invalid
+ */
+export function compilePost(slug, source, { projects } = {}) {
+  const { data, body } = parseFrontmatter(source);
+  const path = `posts/${slug}.md`;
+  const errors = SLUG.test(slug) ? [] : [`${path}: file name must be a kebab-case slug`];
+  errors.push(...postSchema(data, "frontmatter").map((e) => `${path}: ${e}`));
+  if (data.project && projects && !projects.includes(data.project)) {
+    errors.push(`${path}: frontmatter.project: no project with slug "${data.project}"`);
+  }
+  if (errors.length) throw new ContentError(errors, "blog post");
+  return {
+    slug,
+    title: data.title,
+    date: data.date,
+    tags: data.tags,
+    project: data.project ?? null,
+    summary: data.summary,
+    readingMinutes: readingMinutes(body),
+    html: renderMarkdown(body),
+  };
+}
+
+/** Every post in `dir`, newest first (ties by title). */
+export function loadPosts({ dir = POSTS_DIR, projects } = {}) {
+  let files;
+  try {
+    files = readdirSync(dir).filter((f) => f.endsWith(".md"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return files
+    .map((f) => compilePost(basename(f, ".md"), readFileSync(resolve(dir, f), "utf8"), { projects }))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+}
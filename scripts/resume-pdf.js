@@ -0,0 +1,151 @@
+// scripts/resume-pdf.js
+// Renders the Resume Mode content (src/content/portfolio.json) into a
+// one-page, Letter-size PDF with pdfkit. Pure JS, no network, no browser.
+//
+//   node scripts/resume-pdf.js [--for=<variant>] [out.pdf]
+//     (default: dist/resume.pdf, or dist/resume-<variant>.pdf)
+//
+// The Vite build emits the same files via scripts/vite-plugin-resume.js.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import PDFDocument from "pdfkit";
+import { assertPortfolio } from "../src/content/schema.js";
+import { groupSkills } from "../src/lib/skills.js";
+import { formatTimeRange } from "../src/lib/i18n.js";
+import { applyVariant, resumeFile } from "../src/lib/variants.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+export const CONTENT_PATH = resolve(ROOT, "src/content/portfolio.json");
+
+const MARGIN = 40;
+const INK = "#0f172a"; // slate-900, same as Resume Mode
+const MUTED = "#334155"; // slate-700
+const FAINT = "#64748b"; // slate-500
+const RULE = "#cbd5e1"; // slate-300
+
+// The built-in PDF fonts are WinAnsi-only; map the few symbols the content
+// uses and drop anything else outside Latin-1 so glyphs never render as junk.
+const WIN_ANSI_EXTRA = "•–—‘’“”…€™";
+const SYMBOLS = { "↑ ": "+", "↓ ": "-", "↑": "+", "↓": "-", "→": "->", "←": "<-" };
+export function toWinAnsi(text) {
+  let out = text;
+  for (const [from, to] of Object.entries(SYMBOLS)) out = out.split(from).join(to);
+  return [...out].filter((ch) => ch.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRA.includes(ch)).join("");
+}
+
+/* =============================
+   🖨️ Layout (one pass per scale factor)
+   ============================= */
+function layout(doc, data, s) {
+  const { profile, experience, projects, skills } = data;
+  const width = doc.page.width - 2 * MARGIN;
+  const t = (str) => toWinAnsi(str);
+
+  const heading = (title) => {
+    doc.moveDown(0.6 * s);
+    doc.font("Helvetica-Bold").fontSize(11 * s).fillColor(INK).text(title.toUpperCase(), MARGIN, doc.y, {
+      width,
+      characterSpacing: 0.8,
+    });
+    const y = doc.y + 2 * s;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(0.6).strokeColor(RULE).stroke();
+    doc.y = y + 4 * s;
+  };
+
+  // Left text with a right-aligned note on the same line (role/time, title/metrics)
+  const row = (left, right, { font = "Helvetica-Bold", size = 10 } = {}) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(8.5 * s);
+    const rightW = right ? doc.widthOfString(t(right)) + 6 : 0;
+    if (right) doc.fillColor(FAINT).text(t(right), MARGIN, y + 1 * s, { width, align: "right" });
+    doc.font(font).fontSize(size * s).fillColor(INK).text(t(left), MARGIN, y, { width: width - rightW });
+  };
+
+  const bullets = (items) => {
+    doc.font("Helvetica").fontSize(9 * s).fillColor(MUTED);
+    items.forEach((it) => {
+      doc.text(`•  ${t(it)}`, MARGIN + 8, doc.y, { width: width - 8, indent: -8, paragraphGap: 1 * s });
+    });
+  };
+
+  // Header
+  doc.font("Helvetica-Bold").fontSize(22 * s).fillColor(INK).text(t(profile.name), MARGIN, MARGIN, { width });
+  doc.font("Helvetica").fontSize(10 * s).fillColor(MUTED).text(t(profile.tagline), { width });
+  doc.moveDown(0.2 * s);
+  doc.fontSize(9 * s).fillColor(FAINT);
+  doc.text(profile.email, { continued: true, link: `mailto:${profile.email}` });
+  doc.text("   ·   ", { continued: true, link: null });
+  doc.text(profile.github.replace(/^https?:\/\//, ""), { link: profile.github });
+
+  heading("Experience");
+  experience.forEach((e, i) => {
+    if (i) doc.moveDown(0.35 * s);
+    row(`${e.role} • ${e.org}`, formatTimeRange(e, "en", "Present"));
+    bullets(e.pts);
+  });
+
+  heading("Projects");
+  projects.forEach((p, i) => {
+    if (i) doc.moveDown(0.35 * s);
+    row(p.title, p.metrics.join("  ·  "));
+    doc.font("Helvetica").fontSize(9 * s).fillColor(MUTED).text(t(p.blurb), MARGIN, doc.y, { width });
+    doc.fontSize(8 * s).fillColor(FAINT).text(t(p.tags.join(" · ")), { width });
+  });
+
+  heading("Skills");
+  groupSkills(skills).forEach((g) => {
+    doc.font("Helvetica-Bold").fontSize(9 * s).fillColor(INK).text(`${g.label}: `, MARGIN, doc.y, { width, continued: true });
+    doc.font("Helvetica").fillColor(MUTED).text(t(g.skills.map((sk) => sk.name).join(" · ")));
+  });
+}
+
+const render = (data, scale) =>
+  new Promise((done, fail) => {
+    const doc = new PDFDocument({
+      size: "LETTER",
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: `${data.profile.name} — Resume`, Author: data.profile.name },
+    });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("error", fail);
+    doc.on("end", () => done({ pdf: Buffer.concat(chunks), pages }));
+    layout(doc, data, scale);
+    const pages = doc.bufferedPageRange().count;
+    doc.end();
+  });
+
+/**
+ * Render portfolio content (as an audience variant presents it, if given) to a
+ * PDF Buffer, shrinking type until it fits one page.
+ * Throws if the content cannot fit even at the smallest scale.
+ */
+export async function renderResumePdf(data, variant = null) {
+  assertPortfolio(data);
+  const shown = applyVariant(data, variant);
+  for (let scale = 1; scale >= 0.7; scale -= 0.05) {
+    const { pdf, pages } = await render(shown, scale);
+    if (pages === 1) return pdf;
+  }
+  throw new Error(`${resumeFile(variant)}: content does not fit on one page even at 70% type size; trim portfolio.json`);
+}
+
+export async function loadContent() {
+  return JSON.parse(await readFile(CONTENT_PATH, "utf8"));
+}
+
+// CLI
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const id = args.find((a) => a.startsWith("--for="))?.slice("--for=".length);
+  const content = await loadContent();
+  const variant = id ? content.variants?.find((v) => v.id === id) : null;
+  if (id && !variant) throw new Error(`no variant "${id}" (have: ${(content.variants || []).map((v) => v.id).join(", ")})`);
+  const out = resolve(args.find((a) => !a.startsWith("--")) || resolve(ROOT, "dist", resumeFile(variant)));
+  const pdf = await renderResumePdf(content, variant);
+  await mkdir(dirname(out), { recursive: true });
+  await writeFile(out, pdf);
+  console.log(`${resumeFile(variant)} → ${out} (${(pdf.length / 1024).toFixed(1)} kB)`);
+}
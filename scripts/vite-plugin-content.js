@@ -0,0 +1,75 @@
+// scripts/vite-plugin-content.js
+// Validates src/content/portfolio.json against src/content/schema.js.
+// Runs on every build and on every dev-server reload of the JSON, so bad
+// content (missing metrics, malformed time ranges, duplicate skills…) fails
+// loudly instead of rendering a half-broken page. Softer problems (skills
+// with no supporting project/experience) are reported as build warnings.
+//
+// Locale bundles (src/content/locales/<code>.json) get the same treatment:
+// the translated content must still pass the schema, and every English
+// string a locale doesn't translate is listed as a warning (the app falls
+// back to English for those).
+import { readFileSync } from "node:fs";
+import { assertPortfolio, auditPortfolio } from "../src/content/schema.js";
+import { DEFAULT_LOCALE, localizeContent, missingTranslations } from "../src/lib/i18n.js";
+
+const CONTENT_FILE = /src\/content\/portfolio\.json$/;
+const LOCALE_FILE = /src\/content\/locales\/([\w-]+)\.json$/;
+const CONTENT_PATH = new URL("../src/content/portfolio.json", import.meta.url);
+const EN_PATH = new URL(`../src/content/locales/${DEFAULT_LOCALE}.json`, import.meta.url);
+
+const readJson = (path) => JSON.parse(readFileSync(path, "utf8"));
+
+export default function contentSchema() {
+  const parse = (ctx, code, name) => {
+    try {
+      return JSON.parse(code);
+    } catch (err) {
+      ctx.error(`${name} is not valid JSON: ${err.message}`);
+    }
+  };
+
+  return {
+    name: "portfolio-content-schema",
+    enforce: "pre",
+    transform(code, id) {
+      const file = id.split("?")[0];
+
+      if (CONTENT_FILE.test(file)) {
+        const data = parse(this, code, "portfolio.json");
+        try {
+          assertPortfolio(data);
+        } catch (err) {
+          this.error(err.message);
+        }
+        auditPortfolio(data).forEach((msg) => this.warn(msg));
+        return null;
+      }
+
+      const locale = LOCALE_FILE.exec(file)?.[1];
+      if (!locale) return null;
+      const bundle = parse(this, code, `locales/${locale}.json`);
+      if (typeof bundle.label !== "string" || typeof bundle.ui !== "object") {
+        this.error(`needs a "label" string and a "ui" object`);
+      }
+      if (locale === DEFAULT_LOCALE) return null;
+
+      this.addWatchFile(CONTENT_PATH.pathname);
+      this.addWatchFile(EN_PATH.pathname);
+      const base = readJson(CONTENT_PATH);
+      const baseUi = readJson(EN_PATH).ui;
+      try {
+        assertPortfolio(localizeContent(base, bundle.content));
+      } catch (err) {
+        this.error(err.message);
+      }
+      const unknown = Object.keys(bundle.ui).filter((k) => !(k in baseUi));
+      if (unknown.length) this.warn(`unknown UI key(s) ${unknown.join(", ")}`);
+      const missing = missingTranslations(base, baseUi, bundle);
+      if (missing.length) {
+        this.warn(`${missing.length} missing translation(s), English is shown instead: ${missing.join(", ")}`);
+      }
+      return null;
+    },
+  };
+}
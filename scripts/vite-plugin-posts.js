@@ -0,0 +1,43 @@
+// scripts/vite-plugin-posts.js
+// Serves the compiled blog (scripts/posts.js) to the app as `virtual:posts`:
+// every src/content/posts/*.md, newest first, as { slug, title, date, tags,
+// project, summary, readingMinutes, html }. Bad frontmatter (or a `project`
+// that isn't a portfolio.json slug) fails the build like bad content does.
+// In dev, adding, editing or deleting a post reloads the page. Tests compile
+// the fixtures in src/test/fixtures/posts instead, so they don't change as
+// real posts are written.
+import { CONTENT_PATH, loadContent } from "./resume-pdf.js";
+import { FIXTURE_POSTS_DIR, POSTS_DIR, loadPosts } from "./posts.js";
+
+const VIRTUAL_ID = "virtual:posts";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+export default function posts() {
+  return {
+    name: "portfolio-posts",
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+      this.addWatchFile(CONTENT_PATH);
+      const content = await loadContent();
+      try {
+        const dir = process.env.VITEST ? FIXTURE_POSTS_DIR : POSTS_DIR;
+        return `export default ${JSON.stringify(loadPosts({ dir, projects: content.projects.map((p) => p.slug) }))};`;
+      } catch (err) {
+        this.error(err.message);
+      }
+    },
+    configureServer(server) {
+      server.watcher.add(POSTS_DIR);
+      const reload = (file) => {
+        if (!file.startsWith(POSTS_DIR) || !file.endsWith(".md")) return;
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        server.ws.send({ type: "full-reload" });
+      };
+      ["add", "change", "unlink"].forEach((event) => server.watcher.on(event, reload));
+    },
+  };
+}
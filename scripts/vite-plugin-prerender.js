@@ -0,0 +1,122 @@
+// scripts/vite-plugin-prerender.js
+// After the client build, renders every page (home, one per project, the
+// blog index and posts, the 404 fallback) to static HTML so crawlers and
+// link previews see content:
+// the app markup from src/entry-server.jsx, plus per-page title,
+// description, canonical URL, Open Graph / Twitter tags, JSON-LD and a
+// generated preview image (scripts/og-image.js). Also writes sitemap.xml,
+// robots.txt and the blog's Atom feed (feed.xml, linked from every page's
+// head) under the base. Page data comes from src/lib/seo.js.
+//
+// `origin` is where the site is served from; the base is appended to it.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { createServer } from "vite";
+import { loadContent } from "./resume-pdf.js";
+import { renderPreviewPng } from "./og-image.js";
+import { loadPosts } from "./posts.js";
+import { atomFeed, pageUrl, robotsTxt, sitePages, sitemapXml } from "../src/lib/seo.js";
+
+const EN_PATH = new URL("../src/content/locales/en.json", import.meta.url);
+
+const escapeAttr = (s) => s.replace(/[&"<>]/g, (c) => ({ "&": "&amp;", '"': "&quot;", "<": "&lt;", ">": "&gt;" })[c]);
+
+function headTags(page, siteUrl, siteName, feedTitle) {
+  const url = pageUrl(siteUrl, page.path);
+  const image = pageUrl(siteUrl, `/${page.image}`);
+  const meta = (attr, key, value) => `<meta ${attr}="${key}" content="${escapeAttr(value)}" />`;
+  const tags = [
+    page.indexable ? `<link rel="canonical" href="${url}" />` : meta("name", "robots", "noindex"),
+    meta("property", "og:type", page.type),
+    meta("property", "og:site_name", siteName),
+    meta("property", "og:title", page.title),
+    meta("property", "og:description", page.description),
+    meta("property", "og:image", image),
+    meta("property", "og:image:width", "1200"),
+    meta("property", "og:image:height", "630"),
+    meta("name", "twitter:card", "summary_large_image"),
+    meta("name", "twitter:title", page.title),
+    meta("name", "twitter:description", page.description),
+    meta("name", "twitter:image", image),
+  ];
+  if (page.indexable) tags.splice(2, 0, meta("property", "og:url", url));
+  if (feedTitle) {
+    tags.push(`<link rel="alternate" type="application/atom+xml" title="${escapeAttr(feedTitle)}" href="${pageUrl(siteUrl, "/feed.xml")}" />`);
+  }
+  if (page.jsonLd) {
+    // "<" escaped so content can never close the script element
+    tags.push(`<script type="application/ld+json">${JSON.stringify(page.jsonLd).replace(/</g, "\\u003c")}</script>`);
+  }
+  return tags.map((t) => `    ${t}\n`).join("");
+}
+
+/**
+ * `feedTitle` (optional) adds the Atom feed link. Every replacement is a
+ * function, so a "$&" or "$1" in page content or a title is kept as written.
+ */
+export function injectPage(template, page, { html, siteUrl, siteName, feedTitle }) {
+  const out = template
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeAttr(page.title)}</title>`)
+    .replace(/<meta name="description"[^>]*>/, () => `<meta name="description" content="${escapeAttr(page.description)}">`)
+    .replace(/ *<\/head>/, (end) => `${headTags(page, siteUrl, siteName, feedTitle)}${end}`)
+    .replace('<div id="root"></div>', () => `<div id="root">${html}</div>`);
+  if (!out.includes(html)) throw new Error('index.html needs an empty <div id="root"></div> to prerender into');
+  return out;
+}
+
+export default function prerender({ origin }) {
+  let config;
+  return {
+    name: "portfolio-prerender",
+    apply: "build",
+    configResolved(resolved) {
+      config = resolved;
+    },
+    async closeBundle() {
+      if (config.build.ssr) return;
+      const outDir = resolve(config.root, config.build.outDir);
+      const siteUrl = new URL(config.base, origin).href;
+      const content = await loadContent();
+      const ui = JSON.parse(await readFile(EN_PATH, "utf8")).ui;
+      const posts = loadPosts({ projects: content.projects.map((p) => p.slug) });
+      const pages = sitePages(content, { siteUrl, ui, posts });
+      const feedTitle = posts.length ? `${ui["blog.title"]} · ${content.profile.name}` : null;
+      const template = await readFile(resolve(outDir, "index.html"), "utf8");
+
+      // Load the app through a throwaway dev server's SSR module graph
+      const server = await createServer({
+        configFile: config.configFile,
+        root: config.root,
+        logLevel: "error",
+        appType: "custom",
+        server: { middlewareMode: true, hmr: false, ws: false },
+        optimizeDeps: { noDiscovery: true, include: [] },
+      });
+      try {
+        const { render } = await server.ssrLoadModule("/src/entry-server.jsx");
+        const write = async (file, data) => {
+          const path = resolve(outDir, file);
+          await mkdir(dirname(path), { recursive: true });
+          await writeFile(path, data);
+        };
+        const images = new Set();
+        for (const page of pages) {
+          const html = injectPage(template, page, { html: render(page.path), siteUrl, siteName: content.profile.name, feedTitle });
+          await write(page.file, html);
+          if (page.preview && !images.has(page.image)) {
+            images.add(page.image);
+            await write(page.image, renderPreviewPng({ ...page.preview, footer: siteUrl.replace(/^https?:\/\//, "").replace(/\/$/, "") }));
+          }
+        }
+        await write("sitemap.xml", sitemapXml(pages, siteUrl));
+        await write("robots.txt", robotsTxt(siteUrl));
+        if (feedTitle) await write("feed.xml", atomFeed(posts, { siteUrl, title: feedTitle, author: content.profile.name }));
+        config.logger.info(
+          `prerendered ${pages.length} pages, ${images.size} preview images, sitemap.xml, robots.txt${feedTitle ? " and feed.xml" : ""}`,
+        );
+      } finally {
+        await server.close();
+      }
+    },
+  };
+}
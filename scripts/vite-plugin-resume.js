@@ -0,0 +1,44 @@
+// scripts/vite-plugin-resume.js
+// Emits dist/resume.pdf from portfolio.json on every build, plus
+// dist/resume-<id>.pdf for every audience variant, and serves freshly
+// rendered copies at the same URLs from the dev server, so the
+// "Download PDF" button never points at a stale, hand-maintained file.
+import { CONTENT_PATH, loadContent, renderResumePdf } from "./resume-pdf.js";
+import { resumeFile } from "../src/lib/variants.js";
+
+// The full resume, then one per audience variant
+const variantsOf = (content) => [null, ...(content.variants || [])];
+
+export default function resumePdf() {
+  let base = "/";
+  return {
+    name: "portfolio-resume-pdf",
+    configResolved(config) {
+      base = config.base;
+    },
+    buildStart() {
+      this.addWatchFile(CONTENT_PATH);
+    },
+    async generateBundle() {
+      const content = await loadContent();
+      for (const variant of variantsOf(content)) {
+        this.emitFile({ type: "asset", fileName: resumeFile(variant), source: await renderResumePdf(content, variant) });
+      }
+    },
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const path = req.url?.split("?")[0];
+        if (!path?.startsWith(base) || !path.endsWith(".pdf")) return next();
+        try {
+          const content = await loadContent();
+          const variant = variantsOf(content).find((v) => path === `${base}${resumeFile(v)}`);
+          if (variant === undefined) return next();
+          res.setHeader("Content-Type", "application/pdf");
+          res.end(await renderResumePdf(content, variant));
+        } catch (err) {
+          next(err);
+        }
+      });
+    },
+  };
+}
@@ -1,2 +1,16 @@
+import { MotionConfig } from "framer-motion";
 import SarthakPortfolio from "./SarthakPortfolio.jsx";
-export default function App() { return <SarthakPortfolio />; }
+import ThemeProvider from "./components/ThemeProvider.jsx";
+import I18nProvider from "./components/I18nProvider.jsx";
+export default function App() {
+  return (
+    <I18nProvider>
+      <ThemeProvider>
+        {/* Entrance/layout animations are skipped when the OS asks for reduced motion */}
+        <MotionConfig reducedMotion="user">
+          <SarthakPortfolio />
+        </MotionConfig>
+      </ThemeProvider>
+    </I18nProvider>
+  );
+}
@@ -1,844 +1,524 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useState } from "react";
 import { motion } from "framer-motion";
+import { LogoPill, Card, SectionHeading } from "./components/ui.jsx";
+import ProjectPage, { NotFound } from "./components/ProjectPage.jsx";
+import ProjectsSection from "./components/ProjectsSection.jsx";
+import BlogIndex from "./components/BlogIndex.jsx";
+import PostPage from "./components/PostPage.jsx";
+import ExperienceSection from "./components/ExperienceSection.jsx";
+import SkillsSection from "./components/SkillsSection.jsx";
+import PrintResume from "./components/PrintResume.jsx";
+import PhysicsBackground from "./components/PhysicsBackground.jsx";
+import { DEFAULT_SCENE, SCENES } from "./lib/scenes.js";
+import { requestTiltPermission, tiltSupported } from "./lib/pointerInput.js";
+import { useMediaQuery } from "./hooks/useMediaQuery.js";
+import EasterEggs from "./components/easter-eggs/EasterEggs.jsx";
+import { useTheme } from "./hooks/useTheme.js";
+import { useI18n } from "./hooks/useI18n.js";
+import ContactForm from "./components/ContactForm.jsx";
+import { contactAdapterFromEnv } from "./lib/contact.js";
+import { analytics } from "./lib/analytics.js";
+import { useSectionViews } from "./hooks/useSectionViews.js";
+import { useScrollSpy } from "./hooks/useScrollSpy.js";
+import SiteNav from "./components/SiteNav.jsx";
+import CommandPalette from "./components/CommandPalette.jsx";
+import { buildCommands } from "./lib/commands.js";
+import { SYSTEM_THEME, THEMES } from "./lib/themes.js";
+import { Link, matchRoute, navigate, useLocation } from "./lib/router.js";
+import { resumeFile } from "./lib/variants.js";
+import { useVariant } from "./hooks/useVariant.js";
+import posts from "virtual:posts";
 
 /**
  * SarthakPortfolio.jsx
- * Dark, physics-animated portfolio. Tailwind v4 friendly.
+ * Themed, physics-animated portfolio. Tailwind v4 friendly.
  * Visible fixes:
  *  - Canvas runs behind all content (no overlap).
  *  - CMU/GT shown as logo pills beside buttons.
  *  - Physics glows removed (particles only).
- *  - Resume Mode (light/printable) with Download PDF.
+ *  - Named themes (dark/light/high-contrast/Resume) via CSS tokens — see lib/themes.js.
+ *  - Resume Mode (light/printable theme) with Download PDF and Print resume.
+ *  - Printing the home page swaps in <PrintResume /> (two-column, paper only).
+ *  - All copy comes from src/content/portfolio.json (schema-checked at build time),
+ *    translated per locale via src/content/locales/ — see lib/i18n.js.
+ *  - Client-side routes: / (sections, deep-linkable by #hash), /projects/<slug>,
+ *    /blog (tag-filterable) and /blog/<slug> (Markdown posts compiled at build time).
+ *  - Nav links come from the section list, with scroll-spy, a progress bar and a mobile menu.
+ *  - Ctrl/Cmd+K command palette over sections, projects, experience, skills and actions.
+ *  - Easter eggs: see components/easter-eggs/registry.js.
  */
 
-/* =============================
-   🔭 Physics Background Canvas
-   ============================= */
-function PhysicsBackground() {
-  const canvasRef = useRef(null);
-  const rafRef = useRef(0);
-  const lastRef = useRef(performance.now());
-  const wellsRef = useRef([
-    { strength: 1.35, color: "#ef4444", x: 0, y: 0 }, // CMU well (no visible glow)
-    { strength: 1.15, color: "#f59e0b", x: 0, y: 0 }, // GT well (no visible glow)
-  ]);
-  const particlesRef = useRef([]);
-  const mouseRef = useRef({ x: 0, y: 0, active: false, timer: null });
-
-  const resize = () => {
-    const c = canvasRef.current;
-    if (!c) return;
-    const pr = Math.min(2, window.devicePixelRatio || 1);
-    const { clientWidth: w, clientHeight: h } = c.parentElement;
-    c.width = Math.floor(w * pr);
-    c.height = Math.floor(h * pr);
-    c.style.width = `${w}px`;
-    c.style.height = `${h}px`;
-  };
-
-  useEffect(() => {
-    resize();
-    window.addEventListener("resize", resize);
-    return () => window.removeEventListener("resize", resize);
-  }, []);
-
-  useEffect(() => {
-    const c = canvasRef.current;
-    if (!c) return;
-    const ctx = c.getContext("2d", { alpha: true });
-
-    // Seed particles
-    const spawn = () => {
-      const N = 260;
-      particlesRef.current = Array.from({ length: N }, () => ({
-        x: Math.random() * c.width,
-        y: Math.random() * c.height,
-        vx: (Math.random() - 0.5) * 60, // px/s
-        vy: (Math.random() - 0.5) * 60, // px/s
-        size: 1.2 + Math.random() * 2.2,
-      }));
-    };
-    spawn();
-
-    const tick = (ts) => {
-      const W = c.width,
-        H = c.height;
-      const dt = Math.min(0.033, (ts - lastRef.current) / 1000); // seconds
-      lastRef.current = ts;
-
-      // Dark trails background
-      ctx.fillStyle = "rgba(2,6,23,0.2)";
-      ctx.fillRect(0, 0, W, H);
-
-      // Animate gravity wells (centered near top hero area)
-      const time = ts * 0.001;
-      const cx = 0.5 * W,
-        cy = 0.32 * H;
-      const cmu = { r: 0.22, speed: 0.12, phase: 0 };
-      const gt = { r: 0.28, speed: -0.09, phase: Math.PI / 3 };
-      const ax =
-        cx + Math.cos(time * cmu.speed * Math.PI * 2 + cmu.phase) * (W * cmu.r);
-      const ay =
-        cy + Math.sin(time * cmu.speed * Math.PI * 2 + cmu.phase) * (H * cmu.r);
-      const bx =
-        cx + Math.cos(time * gt.speed * Math.PI * 2 + gt.phase) * (W * gt.r);
-      const by =
-        cy + Math.sin(time * gt.speed * Math.PI * 2 + gt.phase) * (H * gt.r);
-      wellsRef.current[0].x = ax;
-      wellsRef.current[0].y = ay;
-      wellsRef.current[1].x = bx;
-      wellsRef.current[1].y = by;
-
-      // NOTE: glows intentionally disabled (too distracting)
-      // const glow = (x, y, color) => {...}; glow(ax,ay,...); glow(bx,by,...);
-
-      // Update particles with gravity + mouse repulsion
-      particlesRef.current.forEach((p) => {
-        wellsRef.current.forEach((w) => {
-          const dx = w.x - p.x,
-            dy = w.y - p.y;
-          const d2 = Math.max(120, dx * dx + dy * dy);
-          const invd = 1 / Math.sqrt(d2);
-          const force = (w.strength * 9000) / d2; // px/s^2
-          p.vx += dx * invd * force * dt;
-          p.vy += dy * invd * force * dt;
-        });
-        if (mouseRef.current.active) {
-          const dx = mouseRef.current.x - p.x,
-            dy = mouseRef.current.y - p.y;
-          const d2 = Math.max(100, dx * dx + dy * dy);
-          const inv = 1 / Math.sqrt(d2);
-          const repulse = -14000 / d2;
-          p.vx += dx * inv * repulse * dt;
-          p.vy += dy * inv * repulse * dt;
-        }
-        // Integrate
-        p.x += p.vx * dt;
-        p.y += p.vy * dt;
-        // Wrap
-        if (p.x < 0) p.x += W;
-        else if (p.x > W) p.x -= W;
-        if (p.y < 0) p.y += H;
-        else if (p.y > H) p.y -= H;
-        // Draw
-        ctx.beginPath();
-        ctx.fillStyle = "#e2e8f0";
-        ctx.globalAlpha = 0.9;
-        ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.globalAlpha = 1;
-      });
-
-      rafRef.current = requestAnimationFrame(tick);
-    };
-    rafRef.current = requestAnimationFrame(tick);
-
-    // Window mouse events so canvas behind content still reacts
-    const onMove = (e) => {
-      const pr = Math.min(2, window.devicePixelRatio || 1);
-      mouseRef.current.x = e.clientX * pr;
-      mouseRef.current.y = e.clientY * pr;
-      mouseRef.current.active = true;
-      if (mouseRef.current.timer) clearTimeout(mouseRef.current.timer);
-      mouseRef.current.timer = setTimeout(() => {
-        mouseRef.current.active = false;
-      }, 400);
-    };
-    const onOut = () => {
-      mouseRef.current.active = false;
-    };
-    window.addEventListener("mousemove", onMove);
-    window.addEventListener("mouseout", onOut);
-
-    return () => {
-      cancelAnimationFrame(rafRef.current);
-      window.removeEventListener("mousemove", onMove);
-      window.removeEventListener("mouseout", onOut);
-    };
-  }, []);
-
-  // IMPORTANT: this canvas will be placed inside a fixed wrapper,
-  // so here we only need it to be absolute to fill that wrapper.
-  return (
-    <canvas
-      ref={canvasRef}
-      className="absolute inset-0 w-full h-full"
-      aria-hidden
-    />
-  );
-}
-
-/* =============================
-   🧼 Tiny, reusable logo pill
-   ============================= */
-function LogoPill({ src, label, border = "border-slate-600/40", size = "md" }) {
-  const SIZES = {
-    md: { pad: "px-3 py-1", text: "text-[11px]", img: "h-4 w-4" },
-    lg: { pad: "px-4 py-2", text: "text-sm", img: "h-6 w-6" },
-    xl: { pad: "px-5 py-2.5", text: "text-base", img: "h-7 w-7" },
-  };
-  const s = SIZES[size] || SIZES.md;
-
-  return (
-    <span
-      className={`inline-flex items-center gap-2 rounded-full ${s.pad} ${s.text} font-semibold bg-slate-800/50 ${border}`}
-    >
-      {src ? (
-        <img
-          src={src}
-          alt={label}
-          className={`${s.img} object-contain`}
-          loading="lazy"
-        />
-      ) : null}
-      <span className="text-slate-200/90">{label}</span>
-    </span>
-  );
-}
-
-/* =============================
-   🧱 Reusable Card (light/dark aware)
-   ============================= */
-function Card({ children, className = "", resumeMode = false }) {
-  return (
-    <div
-      className={`card rounded-2xl border shadow-xl hover:shadow-2xl transition-shadow ${
-        resumeMode ? "bg-white border-slate-200 shadow-none" : "bg-slate-900/60 border-slate-800"
-      } ${className}`}
-    >
-      {children}
-    </div>
-  );
-}
-
-function SectionHeading({ title, subtitle, resumeMode = false }) {
-  return (
-    <div className="mb-6">
-      <h2
-        className={`text-2xl md:text-3xl font-bold ${
-          resumeMode ? "text-slate-900" : "text-slate-100"
-        }`}
-      >
-        {title}
-      </h2>
-      {subtitle && (
-        <p
-          className={`mt-1 text-sm md:text-base ${
-            resumeMode ? "text-slate-700" : "text-slate-300"
-          }`}
-        >
-          {subtitle}
-        </p>
-      )}
-    </div>
-  );
-}
-
-/* =============================
-   🏗️ Data (from resume)
-   ============================= */
-const PROJECTS = [
-  {
-    title: "Secure RISC-V Emulation (CMU)",
-    tags: ["Renode", "Murax SoC", "ECC", "Linux/Unix"],
-    metrics: ["+75% perf", "-15% memory", "+83% resilience"],
-    blurb:
-      "Built a secure Renode environment for Murax RISC-V; optimized crypto path and memory usage.",
-  },
-  {
-    title: "Legal NLP Pipelines (GT VIP)",
-    tags: ["spaCy", "pandas", "NumPy", "JSON"],
-    metrics: ["410K+ claims", "100K+ dockets"],
-    blurb:
-      "Extracted entities and normalized messy legal text; powered downstream models and dashboards.",
-  },
-  {
-    title: "NBA Statistics Application",
-    tags: ["Python", "Distributed", "API", "Realtime", "Django"],
-    metrics: ["500+ players", "30 teams"],
-    blurb:
-      "Full-stack Python app fetching live NBA stats and managing data for players and teams.",
-    link: "https://github.com/Skenix64",
-  },
-  {
-    title: "FinTech Sentiment (BERT)",
-    tags: ["BERT", "NLP", "Scraping", "ML"],
-    metrics: ["85% accuracy", "100K+ entries"],
-    blurb:
-      "Predictive models over carbon news for risk assessment; secure scraping pipelines.",
-  },
-  {
-    title: "GT Movie Store (Django)",
-    tags: ["Django", "Auth", "CRUD", "Security"],
-    metrics: ["20+ user stories"],
-    blurb:
-      "Full CRUD with authentication, permissions, and secure review workflows.",
-    link: "https://github.com/Skenix64",
-  },
-];
+// In-page contact form backend (VITE_CONTACT_ENDPOINT / VITE_CONTACT_ADAPTER); null = mailto only
+const contactAdapter = contactAdapterFromEnv();
 
-const EXPERIENCE = [
-  {
-    role: "Embedded Systems Research Intern",
-    org: "Carnegie Mellon University",
-    time: "May 2025 – Present",
-    pts: [
-      "Renode emulation on Murax RISC-V for secure, real-time workloads",
-      "Optimized ECC path (↑ 75% perf), memory (↓ 15%), resilience (↑ 83%)",
-      "Implemented Elliptic Curve DSA operations on Murax using Renode on Linux and Unix OS",
-      "Analyzed system metrics to detect performance bottlenecks and optimize memory usage by 15%",
-    ],
-  },
-  {
-    role: "Undergraduate Researcher (Law, Data & Design)",
-    org: "Georgia Tech VIP",
-    time: "Jun 2025 – Present",
-    pts: [
-      "Analyzed 410K+ claims and 100K+ dockets; spaCy+pandas entity extraction",
-      "Built scalable, modular data pipelines using Python (pandas, NumPy, regex, JSON libraries) to clean, structure, and validate unstandardized court records, enabling downstream classification models and dashboard visualizations for justice system research",
-    ],
-  },
-  {
-    role: "Consultant",
-    org: "Westlake Corporation",
-    time: "Jun 2025 – Present",
-    pts: [
-      "Engineered a scalable Python-based data processing tool to securely aggregate product intelligence across 500+ SKUs, enabling risk-aware pricing decisions and improving enterprise efficiency by 10%",
-    ],
-  },
-  {
-    role: "Research Intern",
-    org: "University of Nebraska",
-    time: "Jun 2023 – Aug 2023",
-    pts: [
-      "Developed a Python script to automate the recalibration of 1000+ different recharge rates for MODFLOW simulations, resulting in a 90% increase in efficiency and achieving 100% accuracy",
-    ],
-  },
-];
+// Prerendering has no storage or navigator: render what a first visit would see
+const savedSetting = (key) => (typeof localStorage === "undefined" ? null : localStorage.getItem(key));
+const MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
 
-const SKILLS = [
-  "Java",
-  "C",
-  "C++",
-  "C#",
-  "Rust",
-  "Python",
-  "JavaScript",
-  "R",
-  "HTML",
-  "CSS",
-  "Django",
-  "Jupyter",
-  "JUnit",
-  "Apache",
-  "TensorFlow",
-  "Docker",
-  "Renode",
-  "LC3Tools",
-  "CircuitSim",
-  "Ubuntu",
-  "WSL",
-  "Unix",
-  "Linux",
-  "RISC-V",
-  "MySQL",
-  "SQL",
-  "Git",
-  "GitHub",
-  "Jira",
-  "Agile",
-  "Azure",
-  "React",
-];
-
-/* =============================
-   🕹️ Konami Code Easter Egg
-   ============================= */
-function useKonami(callback) {
-  useEffect(() => {
-    const seq = [
-      "ArrowUp",
-      "ArrowUp",
-      "ArrowDown",
-      "ArrowDown",
-      "ArrowLeft",
-      "ArrowRight",
-      "ArrowLeft",
-      "ArrowRight",
-      "b",
-      "a",
-    ];
-    let i = 0;
-    const onKey = (e) => {
-      const k = e.key;
-      if (k === seq[i]) {
-        i++;
-        if (i === seq.length) {
-          callback();
-          i = 0;
-        }
-      } else {
-        i = 0;
-      }
-    };
-    window.addEventListener("keydown", onKey);
-    return () => window.removeEventListener("keydown", onKey);
-  }, [callback]);
-}
-
-function NBABall() {
-  const [x, setX] = useState(0);
-  const [y, setY] = useState(0);
-  const [vx] = useState(160 + Math.random() * 80);
-  const [vy, setVy] = useState(-220 - Math.random() * 100);
-  const [active, setActive] = useState(true);
-  const ref = useRef({ last: performance.now() });
-  useEffect(() => {
-    const onFrame = (ts) => {
-      const dt = Math.min(0.032, (ts - ref.current.last) / 1000);
-      ref.current.last = ts;
-      setVy((v) => v + 980 * dt);
-      setX((x) => x + vx * dt);
-      setY((y) => y + (ref.current.vy ?? -200) * dt);
-      requestAnimationFrame(onFrame);
-    };
-    requestAnimationFrame(onFrame);
-  }, [vx]);
-  useEffect(() => {
-    ref.current.vy = vy;
-  }, [vy]);
-  useEffect(() => {
-    const timer = setTimeout(() => setActive(false), 4000);
-    return () => clearTimeout(timer);
-  }, []);
-  if (!active) return null;
-  return (
-    <motion.div
-      className="fixed left-0 top-0 z-50"
-      style={{ transform: `translate(${x}px, ${y}px)` }}
-      initial={{ opacity: 0 }}
-      animate={{ opacity: 1 }}
-      exit={{ opacity: 0 }}
-    >
-      <div className="w-10 h-10 rounded-full bg-orange-500 border border-orange-300 shadow-2xl" />
-    </motion.div>
-  );
-}
+const scrollToId = (id) =>
+  document.getElementById(id)?.scrollIntoView({
+    behavior: window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ? "auto" : "smooth",
+    block: "start",
+  });
 
 /* =============================
-   🏠 Main Portfolio Component
+   🏡 Home page (hero + sections)
    ============================= */
-export default function SarthakPortfolio() {
-  const [easter, setEaster] = useState(false);
-  useKonami(() => setEaster(true));
-
-  // 🔽 Resume Mode (persisted)
-  const [resumeMode, setResumeMode] = useState(() => {
-    return localStorage.getItem("resumeMode") === "1";
-  });
-  useEffect(() => {
-    localStorage.setItem("resumeMode", resumeMode ? "1" : "0");
-    document.body.style.background = resumeMode ? "#ffffff" : "#020617";
-    document.body.style.color = resumeMode ? "#0f172a" : "#e2e8f0";
-  }, [resumeMode]);
-
-  const scrollToId = (id) =>
-    document.getElementById(id)?.scrollIntoView({
-      behavior: "smooth",
-      block: "start",
-    });
-
+function HomePage() {
+  const { theme, resumeMode, toggleResumeMode } = useTheme();
+  const { t } = useI18n();
+  const { variant, content } = useVariant();
+  const { profile, profileCard, sections, about, contact, projects, experience, skills } = content;
+  useSectionViews(Object.keys(sections), (section) => analytics.track("section_view", { section }));
   return (
-    <div className={`relative min-h-screen ${resumeMode ? "resume-mode bg-white text-slate-900" : "text-slate-200"}`}>
-      {/* BACKGROUND: fixed layer behind everything (off in resume mode) */}
-      {!resumeMode && (
-        <div className="fixed inset-0 z-0 pointer-events-none">
-          <PhysicsBackground />
-        </div>
-      )}
-
-      {/* CONTENT: lives above the background */}
-      <main className="relative z-10 w-full">
-        {/* Nav */}
-        <nav
-          className={`sticky top-0 z-40 ${
-            resumeMode
-              ? "bg-white/80 border-b border-slate-200 backdrop-blur"
-              : "backdrop-blur-md bg-slate-950/40 border-b border-slate-800"
-          }`}
-        >
-          <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
-            <div className={`${resumeMode ? "text-slate-900" : "text-slate-100"} font-extrabold tracking-wider`}>
-              SD
-            </div>
-            <div className="hidden sm:flex gap-4 items-center text-sm">
-              <button className="hover:text-sky-500" onClick={() => scrollToId("about")}>
-                About
-              </button>
-              <button className="hover:text-sky-500" onClick={() => scrollToId("projects")}>
-                Projects
-              </button>
-              <button className="hover:text-sky-500" onClick={() => scrollToId("experience")}>
-                Experience
-              </button>
-              <button className="hover:text-sky-500" onClick={() => scrollToId("skills")}>
-                Skills
-              </button>
-              <button className="hover:text-sky-500" onClick={() => scrollToId("contact")}>
-                Contact
-              </button>
-
-              {/* Resume Mode Toggle */}
-              <button
-                onClick={() => setResumeMode((v) => !v)}
-                className={`ml-3 px-3 py-1 rounded-lg border ${
-                  resumeMode
-                    ? "bg-slate-900 text-white border-slate-700"
-                    : "bg-amber-500/20 text-amber-200 border-amber-400/30"
-                }`}
-                title="Toggle Resume Mode"
+    <div className="print:hidden">
+      {/* Hero */}
+      <header className="relative max-w-6xl mx-auto px-4 pt-16 pb-24">
+        <div className="relative grid md:grid-cols-2 gap-10">
+          <div className="relative">
+            {variant && (
+              <p className="mb-4 inline-flex flex-wrap items-center gap-x-2 text-sm px-3 py-1.5 rounded-xl border bg-highlight text-highlight-ink border-highlight-line">
+                {t("variant.tailored", { label: variant.label })}
+                <Link to="/" sticky={false} className="underline">
+                  {t("variant.showAll")}
+                </Link>
+              </p>
+            )}
+            <motion.h1
+              className="text-4xl md:text-6xl font-extrabold leading-tight text-ink"
+              initial={{ opacity: 0, y: 16 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.8 }}
+            >
+              {profile.name}
+            </motion.h1>
+            <motion.p
+              className="mt-4 text-base md:text-lg text-body"
+              initial={{ opacity: 0, y: 16 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.9, delay: 0.05 }}
+            >
+              {profile.tagline}
+            </motion.p>
+
+            {/* Buttons + Logo pills */}
+            <div className="mt-6 flex flex-wrap items-center gap-3">
+              <a
+                href={profile.github}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="px-4 py-2 rounded-xl border bg-btn-primary text-btn-primary-ink border-btn-primary-line hover:brightness-125"
               >
-                {resumeMode ? "Exit Resume Mode" : "Resume Mode"}
-              </button>
-            </div>
-          </div>
-        </nav>
-
-        {/* Hero */}
-        <header className="relative max-w-6xl mx-auto px-4 pt-16 pb-24">
-          <div className="relative grid md:grid-cols-2 gap-10">
-            <div className="relative">
-              <motion.h1
-                className={`text-4xl md:text-6xl font-extrabold leading-tight ${
-                  resumeMode ? "text-slate-900" : "text-slate-100"
-                }`}
-                initial={{ opacity: 0, y: 16 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.8 }}
+                GitHub
+              </a>
+              <Link
+                to="/#projects"
+                className="px-4 py-2 rounded-xl border bg-btn text-btn-ink border-btn-line hover:brightness-125"
               >
-                Sarthak Das
-              </motion.h1>
-              <motion.p
-                className={`mt-4 text-base md:text-lg ${
-                  resumeMode ? "text-slate-700" : "text-slate-300"
-                }`}
-                initial={{ opacity: 0, y: 16 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.9, delay: 0.05 }}
+                {sections.projects.title}
+              </Link>
+              <Link
+                to="/#contact"
+                className="px-4 py-2 rounded-xl border bg-btn-go text-btn-go-ink border-btn-go-line hover:brightness-125"
               >
-                Embedded Systems Researcher @ CMU • AI & Full-Stack • Georgia Tech CS ’27
-              </motion.p>
-
-              {/* Buttons + Logo pills */}
-              <div className="mt-6 flex flex-wrap items-center gap-3">
-                <a
-                  href="https://github.com/Skenix64"
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className={`px-4 py-2 rounded-xl border ${
-                    resumeMode
-                      ? "bg-white text-slate-900 border-slate-300"
-                      : "bg-sky-500/20 text-sky-200 border-sky-400/30 hover:bg-sky-500/30"
-                  }`}
-                >
-                  GitHub
-                </a>
-                <a
-                  href="#projects"
-                  onClick={(e) => {
-                    e.preventDefault();
-                    scrollToId("projects");
-                  }}
-                  className={`px-4 py-2 rounded-xl border ${
-                    resumeMode
-                      ? "bg-white text-slate-900 border-slate-300"
-                      : "bg-slate-800/70 border-slate-700 hover:bg-slate-800"
-                  }`}
-                >
-                  Projects
-                </a>
-                <a
-                  href="#contact"
-                  onClick={(e) => {
-                    e.preventDefault();
-                    scrollToId("contact");
-                  }}
-                  className={`px-4 py-2 rounded-xl border ${
-                    resumeMode
-                      ? "bg-white text-slate-900 border-slate-300"
-                      : "bg-emerald-500/20 text-emerald-200 border-emerald-400/30 hover:bg-emerald-500/30"
-                  }`}
-                >
-                  Contact
-                </a>
-
-                {/* Official logo pills (SVG/PNG in public/logos) */}
-                <LogoPill src="logos/cmu.png" label="CMU" border={resumeMode ? "border-slate-300" : "border-red-400/30"} size="lg" />
-                <LogoPill src="logos/gt.png"  label="GT"  border={resumeMode ? "border-slate-300" : "border-amber-400/30"} size="lg" />
-
-                {/* Download PDF button (only in Resume Mode) */}
-                {resumeMode && (
+                {sections.contact.title}
+              </Link>
+
+              {/* Official logo pills (SVG/PNG in public/logos) */}
+              {profile.logos.map((l) => (
+                <LogoPill
+                  key={l.label}
+                  src={l.src}
+                  label={l.label}
+                  border={l.accent}
+                  size="lg"
+                />
+              ))}
+
+              {/* Download PDF / Print buttons (only in printable themes, i.e. Resume Mode) */}
+              {theme.printable && (
+                <>
                   <a
-                    href="resume.pdf" // place your PDF at public/resume.pdf
-                    className="ml-2 px-4 py-2 rounded-xl border border-slate-300 bg-white text-slate-900"
+                    href={`${import.meta.env.BASE_URL}${resumeFile(variant)}`} // generated from portfolio.json (scripts/resume-pdf.js)
+                    className="ml-2 px-4 py-2 rounded-xl border bg-btn text-btn-ink border-btn-line"
                     download
+                    onClick={() => analytics.track("resume_download")}
                   >
-                    Download PDF
+                    {t("resume.download")}
                   </a>
-                )}
-              </div>
-            </div>
-
-            <div className="relative">
-              <Card resumeMode={resumeMode}>
-                <div className="p-6">
-                  <p className={`text-sm ${resumeMode ? "text-slate-500" : "text-slate-400"}`}>Profile</p>
-                  <h3 className={`text-xl font-semibold mt-1 ${resumeMode ? "text-slate-900" : "text-slate-100"}`}>
-                    I build real-world systems
-                  </h3>
-                  <p className={`${resumeMode ? "text-slate-700" : "text-slate-300"} mt-3`}>
-                    From secure RISC-V emulation and cryptography to NLP pipelines decoding legal bias, I ship systems
-                    that are fast, safe, and human-centered.
-                  </p>
-                  <ul className={`mt-4 grid grid-cols-2 gap-2 text-sm ${resumeMode ? "text-slate-700" : "text-slate-300"}`}>
-                    <li>Renode • RISC-V • Emulation</li>
-                    <li>Django • React • Node</li>
-                    <li>BERT • spaCy • NLP</li>
-                    <li>Docker • Azure • C, C#, C++</li>
-                  </ul>
-                </div>
-              </Card>
+                  <button
+                    onClick={() => {
+                      analytics.track("resume_print");
+                      window.print();
+                    }}
+                    className="px-4 py-2 rounded-xl border bg-btn text-btn-ink border-btn-line"
+                  >
+                    {t("resume.print")}
+                  </button>
+                </>
+              )}
             </div>
           </div>
-        </header>
 
-        {/* About */}
-        <section id="about" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
-          <SectionHeading title="About" subtitle="Engineer • Researcher • Builder" resumeMode={resumeMode} />
-          <div className="grid md:grid-cols-3 gap-6">
-            <Card resumeMode={resumeMode}>
-              <div className="p-6">
-                <h4 className={`text-lg font-semibold ${resumeMode ? "text-slate-900" : "text-slate-100"}`}>Mission</h4>
-                <p className={`${resumeMode ? "text-slate-700" : "text-slate-300"} mt-2`}>
-                  I write code that matters—using systems thinking to make products faster, safer, and more useful. I
-                  care about performance, correctness, and design.
-                </p>
-              </div>
-            </Card>
-            <Card resumeMode={resumeMode}>
+          <div className="relative">
+            <Card>
               <div className="p-6">
-                <h4 className={`text-lg font-semibold ${resumeMode ? "text-slate-900" : "text-slate-100"}`}>
-                  Focus Areas
-                </h4>
-                <ul className={`mt-2 space-y-1 text-sm ${resumeMode ? "text-slate-700" : "text-slate-300"}`}>
-                  <li>• Secure embedded systems & hardware testing</li>
-                  <li>• NLP + data pipelines, fintech, AI + ML</li>
-                  <li>• Full-stack applications</li>
+                <p className="text-sm text-faint">{profileCard.label}</p>
+                <h2 className="text-xl font-semibold mt-1 text-ink">{profileCard.title}</h2>
+                <p className="text-body mt-3">{profileCard.body}</p>
+                <ul className="mt-4 grid grid-cols-2 gap-2 text-sm text-body">
+                  {profileCard.bullets.map((b, i) => (
+                    <li key={i}>{b}</li>
+                  ))}
                 </ul>
               </div>
             </Card>
-            <Card resumeMode={resumeMode}>
-              <div className="p-6">
-                <h4 className={`text-lg font-semibold ${resumeMode ? "text-slate-900" : "text-slate-100"}`}>Hobbies</h4>
-                <p className={`${resumeMode ? "text-slate-700" : "text-slate-300"} mt-2`}>
-                  Basketball, guitar, thrifting, cooking, traveling, video editing, public speaking.
-                </p>
-              </div>
-            </Card>
-          </div>
-        </section>
-
-        {/* Projects */}
-        <section id="projects" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
-          <SectionHeading title="Projects" subtitle="A few things I’ve shipped and explored" resumeMode={resumeMode} />
-          <div className="grid md:grid-cols-2 gap-6">
-            {PROJECTS.map((p, idx) => (
-              <Card key={idx} resumeMode={resumeMode}>
-                <div className="p-6">
-                  <div className="flex items-start justify-between gap-4">
-                    <h3
-                      className={`text-lg md:text-xl font-semibold ${
-                        resumeMode ? "text-slate-900" : "text-slate-100"
-                      }`}
-                    >
-                      {p.title}
-                    </h3>
-                    <div className="flex flex-wrap gap-1">
-                      {p.metrics.map((m, i) => (
-                        <span
-                          key={i}
-                          className={`text-[10px] px-2 py-1 rounded-full bg-slate-800 border border-slate-700 ${
-                            resumeMode ? "text-slate-200" : "text-slate-300"
-                          }`}
-                        >
-                          {m}
-                        </span>
-                      ))}
-                    </div>
-                  </div>
-                  <p className={`${resumeMode ? "text-slate-700" : "text-slate-300"} mt-3`}>{p.blurb}</p>
-                  <div className="mt-3 flex flex-wrap gap-2">
-                    {p.tags.map((t, i) => (
-                      <span
-                        key={i}
-                        className={`text-xs px-2 py-1 rounded-md border ${
-                          resumeMode
-                            ? "bg-slate-100 border-slate-300 text-slate-700"
-                            : "bg-slate-800/70 border-slate-700 text-slate-400"
-                        }`}
-                      >
-                        {t}
-                      </span>
-                    ))}
-                  </div>
-                  {p.link && (
-                    <div className="mt-4">
-                      <a
-                        href={p.link}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className={`${resumeMode ? "text-slate-700" : "text-sky-300"} hover:underline`}
-                      >
-                        View on GitHub
-                      </a>
-                    </div>
-                  )}
-                </div>
-              </Card>
-            ))}
           </div>
-        </section>
-
-        {/* Experience */}
-        <section id="experience" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
-          <SectionHeading
-            title="Experience"
-            subtitle="What I’ve learned by building in the real world"
-            resumeMode={resumeMode}
-          />
-          <div className="space-y-4">
-            {EXPERIENCE.map((e, idx) => (
-              <Card key={idx} resumeMode={resumeMode}>
-                <div className="p-6">
-                  <div className="flex items-center justify-between">
-                    <h4
-                      className={`text-lg font-semibold ${
-                        resumeMode ? "text-slate-900" : "text-slate-100"
-                      }`}
-                    >
-                      {e.role} • <span className={`${resumeMode ? "text-slate-700" : "text-slate-300"}`}>{e.org}</span>
-                    </h4>
-                    <span className={`text-xs ${resumeMode ? "text-slate-500" : "text-slate-400"}`}>{e.time}</span>
-                  </div>
-                  <ul
-                    className={`mt-2 list-disc list-inside text-sm space-y-1 ${
-                      resumeMode ? "text-slate-700" : "text-slate-300"
-                    }`}
-                  >
-                    {e.pts.map((pt, i) => (
-                      <li key={i}>{pt}</li>
+        </div>
+      </header>
+
+      {/* About */}
+      <section id="about" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
+        <SectionHeading {...sections.about} />
+        <div className="grid md:grid-cols-3 gap-6">
+          {about.map((a) => (
+            <Card key={a.title}>
+              <div className="p-6">
+                <h3 className="text-lg font-semibold text-ink">{a.title}</h3>
+                {a.items ? (
+                  <ul className="mt-2 space-y-1 text-sm text-body">
+                    {a.items.map((it, i) => (
+                      <li key={i}>• {it}</li>
                     ))}
                   </ul>
-                </div>
-              </Card>
-            ))}
-          </div>
-        </section>
-
-        {/* Skills */}
-        <section id="skills" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
-          <SectionHeading title="Skills" subtitle="Tools I use to think and build" resumeMode={resumeMode} />
-          <Card resumeMode={resumeMode}>
-            <div className="p-6">
-              <div className="flex flex-wrap gap-2">
-                {SKILLS.map((s, i) => (
-                  <span
-                    key={i}
-                    className={`text-xs px-3 py-1 rounded-full border ${
-                      resumeMode
-                        ? "bg-slate-100 border-slate-300 text-slate-700"
-                        : "bg-slate-800/80 border-slate-700 text-slate-300"
-                    }`}
-                  >
-                    {s}
-                  </span>
-                ))}
-              </div>
-            </div>
-          </Card>
-        </section>
-
-        {/* Contact */}
-        <section id="contact" className="max-w-6xl mx-auto px-4 pb-24 scroll-mt-24">
-          <SectionHeading title="Contact" subtitle="Let’s build something game-changing" resumeMode={resumeMode} />
-          <Card resumeMode={resumeMode}>
-            <div className="p-6 grid md:grid-cols-3 gap-6 items-center">
-              <div className="md:col-span-2">
-                <p className={`${resumeMode ? "text-slate-700" : "text-slate-300"} text-sm md:text-base`}>
-                  Based in Atlanta, GA. Open to internships and research collaborations in systems, AI, and product
-                  engineering.
-                </p>
-                <div className="mt-4 flex flex-wrap gap-3">
-                  <a
-                    href="mailto:sdas393@gatech.edu"
-                    className={`px-4 py-2 rounded-xl border ${
-                      resumeMode
-                        ? "bg-white text-slate-900 border-slate-300"
-                        : "bg-emerald-500/20 text-emerald-200 border-emerald-400/30 hover:bg-emerald-500/30"
-                    }`}
-                  >
-                    Email
-                  </a>
-                  <a
-                    href="https://github.com/Skenix64"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className={`px-4 py-2 rounded-xl border ${
-                      resumeMode
-                        ? "bg-white text-slate-900 border-slate-300"
-                        : "bg-sky-500/20 text-sky-200 border-sky-400/30 hover:bg-sky-500/30"
-                    }`}
-                  >
-                    GitHub
-                  </a>
-                  <button
-                    onClick={() => setResumeMode((v) => !v)}
-                    className={`px-4 py-2 rounded-xl border ${
-                      resumeMode
-                        ? "bg-slate-900 text-white border-slate-700"
-                        : "bg-slate-800/70 border-slate-700 hover:bg-slate-800 text-slate-200"
-                    }`}
-                  >
-                    {resumeMode ? "Exit Resume Mode" : "Resume Mode"}
-                  </button>
-                </div>
+                ) : (
+                  <p className="text-body mt-2">{a.body}</p>
+                )}
               </div>
-              <div className="justify-self-center md:justify-self-end">
-                <div
-                  className={`w-28 h-28 rounded-2xl border shadow-inner flex items-center justify-center ${
+            </Card>
+          ))}
+        </div>
+      </section>
+
+      {/* Projects */}
+      <ProjectsSection projects={projects} section={sections.projects} posts={posts} />
+
+      {/* Experience */}
+      <ExperienceSection experience={experience} section={sections.experience} />
+
+      {/* Skills */}
+      <SkillsSection
+        skills={skills}
+        projects={projects}
+        experience={experience}
+        section={sections.skills}
+      />
+
+      {/* Contact */}
+      <section id="contact" className="max-w-6xl mx-auto px-4 pb-24 scroll-mt-24">
+        <SectionHeading {...sections.contact} />
+        <Card>
+          <div className="p-6 grid md:grid-cols-3 gap-6 items-center">
+            <div className="md:col-span-2">
+              <p className="text-body text-sm md:text-base">{contact.blurb}</p>
+              <div className="mt-4 flex flex-wrap gap-3">
+                <a
+                  href={`mailto:${profile.email}`}
+                  className="px-4 py-2 rounded-xl border bg-btn-go text-btn-go-ink border-btn-go-line hover:brightness-125"
+                >
+                  {t("contact.email")}
+                </a>
+                <a
+                  href={profile.github}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="px-4 py-2 rounded-xl border bg-btn-primary text-btn-primary-ink border-btn-primary-line hover:brightness-125"
+                >
+                  GitHub
+                </a>
+                <button
+                  onClick={toggleResumeMode}
+                  className={`px-4 py-2 rounded-xl border ${
                     resumeMode
-                      ? "bg-white border-slate-200"
-                      : "bg-gradient-to-br from-slate-800 to-slate-900 border-slate-700"
+                      ? "bg-highlight text-highlight-ink border-highlight-line"
+                      : "bg-btn text-btn-ink border-btn-line hover:brightness-125"
                   }`}
                 >
-                  <span className={`${resumeMode ? "text-slate-700" : "text-slate-400"} text-xs text-center`}>
-                    Georgia Tech
-                    <br />&<br />
-                    CMU
-                  </span>
-                </div>
+                  {resumeMode ? t("resume.exit") : t("resume.enter")}
+                </button>
               </div>
+              {contactAdapter && <ContactForm adapter={contactAdapter} email={profile.email} />}
             </div>
-          </Card>
-        </section>
+            <div className="justify-self-center md:justify-self-end">
+              <div
+                className="w-28 h-28 rounded-2xl border shadow-inner flex items-center justify-center bg-gradient-to-br from-chip to-surface border-chip-line"
+              >
+                <span className="text-faint text-xs text-center">
+                  {contact.badge.map((line, i) => (
+                    <React.Fragment key={i}>
+                      {i > 0 && <br />}
+                      {line}
+                    </React.Fragment>
+                  ))}
+                </span>
+              </div>
+            </div>
+          </div>
+        </Card>
+      </section>
+    </div>
+  );
+}
+
+/* =============================
+   🏠 Main Portfolio Component
+   ============================= */
+export default function SarthakPortfolio() {
+  // 🎨 Theme (persisted by <ThemeProvider>; Resume Mode is the "resume" theme)
+  const { id: themeId, theme, preference, setPreference, resumeMode, toggleResumeMode } = useTheme();
+  // 🌐 Locale (?lang=, saved choice or browser language) and translated content,
+  // cut down by the audience variant (?for=) if there is one
+  const { t, locale, locales, setLocale, content: fullContent, formatTime } = useI18n();
+  const { variant, variants, content } = useVariant();
+  const { profile, sections, about, projects, experience, skills } = content;
+
+  // 🌌 Physics background on/off (persisted like the theme)
+  const [physicsOn, setPhysicsOn] = useState(() => {
+    return savedSetting("physicsBackground") !== "0";
+  });
+  useEffect(() => {
+    localStorage.setItem("physicsBackground", physicsOn ? "1" : "0");
+  }, [physicsOn]);
+  const [scene, setScene] = useState(() => {
+    const saved = savedSetting("physicsScene");
+    return Object.hasOwn(SCENES, saved) ? saved : DEFAULT_SCENE;
+  });
+  useEffect(() => {
+    localStorage.setItem("physicsScene", scene);
+  }, [scene]);
+  // 📱 Tilt-as-gravity is opt-in per visit (iOS asks for permission each time)
+  const coarsePointer = useMediaQuery("(pointer: coarse)");
+  // 🖨️ Never run the canvas for paper (print preview re-renders with this set)
+  const printing = useMediaQuery("print");
+  const [tilt, setTilt] = useState(false);
+  const toggleTilt = async () => setTilt(!tilt && (await requestTiltPermission()));
+
+  // 🧭 Routing: pushes scroll to the #section (or top); back/forward keeps the browser's scroll;
+  // replaces (filter/query updates) never move the page
+  const location = useLocation();
+
+  // 📈 Outbound links (delegated, so content links need no wiring); only the destination is recorded
+  useEffect(() => {
+    const onClick = (e) => {
+      const a = e.target.closest?.("a[href]");
+      if (!a) return;
+      const url = new URL(a.href, window.location.href);
+      if (url.protocol === "mailto:") analytics.track("outbound_click", { url: "mailto" });
+      else if (url.origin !== window.location.origin) analytics.track("outbound_click", { url: url.origin + url.pathname });
+    };
+    document.addEventListener("click", onClick);
+    return () => document.removeEventListener("click", onClick);
+  }, []);
+  const route = matchRoute(location.path);
+  // Every project page exists; prev/next stay within the variant's projects when it has this one
+  const project = route.name === "project" ? fullContent.projects.find((p) => p.slug === route.params.slug) : null;
+  const pageProjects = projects.includes(project) ? projects : fullContent.projects;
+  const post = route.name === "post" ? posts.find((p) => p.slug === route.params.slug) : null;
+  useEffect(() => {
+    if (location.action === "replace") return;
+    if (location.hash) scrollToId(location.hash);
+    else if (location.action === "push") window.scrollTo(0, 0);
+  }, [location]);
+  // Project, post and blog pages title themselves
+  const ownTitle = project || post || route.name === "blog";
+  useEffect(() => {
+    if (!ownTitle) document.title = `${profile.name} · ${t("meta.portfolio")}`;
+  }, [ownTitle, profile, t]);
+
+  // ⌨️ Command palette (Ctrl/Cmd+K or the nav button)
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const commands = buildCommands({
+    content,
+    posts,
+    t,
+    formatTime,
+    actions: {
+      resumeMode,
+      toggleResumeMode,
+      downloadResume: () => {
+        analytics.track("resume_download");
+        Object.assign(document.createElement("a"), { href: `${import.meta.env.BASE_URL}${resumeFile(variant)}`, download: "" }).click();
+      },
+      copyEmail: async () => {
+        try {
+          await navigator.clipboard.writeText(profile.email);
+          return t("palette.copied", { email: profile.email });
+        } catch {
+          return t("palette.copyFailed", { email: profile.email });
+        }
+      },
+      scenes: theme.physics ? Object.keys(SCENES).map((id) => ({ id, label: t(`scene.${id}`) })) : null,
+      setScene: (id) => {
+        setScene(id);
+        setPhysicsOn(true);
+      },
+      variant: variant?.id ?? null,
+      variants: variants.map(({ id, label }) => ({ id, label })),
+      setVariant: (id) => navigate(id ? `/?for=${id}` : "/", { sticky: false }),
+    },
+  });
+
+  // 🧭 Nav: scroll-spy over the home sections; the same controls render in the bar and the mobile menu
+  const activeSection = useScrollSpy(Object.keys(sections), { enabled: route.name === "home" });
+  const navItems = [
+    ...Object.entries(sections).map(([id, s]) => ({ id, label: s.title })),
+    ...(posts.length ? [{ id: "blog", label: t("blog.title"), to: "/blog" }] : []),
+  ];
+  const navControls = (
+    <>
+      {/* Background Toggle + Scene */}
+      {theme.physics && physicsOn && (
+        <select
+          value={scene}
+          onChange={(e) => setScene(e.target.value)}
+          aria-label={t("physics.scene")}
+          className="px-2 py-1 rounded-lg border bg-field text-body border-field-line"
+        >
+          {Object.keys(SCENES).map((id) => (
+            <option key={id} value={id}>
+              {t(`scene.${id}`)}
+            </option>
+          ))}
+        </select>
+      )}
+      {theme.physics && physicsOn && coarsePointer && tiltSupported() && (
+        <button
+          onClick={toggleTilt}
+          className="px-3 py-1 rounded-lg border bg-btn text-body border-btn-line"
+          aria-pressed={tilt}
+          title={t("physics.tiltTitle")}
+        >
+          {tilt ? t("physics.tiltOn") : t("physics.tiltOff")}
+        </button>
+      )}
+      {theme.physics && (
+        <button
+          onClick={() => setPhysicsOn((v) => !v)}
+          className="px-3 py-1 rounded-lg border bg-btn text-body border-btn-line hover:text-ink"
+          aria-pressed={physicsOn}
+          title={t("physics.particlesTitle")}
+        >
+          {physicsOn ? t("physics.particlesOn") : t("physics.particlesOff")}
+        </button>
+      )}
+
+      {/* Command palette + Language + Theme pickers + Resume Mode Toggle */}
+      <button
+        onClick={() => setPaletteOpen(true)}
+        className="px-2 py-1 rounded-lg border bg-btn text-body border-btn-line hover:text-ink"
+        aria-label={t("palette.open")}
+        aria-keyshortcuts="Control+K Meta+K"
+        title={t("palette.open")}
+      >
+        <kbd className="font-sans">{MAC ? "⌘K" : "Ctrl K"}</kbd>
+      </button>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        aria-label={t("nav.language")}
+        className="px-2 py-1 rounded-lg border bg-field text-body border-field-line"
+      >
+        {locales.map(({ code, label }) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <select
+        value={preference}
+        onChange={(e) => setPreference(e.target.value)}
+        aria-label={t("theme.picker")}
+        className="px-2 py-1 rounded-lg border bg-field text-body border-field-line"
+      >
+        <option value={SYSTEM_THEME}>{t("theme.system")}</option>
+        {Object.keys(THEMES).map((id) => (
+          <option key={id} value={id}>
+            {t(`theme.${id}`)}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={toggleResumeMode}
+        className="px-3 py-1 rounded-lg border bg-highlight text-highlight-ink border-highlight-line"
+        title={t("resume.toggleTitle")}
+      >
+        {resumeMode ? t("resume.exit") : t("resume.enter")}
+      </button>
+    </>
+  );
+
+  return (
+    <div className="relative min-h-screen bg-page text-text">
+      {/* BACKGROUND: fixed layer behind everything (only in themes that allow it, and when toggled on) */}
+      {theme.physics && physicsOn && !printing && (
+        <div className="fixed inset-0 z-0 pointer-events-none">
+          <PhysicsBackground scene={scene} tilt={tilt} />
+        </div>
+      )}
+
+      {/* Skip link: first tab stop, visible only while focused */}
+      <a
+        href="#main"
+        onClick={(e) => {
+          e.preventDefault();
+          document.getElementById("main")?.focus();
+        }}
+        className="sr-only focus:not-sr-only focus:fixed focus:top-3 focus:left-3 focus:z-50 px-4 py-2 rounded-xl border bg-highlight text-highlight-ink border-highlight-line"
+      >
+        {t("nav.skip")}
+      </a>
+
+      {/* CONTENT: lives above the background */}
+      <div className="relative z-10 w-full">
+        <SiteNav
+          brand={profile.initials}
+          items={navItems}
+          activeId={route.name === "blog" || route.name === "post" ? "blog" : activeSection}
+          controls={navControls}
+        />
 
-        <footer className={`pb-10 text-center text-xs ${resumeMode ? "text-slate-600" : "text-slate-500"}`}>
-          © {new Date().getFullYear()} Sarthak Das · Built with React · {resumeMode ? "Resume Mode" : "Dark theme"} ·
-          Physics-powered
+        <main id="main" tabIndex={-1} className="outline-none">
+          {route.name === "home" && (
+            <>
+              <HomePage />
+              <PrintResume profile={profile} sections={sections} about={about} projects={projects} experience={experience} skills={skills} />
+            </>
+          )}
+          {route.name === "project" && project && (
+            <ProjectPage project={project} projects={pageProjects} profile={profile} posts={posts} />
+          )}
+          {route.name === "blog" && <BlogIndex posts={posts} profile={profile} />}
+          {post && (
+            <PostPage
+              post={post}
+              posts={posts}
+              project={fullContent.projects.find((p) => p.slug === post.project)}
+              profile={profile}
+            />
+          )}
+          {(route.name === "notFound" || (route.name === "project" && !project) || (route.name === "post" && !post)) && <NotFound />}
+        </main>
+
+        <footer className="pb-10 text-center text-xs text-faint">
+          © {new Date().getFullYear()} {profile.name} · {t("footer.builtWith")} ·{" "}
+          {t("footer.theme", { theme: t(`theme.${themeId}`) })} · {t("footer.physics")}
         </footer>
-      </main>
+      </div>
 
-      {easter && !resumeMode && <NBABall />}
+      <CommandPalette commands={commands} open={paletteOpen} onOpenChange={setPaletteOpen} />
+      <div className="no-print">
+        <EasterEggs enabled={!theme.printable && !paletteOpen} onTrigger={(id) => analytics.track("easter_egg", { id })} />
+      </div>
     </div>
   );
 }
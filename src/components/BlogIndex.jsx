@@ -0,0 +1,102 @@
+import React, { useEffect, useMemo } from "react";
+import { Card, SectionHeading } from "./ui.jsx";
+import { Link, navigate, useLocation } from "../lib/router.js";
+import { useI18n } from "../hooks/useI18n.js";
+import { collectTags } from "../lib/projectFilters.js";
+import { filterPosts, parseTag, postPath } from "../lib/posts.js";
+
+/**
+ * BlogIndex.jsx
+ * The /blog page: every post (newest first) with its date, reading time and
+ * summary, filterable by tag. The tag lives in the URL (?tag=…) and is
+ * swapped with replaceState, like the Projects filters.
+ */
+
+/** Date · reading time, shared with the post page. */
+export function PostMeta({ post }) {
+  const { t, formatDate } = useI18n();
+  return (
+    <p className="text-sm text-faint">
+      <time dateTime={post.date}>{formatDate(post.date)}</time>
+      {" · "}
+      {t("blog.readingTime", { minutes: post.readingMinutes })}
+    </p>
+  );
+}
+
+const tagChip = (active) =>
+  `text-xs px-2 py-1 rounded-md border transition-colors ${
+    active ? "bg-accent border-accent-line text-accent-ink" : "bg-chip border-chip-line text-chip-ink hover:text-ink"
+  }`;
+
+export default function BlogIndex({ posts, profile }) {
+  const { search } = useLocation();
+  const { t } = useI18n();
+  const tag = parseTag(search);
+  const tags = useMemo(() => collectTags(posts), [posts]);
+  const shown = filterPosts(posts, tag);
+
+  useEffect(() => {
+    document.title = `${t("blog.title")} · ${profile.name}`;
+  }, [t, profile]);
+
+  const toggleTag = (next) => navigate(next === tag ? "/blog" : `/blog?tag=${encodeURIComponent(next)}`, { replace: true });
+
+  return (
+    <section className="max-w-4xl mx-auto px-4 pt-12 pb-24">
+      <SectionHeading title={t("blog.title")} subtitle={t("blog.subtitle")} />
+
+      <div className="no-print mb-6 space-y-3">
+        <div className="flex flex-wrap gap-2" role="group" aria-label={t("blog.filterByTag")}>
+          {tags.map(({ tag: name, count }) => (
+            <button key={name} className={tagChip(tag === name)} aria-pressed={tag === name} onClick={() => toggleTag(name)}>
+              {name}
+              {count > 1 && <span> ×{count}</span>}
+            </button>
+          ))}
+        </div>
+        {tag && (
+          <p className="text-sm text-body" aria-live="polite">
+            {t("blog.count", { shown: shown.length, total: posts.length })}
+            {" · "}
+            <button className="underline" onClick={() => toggleTag(tag)}>
+              {t("blog.clear")}
+            </button>
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-6">
+        {shown.map((post) => (
+          <Card key={post.slug}>
+            <div className="p-6">
+              <h3 className="text-lg md:text-xl font-semibold text-ink">
+                <Link to={postPath(post)} className="hover:underline">
+                  {post.title}
+                </Link>
+              </h3>
+              <div className="mt-1">
+                <PostMeta post={post} />
+              </div>
+              <p className="mt-3 text-body">{post.summary}</p>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {post.tags.map((name) => (
+                  <button key={name} className={tagChip(tag === name)} aria-pressed={tag === name} onClick={() => toggleTag(name)}>
+                    {name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </Card>
+        ))}
+      </div>
+      {!shown.length && <p className="text-sm text-body">{t("blog.none")}</p>}
+
+      <p className="no-print mt-8 text-sm">
+        <a href={`${import.meta.env.BASE_URL}feed.xml`} className="text-link hover:underline">
+          {t("blog.feed")}
+        </a>
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useI18n } from "../hooks/useI18n.js";
+import { useFocusTrap } from "../hooks/useFocusTrap.js";
+import { fuzzySearch } from "../lib/fuzzy.js";
+
+/**
+ * CommandPalette.jsx
+ * Ctrl/Cmd+K opens a modal search over `commands` (lib/commands.js).
+ * The input is an ARIA combobox driving a listbox through
+ * aria-activedescendant: ↑/↓ move, Enter runs, Escape or a click outside
+ * closes and returns focus. Key sequences (Konami & co.) ignore modified
+ * keys and keys typed into fields, so the two never see each other's input.
+ */
+const LIMIT = 50;
+
+/** Label with the fuzzy-matched characters emphasised. */
+function Highlighted({ text, indices }) {
+  if (!indices.length) return text;
+  const hit = new Set(indices);
+  return text.split("").map((ch, i) =>
+    hit.has(i) ? (
+      <span key={i} className="font-semibold underline">
+        {ch}
+      </span>
+    ) : (
+      ch
+    ),
+  );
+}
+
+export default function CommandPalette({ commands, open, onOpenChange }) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const [message, setMessage] = useState("");
+  const dialogRef = useRef(null);
+  const close = () => onOpenChange(false);
+
+  // Fresh search every time it opens
+  const [wasOpen, setWasOpen] = useState(open);
+  if (open !== wasOpen) {
+    setWasOpen(open);
+    if (open) {
+      setQuery("");
+      setActive(0);
+    }
+  }
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if ((e.metaKey || e.ctrlKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "k") {
+        e.preventDefault(); // browsers bind Ctrl+K to the search bar
+        onOpenChange(!open);
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, onOpenChange]);
+
+  useFocusTrap(dialogRef, open, { onEscape: close });
+
+  useEffect(() => {
+    if (!message) return;
+    const id = setTimeout(() => setMessage(""), 3000);
+    return () => clearTimeout(id);
+  }, [message]);
+
+  const groupLabel = (group) => t(`palette.group.${group}`);
+  const results = useMemo(
+    () =>
+      query.trim()
+        ? fuzzySearch(commands, query, (c) => [c.label, ...(c.keywords || []), t(`palette.group.${c.group}`)], { limit: LIMIT })
+        : commands.map((item) => ({ item, indices: [] })),
+    [commands, query, t],
+  );
+  const current = Math.min(active, results.length - 1);
+  const optionId = (i) => `palette-option-${i}`;
+
+  useEffect(() => {
+    if (open) document.getElementById(optionId(current))?.scrollIntoView({ block: "nearest" });
+  }, [open, current]);
+
+  const run = async (command) => {
+    close();
+    const result = await command.run();
+    if (typeof result === "string") setMessage(result);
+  };
+
+  const onKeyDown = (e) => {
+    if (!results.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + results.length) % results.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      run(results[current].item);
+    }
+  };
+
+  return (
+    <>
+      {open && (
+        <div
+          className="no-print fixed inset-0 z-50 flex items-start justify-center px-4 pt-[12vh] bg-page/70 backdrop-blur-sm"
+          onPointerDown={(e) => e.target === e.currentTarget && close()}
+        >
+          <div
+            ref={dialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t("palette.label")}
+            className="w-full max-w-xl rounded-2xl border border-line bg-surface shadow-2xl overflow-hidden"
+          >
+            <input
+              type="text"
+              role="combobox"
+              aria-expanded="true"
+              aria-controls="palette-listbox"
+              aria-autocomplete="list"
+              aria-activedescendant={results.length ? optionId(current) : undefined}
+              aria-label={t("palette.label")}
+              placeholder={t("palette.placeholder")}
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setActive(0);
+              }}
+              onKeyDown={onKeyDown}
+              autoComplete="off"
+              spellCheck={false}
+              className="w-full px-4 py-3 bg-field text-text border-b border-line outline-none"
+            />
+            <ul id="palette-listbox" role="listbox" aria-label={t("palette.results")} className="max-h-[50vh] overflow-y-auto p-2">
+              {results.map(({ item, indices }, i) => (
+                <li
+                  key={item.id}
+                  id={optionId(i)}
+                  role="option"
+                  aria-selected={i === current}
+                  onPointerMove={() => i !== current && setActive(i)}
+                  onClick={() => run(item)}
+                  className={`flex items-center justify-between gap-3 px-3 py-2 rounded-lg cursor-pointer text-sm ${
+                    i === current ? "bg-accent text-accent-ink" : "text-body"
+                  }`}
+                >
+                  <span className="truncate">
+                    <Highlighted text={item.label} indices={indices} />
+                  </span>
+                  <span className="shrink-0 text-xs text-faint">{item.hint || groupLabel(item.group)}</span>
+                </li>
+              ))}
+            </ul>
+            {!results.length && <p className="px-4 pb-4 text-sm text-faint">{t("palette.empty", { query: query.trim() })}</p>}
+          </div>
+        </div>
+      )}
+      <p
+        role="status"
+        aria-live="polite"
+        className={`no-print fixed bottom-6 left-1/2 -translate-x-1/2 z-50 text-sm px-4 py-2 rounded-xl border bg-highlight text-highlight-ink border-highlight-line ${
+          message ? "" : "sr-only"
+        }`}
+      >
+        {message}
+      </p>
+    </>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useI18n } from "../hooks/useI18n.js";
+import { LIMITS, createRateLimiter, looksLikeSpam, validateMessage } from "../lib/contact.js";
+
+/**
+ * ContactForm.jsx
+ * In-page contact form. Delivery is up to the `adapter` (lib/contact.js);
+ * the Contact section only renders this when one is configured.
+ * Errors show after the first submit attempt; a hidden honeypot field and a
+ * minimum fill time quietly swallow bot submissions. When sending fails, the
+ * address in the message is a mailto: link, so there is always a way through.
+ */
+const EMPTY = { name: "", email: "", message: "" };
+const FIELDS = ["name", "email", "message"];
+
+function Field({ id, label, error, children }) {
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-semibold text-ink">
+        {label}
+      </label>
+      {children}
+      {error && (
+        <p id={`${id}-error`} className="mt-1 text-xs text-highlight-ink bg-highlight rounded px-2 py-0.5 inline-block">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default function ContactForm({ adapter, email }) {
+  const { t } = useI18n();
+  const [values, setValues] = useState(EMPTY);
+  const [honeypot, setHoneypot] = useState("");
+  const [submitted, setSubmitted] = useState(false);
+  const [status, setStatus] = useState({ state: "idle" }); // idle | sending | sent | error | limited
+  const shownAt = useRef(0);
+  const formRef = useRef(null);
+  const limiter = useMemo(() => createRateLimiter(), []);
+
+  useEffect(() => {
+    shownAt.current = Date.now();
+  }, []);
+
+  const errors = validateMessage(values);
+  const visibleErrors = submitted ? errors : {};
+  const set = (field) => (e) => setValues((v) => ({ ...v, [field]: e.target.value }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    const firstInvalid = FIELDS.find((f) => errors[f]);
+    if (firstInvalid) {
+      formRef.current?.elements[firstInvalid]?.focus();
+      return;
+    }
+    if (looksLikeSpam({ honeypot, shownAt: shownAt.current })) {
+      setStatus({ state: "sent" }); // look successful so bots don't retry
+      return;
+    }
+    const wait = limiter.check();
+    if (wait) {
+      setStatus({ state: "limited", minutes: Math.ceil(wait / 60000) });
+      return;
+    }
+
+    setStatus({ state: "sending" });
+    try {
+      await adapter.send({ name: values.name.trim(), email: values.email.trim(), message: values.message.trim() });
+      limiter.record();
+      setValues(EMPTY);
+      setSubmitted(false);
+      setStatus({ state: "sent" });
+    } catch (err) {
+      setStatus({ state: "error", retryable: err.retryable !== false });
+    }
+  };
+
+  const input = (field) => ({
+    id: `contact-${field}`,
+    name: field,
+    value: values[field],
+    onChange: set(field),
+    maxLength: LIMITS[field],
+    "aria-invalid": Boolean(visibleErrors[field]),
+    "aria-describedby": visibleErrors[field] ? `contact-${field}-error` : undefined,
+    className: "mt-1 w-full text-sm px-3 py-2 rounded-lg border bg-field border-field-line text-text",
+  });
+  const errorText = (field) => visibleErrors[field] && t(visibleErrors[field], { max: LIMITS[field] });
+
+  // The translated message with the address in it turned into a mailto: link
+  const withMailto = (text) =>
+    text.split(email).flatMap((part, i) =>
+      i
+        ? [
+            <a key={i} href={`mailto:${email}`} className="text-link underline">
+              {email}
+            </a>,
+            part,
+          ]
+        : [part],
+    );
+
+  const statusText = {
+    sending: t("contact.form.sending"),
+    sent: t("contact.form.sent"),
+    error: withMailto(status.retryable ? t("contact.form.failed", { email }) : t("contact.form.rejected", { email })),
+    limited: t("contact.form.limited", { minutes: status.minutes }),
+  }[status.state];
+
+  return (
+    <form ref={formRef} onSubmit={submit} noValidate className="no-print mt-6 space-y-3" aria-label={t("contact.form.label")}>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <Field id="contact-name" label={t("contact.form.name")} error={errorText("name")}>
+          <input type="text" autoComplete="name" {...input("name")} />
+        </Field>
+        <Field id="contact-email" label={t("contact.form.email")} error={errorText("email")}>
+          <input type="email" autoComplete="email" {...input("email")} />
+        </Field>
+      </div>
+      <Field id="contact-message" label={t("contact.form.message")} error={errorText("message")}>
+        <textarea rows={5} {...input("message")} />
+      </Field>
+
+      {/* Honeypot: off-screen and skipped by keyboard/AT; only bots fill it in */}
+      <div className="absolute -left-[9999px] w-px h-px overflow-hidden" aria-hidden="true">
+        <label>
+          Website
+          <input name="website" tabIndex={-1} autoComplete="off" value={honeypot} onChange={(e) => setHoneypot(e.target.value)} />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="submit"
+          disabled={status.state === "sending"}
+          className="px-4 py-2 rounded-xl border bg-btn-go text-btn-go-ink border-btn-go-line hover:brightness-125 disabled:opacity-60"
+        >
+          {t("contact.form.send")}
+        </button>
+        <p role="status" aria-live="polite" className={`text-sm ${status.state === "error" || status.state === "limited" ? "text-ink" : "text-body"}`}>
+          {statusText}
+        </p>
+      </div>
+    </form>
+  );
+}
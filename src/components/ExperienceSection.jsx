@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { Card, SectionHeading } from "./ui.jsx";
+import ExperienceTimeline from "./ExperienceTimeline.jsx";
+import { useI18n } from "../hooks/useI18n.js";
+
+/**
+ * ExperienceSection.jsx
+ * EXPERIENCE as a stack of cards or as a timeline (<ExperienceTimeline />).
+ * The chosen view is remembered in localStorage.
+ */
+const VIEW_KEY = "experienceView";
+const VIEWS = ["list", "timeline"];
+
+const savedView = () => {
+  const saved = typeof localStorage === "undefined" ? null : localStorage.getItem(VIEW_KEY);
+  return VIEWS.includes(saved) ? saved : "list";
+};
+
+export default function ExperienceSection({ experience, section }) {
+  const { t, formatTime } = useI18n();
+  const [view, setViewState] = useState(savedView);
+  const setView = (next) => {
+    setViewState(next);
+    localStorage.setItem(VIEW_KEY, next);
+  };
+
+  return (
+    <section id="experience" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
+      <div className="flex flex-wrap items-start justify-between gap-x-4">
+        <SectionHeading {...section} />
+        <div role="group" aria-label={t("experience.view")} className="no-print flex rounded-xl border border-btn-line overflow-hidden mb-6">
+          {VIEWS.map((v) => (
+            <button
+              key={v}
+              aria-pressed={view === v}
+              onClick={() => setView(v)}
+              className={`px-3 py-1.5 text-sm ${view === v ? "bg-accent text-accent-ink" : "bg-btn text-btn-ink hover:brightness-125"}`}
+            >
+              {t(`experience.${v}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === "timeline" ? (
+        <ExperienceTimeline experience={experience} />
+      ) : (
+        <div className="space-y-4">
+          {experience.map((e, idx) => (
+            <Card key={idx} id={`experience-${idx}`} className="scroll-mt-24">
+              <div className="p-6">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-ink">
+                    {e.role} • <span className="text-body">{e.org}</span>
+                  </h3>
+                  <span className="text-xs text-faint">{formatTime(e)}</span>
+                </div>
+                <ul className="mt-2 list-disc list-inside text-sm space-y-1 text-body">
+                  {e.pts.map((pt, i) => (
+                    <li key={i}>{pt}</li>
+                  ))}
+                </ul>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useLayoutEffect, useMemo, useRef, useState } from "react";
+import { Card } from "./ui.jsx";
+import { useLocation } from "../lib/router.js";
+import { useI18n } from "../hooks/useI18n.js";
+import { DEFAULT_ZOOM, ZOOMS, layoutTimeline, monthNumber, neighbour, yearTicks } from "../lib/timeline.js";
+
+/**
+ * ExperienceTimeline.jsx
+ * EXPERIENCE on a time axis, overlapping roles on parallel tracks
+ * (lib/timeline.js). Hovering, focusing or selecting a role shows its
+ * bullets below. Each role is a toggle button with a roving tabindex:
+ * ←/→ step through time, ↑/↓ switch tracks, Home/End jump, +/− zoom and
+ * Escape clears the selection. #experience-<idx> selects a role, like the
+ * cards in list view.
+ */
+const AXIS = 28; // px above the first track
+const TRACK = 44; // px per track
+const PAD_MONTHS = 2; // empty months either side
+
+export default function ExperienceTimeline({ experience, now }) {
+  const { t, formatTime } = useI18n();
+  const { hash } = useLocation();
+  const layout = useMemo(() => layoutTimeline(experience, now), [experience, now]);
+  const { items } = layout;
+  const fromHash = (h) => items.find((i) => `experience-${i.idx}` === h)?.idx ?? null;
+
+  const [selected, setSelected] = useState(() => fromHash(hash));
+  const [preview, setPreview] = useState(null);
+  const [tabStop, setTabStop] = useState(() => selected ?? items[items.length - 1].idx);
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  // Navigating to a role's anchor (command palette, shared link) selects it
+  const [seenHash, setSeenHash] = useState(hash);
+  if (hash !== seenHash) {
+    setSeenHash(hash);
+    if (fromHash(hash) !== null) {
+      setSelected(fromHash(hash));
+      setTabStop(fromHash(hash));
+    }
+  }
+
+  const scrollRef = useRef(null);
+  const bars = useRef(new Map());
+  const keepCenter = useRef(null);
+
+  const ppm = ZOOMS[zoom];
+  const from = layout.from - PAD_MONTHS;
+  const to = layout.to + PAD_MONTHS;
+  const x = (month) => (month - from) * ppm;
+  const nowMonth = monthNumber(now ?? new Date());
+
+  // Start at the most recent end; keep the view centred on the same date across zooms
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (keepCenter.current === null) el.scrollLeft = el.scrollWidth;
+    else el.scrollLeft = keepCenter.current * el.scrollWidth - el.clientWidth / 2;
+  }, [ppm]);
+
+  const zoomTo = (level) => {
+    const next = Math.min(Math.max(level, 0), ZOOMS.length - 1);
+    if (next === zoom) return;
+    const el = scrollRef.current;
+    keepCenter.current = (el.scrollLeft + el.clientWidth / 2) / el.scrollWidth;
+    setZoom(next);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "+" || e.key === "=") zoomTo(zoom + 1);
+    else if (e.key === "-" || e.key === "_") zoomTo(zoom - 1);
+    else if (e.key === "Escape") setSelected(null);
+    else {
+      const current = items.find((i) => i.idx === tabStop);
+      const next = neighbour(items, current, e.key);
+      if (!next) return;
+      setTabStop(next.idx);
+      bars.current.get(next.idx)?.focus();
+    }
+    e.preventDefault();
+  };
+
+  const shown = items.find((i) => i.idx === (preview ?? selected));
+  const zoomBtn = "w-8 h-8 rounded-lg border bg-btn border-btn-line text-btn-ink hover:brightness-125 disabled:opacity-50";
+
+  return (
+    <Card>
+      <div className="p-6">
+        <div className="no-print flex items-center justify-between gap-3 mb-3">
+          <p id="timeline-hint" className="text-xs text-faint">
+            {t("timeline.hint")}
+          </p>
+          <div className="flex gap-2 shrink-0">
+            <button className={zoomBtn} onClick={() => zoomTo(zoom - 1)} disabled={zoom === 0} aria-label={t("timeline.zoomOut")}>
+              −
+            </button>
+            <button
+              className={zoomBtn}
+              onClick={() => zoomTo(zoom + 1)}
+              disabled={zoom === ZOOMS.length - 1}
+              aria-label={t("timeline.zoomIn")}
+            >
+              +
+            </button>
+          </div>
+        </div>
+
+        <div ref={scrollRef} className="overflow-x-auto pb-2">
+          <div className="relative" style={{ width: x(to + 1), height: AXIS + layout.tracks * TRACK }}>
+            {yearTicks(from, to).map(({ year, month }) => (
+              <div key={year} aria-hidden="true" className="absolute top-0 bottom-0 border-l border-line" style={{ left: x(month) }}>
+                <span className="absolute top-0 left-1.5 text-xs text-faint">{year}</span>
+              </div>
+            ))}
+            {nowMonth >= from && nowMonth <= to && (
+              <div
+                aria-hidden="true"
+                className="absolute bottom-0 border-l-2 border-dashed border-link"
+                style={{ left: x(nowMonth + 1), top: AXIS - 8 }}
+              />
+            )}
+
+            <div role="group" aria-label={t("timeline.label")} aria-describedby="timeline-hint" onKeyDown={onKeyDown}>
+              {items.map((item) => {
+                const { idx, entry } = item;
+                const active = selected === idx;
+                return (
+                  <button
+                    key={idx}
+                    id={`experience-${idx}`}
+                    ref={(el) => (el ? bars.current.set(idx, el) : bars.current.delete(idx))}
+                    tabIndex={idx === tabStop ? 0 : -1}
+                    aria-pressed={active}
+                    aria-controls="timeline-details"
+                    aria-label={`${entry.role} • ${entry.org}, ${formatTime(entry)}`}
+                    title={`${entry.role} • ${entry.org}`}
+                    onClick={() => {
+                      setTabStop(idx);
+                      setSelected(active ? null : idx);
+                    }}
+                    onPointerEnter={() => setPreview(idx)}
+                    onPointerLeave={() => setPreview(null)}
+                    onFocus={() => {
+                      setTabStop(idx);
+                      setPreview(idx);
+                    }}
+                    onBlur={() => setPreview(null)}
+                    className={`scroll-mt-24 absolute h-9 px-2 flex items-center text-xs font-semibold border transition-colors ${
+                      item.ongoing ? "rounded-l-lg" : "rounded-lg"
+                    } ${
+                      active
+                        ? "bg-accent border-accent-line text-accent-ink"
+                        : "bg-chip border-chip-line text-chip-ink hover:border-faint"
+                    }`}
+                    style={{ left: x(item.start), width: x(item.end + 1) - x(item.start), top: AXIS + item.track * TRACK }}
+                  >
+                    <span className="truncate">{entry.org}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+
+        <div id="timeline-details" className="mt-4 min-h-24">
+          {shown && (
+            <>
+              <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+                <h3 className="text-lg font-semibold text-ink">
+                  {shown.entry.role} • <span className="text-body">{shown.entry.org}</span>
+                </h3>
+                <span className="text-xs text-faint">{formatTime(shown.entry)}</span>
+              </div>
+              <ul className="mt-2 list-disc list-inside text-sm space-y-1 text-body">
+                {shown.entry.pts.map((pt, i) => (
+                  <li key={i}>{pt}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useEffect, useMemo, useState } from "react";
+import baseContent from "../content/portfolio.json";
+import { I18nContext } from "../hooks/useI18n.js";
+import { DEFAULT_LOCALE, detectLocale, formatDay, formatTimeRange, localizeContent, translate } from "../lib/i18n.js";
+import { navigate, stripBase } from "../lib/router.js";
+
+/* =============================
+   🌐 Locale provider
+   ============================= */
+/**
+ * Picks the locale (?lang= → saved choice → navigator.languages → English),
+ * translates portfolio.json through that locale's bundle and exposes t().
+ * Bundles are every src/content/locales/*.json; the content plugin reports
+ * their missing keys at build time.
+ */
+const BUNDLES = Object.fromEntries(
+  Object.entries(import.meta.glob("../content/locales/*.json", { eager: true, import: "default" })).map(
+    ([path, bundle]) => [path.match(/([\w-]+)\.json$/)[1], bundle],
+  ),
+);
+const LOCALES = Object.entries(BUNDLES).map(([code, b]) => ({ code, label: b.label }));
+const LOCALE_KEY = "locale";
+
+export default function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(() =>
+    typeof window === "undefined"
+      ? DEFAULT_LOCALE // prerendered pages are English; the client re-renders in the visitor's locale
+      : detectLocale({
+          search: window.location.search,
+          stored: localStorage.getItem(LOCALE_KEY),
+          languages: navigator.languages?.length ? navigator.languages : [navigator.language],
+          available: Object.keys(BUNDLES),
+        }),
+  );
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => {
+    const bundle = BUNDLES[locale];
+    const fallback = BUNDLES[DEFAULT_LOCALE].ui;
+    const t = (key, vars) => translate(bundle.ui, fallback, key, vars);
+    return {
+      locale,
+      locales: LOCALES,
+      // Explicit choices are remembered; a ?lang= already in the URL is kept in step
+      setLocale: (code) => {
+        setLocaleState(code);
+        localStorage.setItem(LOCALE_KEY, code);
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has("lang")) return;
+        params.set("lang", code);
+        navigate(`${stripBase(window.location.pathname)}?${params}${window.location.hash}`, { replace: true });
+      },
+      t,
+      content: localizeContent(baseContent, bundle.content),
+      formatTime: (entry) => formatTimeRange(entry, locale, t("time.present")),
+      formatDate: (date) => formatDay(date, locale),
+    };
+  }, [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef } from "react";
+import { usePrefersReducedMotion } from "../hooks/useMediaQuery.js";
+import { createPhysicsEngine } from "../lib/physicsEngine.js";
+import { DEFAULT_SCENE } from "../lib/scenes.js";
+import { attachPointerInput, attachTiltInput } from "../lib/pointerInput.js";
+
+/* =============================
+   🔭 Physics Background Canvas
+   ============================= */
+/**
+ * Particles driven by a declarative scene (lib/scenes.js): orbiting wells,
+ * galaxy disc, flow field or N-body gravity. `scene` can change at runtime.
+ * - Pointer Events: mouse and every touching finger push/pull particles;
+ *   press-and-hold drops a temporary well; `tilt` feeds device orientation in as gravity.
+ * - Simulation + drawing run in a Web Worker on an OffscreenCanvas when the
+ *   browser supports it (thousands of particles without scroll jank);
+ *   otherwise the same engine runs here on the main thread.
+ * - Adaptive: a quality governor trades particle count, then pixel ratio, to hold ~60 FPS.
+ * - Pauses while the tab is hidden or the canvas is scrolled/clipped out of view.
+ * - prefers-reduced-motion: draws one static frame and never animates.
+ */
+const WORKER_LIMITS = { maxCount: 4000 };
+const MAIN_THREAD_LIMITS = { maxCount: 600 };
+
+const canUseWorker = (canvas) => typeof Worker !== "undefined" && "transferControlToOffscreen" in canvas;
+
+/** Same interface as createPhysicsEngine, backed by a worker. */
+function createWorkerEngine(canvas, opts) {
+  const worker = new Worker(new URL("../workers/physics.worker.js", import.meta.url), { type: "module" });
+  const offscreen = canvas.transferControlToOffscreen();
+  worker.postMessage({ type: "init", canvas: offscreen, ...opts }, [offscreen]);
+  return {
+    resize: (width, height, dpr) => worker.postMessage({ type: "resize", width, height, dpr }),
+    pointers: (list) => worker.postMessage({ type: "pointers", list }),
+    addWell: (x, y) => worker.postMessage({ type: "well", x, y }),
+    tilt: (vec) => worker.postMessage({ type: "tilt", vec }),
+    setScene: (scene) => worker.postMessage({ type: "scene", scene }),
+    setRunning: (on) => worker.postMessage({ type: "running", on }),
+    destroy: () => worker.terminate(),
+  };
+}
+
+export default function PhysicsBackground({ scene = DEFAULT_SCENE, tilt = false, targetFps = 60 }) {
+  const hostRef = useRef(null);
+  const engineRef = useRef(null);
+  const sceneRef = useRef(scene);
+  const reducedMotion = usePrefersReducedMotion();
+
+  useEffect(() => {
+    sceneRef.current = scene;
+    engineRef.current?.setScene(scene);
+  }, [scene]);
+
+  useEffect(() => {
+    const host = hostRef.current;
+    if (!host) return;
+
+    // A fresh canvas per mount: control of a canvas can only be transferred once
+    const c = document.createElement("canvas");
+    c.className = "absolute inset-0 w-full h-full";
+    host.appendChild(c);
+
+    const size = () => ({ width: host.clientWidth, height: host.clientHeight, dpr: window.devicePixelRatio || 1 });
+    const opts = { ...size(), scene: sceneRef.current, reducedMotion, targetFps };
+    const engine = canUseWorker(c)
+      ? createWorkerEngine(c, { ...opts, ...WORKER_LIMITS })
+      : createPhysicsEngine(c, { ...opts, ...MAIN_THREAD_LIMITS });
+    engineRef.current = engine;
+
+    let visible = !document.hidden;
+    let onScreen = true;
+    const sync = () => engine.setRunning(visible && onScreen);
+
+    const onResize = () => {
+      const { width, height, dpr } = size();
+      engine.resize(width, height, dpr);
+    };
+    const onVisibility = () => {
+      visible = !document.hidden;
+      sync();
+    };
+    const io =
+      "IntersectionObserver" in window
+        ? new IntersectionObserver(([entry]) => {
+            onScreen = entry.isIntersecting;
+            sync();
+          })
+        : null;
+    io?.observe(host);
+
+    // Window-level pointer events so the canvas behind content still reacts
+    const detachPointers = attachPointerInput(engine);
+
+    window.addEventListener("resize", onResize);
+    document.addEventListener("visibilitychange", onVisibility);
+
+    return () => {
+      engine.destroy();
+      engineRef.current = null;
+      io?.disconnect();
+      detachPointers();
+      window.removeEventListener("resize", onResize);
+      document.removeEventListener("visibilitychange", onVisibility);
+      c.remove();
+    };
+  }, [reducedMotion, targetFps]);
+
+  useEffect(() => {
+    if (!tilt || !engineRef.current) return;
+    return attachTiltInput(engineRef.current);
+  }, [tilt, reducedMotion, targetFps]);
+
+  // IMPORTANT: this wrapper is placed inside a fixed layer,
+  // so here we only need it to be absolute to fill that layer.
+  return <div ref={hostRef} className="absolute inset-0" aria-hidden="true" />;
+}
@@ -0,0 +1,104 @@
+import React, { useEffect } from "react";
+import { motion } from "framer-motion";
+import { Card, SectionHeading } from "./ui.jsx";
+import { PostMeta } from "./BlogIndex.jsx";
+import { Link } from "../lib/router.js";
+import { useI18n } from "../hooks/useI18n.js";
+import { postPath } from "../lib/posts.js";
+
+/**
+ * PostPage.jsx
+ * One blog post at /blog/<slug>. The body is HTML compiled from the post's
+ * Markdown at build time (scripts/posts.js) from files in this repo, so it
+ * is trusted as is; `project` is the related PROJECTS entry, if any.
+ * <RelatedPosts> is the other direction: a project's posts, on its card and page.
+ */
+export default function PostPage({ post, posts, project, profile }) {
+  const { t } = useI18n();
+  const idx = posts.indexOf(post);
+  const newer = posts[idx - 1];
+  const older = posts[idx + 1];
+
+  useEffect(() => {
+    document.title = `${post.title} · ${profile.name}`;
+  }, [post, profile]);
+
+  const linkCls = "text-link hover:underline";
+
+  return (
+    <article className="max-w-3xl mx-auto px-4 pt-12 pb-24">
+      <Link to="/blog" className={`no-print text-sm ${linkCls}`}>
+        {t("blog.all")}
+      </Link>
+
+      <motion.div initial={{ opacity: 0, y: 16 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.5 }}>
+        <div className="mt-6">
+          <SectionHeading title={post.title} subtitle={post.summary} />
+        </div>
+
+        <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
+          <PostMeta post={post} />
+          <div className="flex flex-wrap gap-2">
+            {post.tags.map((tag) => (
+              <Link
+                key={tag}
+                to={`/blog?tag=${encodeURIComponent(tag)}`}
+                className="text-xs px-2 py-1 rounded-md border bg-chip border-chip-line text-chip-ink hover:text-ink"
+              >
+                {tag}
+              </Link>
+            ))}
+          </div>
+        </div>
+
+        <Card>
+          <div className="prose-post p-6 md:p-8" dangerouslySetInnerHTML={{ __html: post.html }} />
+        </Card>
+
+        {project && (
+          <p className="mt-6 text-sm text-body">
+            {t("blog.project")}{" "}
+            <Link to={`/projects/${project.slug}`} className={linkCls}>
+              {project.title}
+            </Link>
+          </p>
+        )}
+      </motion.div>
+
+      <nav className="mt-8 flex justify-between gap-4 text-sm" aria-label={t("blog.more")}>
+        {older ? (
+          <Link to={postPath(older)} className={linkCls}>
+            ← {older.title}
+          </Link>
+        ) : (
+          <span />
+        )}
+        {newer && (
+          <Link to={postPath(newer)} className={`text-right ${linkCls}`}>
+            {newer.title} →
+          </Link>
+        )}
+      </nav>
+    </article>
+  );
+}
+
+/** "Related writing" links under a project (card or page); nothing when there are none. */
+export function RelatedPosts({ posts }) {
+  const { t } = useI18n();
+  if (!posts.length) return null;
+  return (
+    <div className="mt-4 text-sm">
+      <p className="text-faint">{t("projects.posts")}</p>
+      <ul className="mt-1 space-y-1">
+        {posts.map((post) => (
+          <li key={post.slug}>
+            <Link to={postPath(post)} className="text-link hover:underline">
+              {post.title}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
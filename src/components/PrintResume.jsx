@@ -0,0 +1,96 @@
+import React from "react";
+import { groupSkills } from "../lib/skills.js";
+import { useI18n } from "../hooks/useI18n.js";
+
+/**
+ * PrintResume.jsx
+ * Compact two-column resume that only exists on paper (`hidden print:block`).
+ * Same sections as the generated PDF (scripts/resume-pdf.js); the screen
+ * layout is hidden while printing the home page. Link URLs are spelled out
+ * by the print stylesheet in index.css.
+ */
+function Heading({ children }) {
+  return (
+    <h2 className="mt-4 mb-1.5 pb-0.5 text-xs font-bold uppercase tracking-wider text-ink border-b border-line break-after-avoid">
+      {children}
+    </h2>
+  );
+}
+
+export default function PrintResume({ profile, sections, about, projects, experience, skills }) {
+  const { t, formatTime } = useI18n();
+  const focus = about.filter((a) => a.items);
+  return (
+    <div className="print-resume hidden print:block text-[10pt] leading-snug text-ink">
+      <header className="break-inside-avoid">
+        <h1 className="text-2xl font-extrabold text-ink">{profile.name}</h1>
+        <p className="text-body">{profile.tagline}</p>
+        <p className="text-xs text-faint">
+          {profile.email} · {profile.github.replace(/^https?:\/\//, "")}
+        </p>
+      </header>
+
+      <div className="grid grid-cols-[1fr_13rem] gap-6">
+        <div>
+          <Heading>{sections.experience.title}</Heading>
+          {experience.map((e) => (
+            <section key={`${e.org}-${e.role}`} className="mb-2 break-inside-avoid">
+              <div className="flex justify-between gap-3">
+                <h3 className="font-semibold text-ink">
+                  {e.role} • {e.org}
+                </h3>
+                <span className="shrink-0 text-xs text-faint">{formatTime(e)}</span>
+              </div>
+              <ul className="list-disc pl-4 text-body">
+                {e.pts.map((pt, i) => (
+                  <li key={i}>{pt}</li>
+                ))}
+              </ul>
+            </section>
+          ))}
+
+          <Heading>{sections.projects.title}</Heading>
+          {projects.map((p) => (
+            <section key={p.slug} className="mb-2 break-inside-avoid">
+              <div className="flex justify-between gap-3">
+                <h3 className="font-semibold text-ink">{p.title}</h3>
+                <span className="shrink-0 text-xs text-faint">{p.metrics.join(" · ")}</span>
+              </div>
+              <p className="text-body">
+                {p.blurb}
+                {p.link && (
+                  <>
+                    {" "}
+                    <a href={p.link}>{t("print.code")}</a>
+                  </>
+                )}
+              </p>
+              <p className="text-xs text-faint">{p.tags.join(" · ")}</p>
+            </section>
+          ))}
+        </div>
+
+        <aside>
+          <Heading>{sections.skills.title}</Heading>
+          {groupSkills(skills).map((g) => (
+            <div key={g.id} className="mb-1.5 break-inside-avoid">
+              <h3 className="text-xs font-semibold text-ink">{t(`skills.category.${g.id}`)}</h3>
+              <p className="text-body">{g.skills.map((s) => s.name).join(" · ")}</p>
+            </div>
+          ))}
+
+          {focus.map((a) => (
+            <div key={a.title} className="break-inside-avoid">
+              <Heading>{a.title}</Heading>
+              <ul className="list-disc pl-4 text-body">
+                {a.items.map((it, i) => (
+                  <li key={i}>{it}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </aside>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useEffect } from "react";
+import { motion } from "framer-motion";
+import { Card, SectionHeading } from "./ui.jsx";
+import { Link } from "../lib/router.js";
+import { useI18n } from "../hooks/useI18n.js";
+import { RelatedPosts } from "./PostPage.jsx";
+import RiscvDemo from "./RiscvDemo.jsx";
+import { postsForProject } from "../lib/posts.js";
+
+/**
+ * ProjectPage.jsx
+ * Full write-up for one PROJECTS entry, served at /projects/<slug>, with
+ * links to the blog posts written about it and, for projects with a `demo`,
+ * an interactive demo panel.
+ */
+export default function ProjectPage({ project, projects, profile, posts = [] }) {
+  const idx = projects.indexOf(project);
+  const prev = projects[idx - 1];
+  const next = projects[idx + 1];
+  const { t } = useI18n();
+
+  useEffect(() => {
+    document.title = `${project.title} · ${profile.name}`;
+  }, [project, profile]);
+
+  const linkCls = "text-link hover:underline";
+
+  return (
+    <article className="max-w-4xl mx-auto px-4 pt-12 pb-24">
+      <Link to="/#projects" className={`no-print text-sm ${linkCls}`}>
+        {t("projects.all")}
+      </Link>
+
+      <motion.div initial={{ opacity: 0, y: 16 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.5 }}>
+        <div className="mt-6">
+          <SectionHeading title={project.title} subtitle={project.blurb} />
+        </div>
+
+        <Card>
+          <div className="p-6">
+            <div className="flex flex-wrap gap-2">
+              {project.metrics.map((m, i) => (
+                <span key={i} className="text-xs px-3 py-1 rounded-full bg-metric border border-chip-line text-metric-ink">
+                  {m}
+                </span>
+              ))}
+            </div>
+
+            <div className="mt-5 space-y-4 text-body">
+              {project.writeup.map((para, i) => (
+                <p key={i}>{para}</p>
+              ))}
+            </div>
+
+            <div className="mt-5 flex flex-wrap gap-2">
+              {project.tags.map((t, i) => (
+                <span key={i} className="text-xs px-2 py-1 rounded-md border bg-chip border-chip-line text-chip-ink">
+                  {t}
+                </span>
+              ))}
+            </div>
+
+            <RelatedPosts posts={postsForProject(posts, project.slug)} />
+
+            {project.link && (
+              <div className="mt-5">
+                <a href={project.link} target="_blank" rel="noopener noreferrer" className={linkCls}>
+                  {t("projects.viewCode")}
+                </a>
+              </div>
+            )}
+          </div>
+        </Card>
+
+        {project.demo === "rv32i" && <RiscvDemo />}
+      </motion.div>
+
+      <nav className="mt-8 flex justify-between gap-4 text-sm" aria-label={t("projects.more")}>
+        {prev ? (
+          <Link to={`/projects/${prev.slug}`} className={linkCls}>
+            ← {prev.title}
+          </Link>
+        ) : (
+          <span />
+        )}
+        {next && (
+          <Link to={`/projects/${next.slug}`} className={`text-right ${linkCls}`}>
+            {next.title} →
+          </Link>
+        )}
+      </nav>
+    </article>
+  );
+}
+
+/** Shown for unknown paths and unknown project slugs. */
+export function NotFound() {
+  const { t } = useI18n();
+  return (
+    <section className="max-w-4xl mx-auto px-4 pt-16 pb-24">
+      <SectionHeading title={t("notFound.title")} subtitle={t("notFound.subtitle")} />
+      <Link to="/" className="text-link hover:underline">
+        {t("notFound.home")}
+      </Link>
+    </section>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useMemo } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { Card, SectionHeading } from "./ui.jsx";
+import { Link, navigate, useLocation } from "../lib/router.js";
+import { useI18n } from "../hooks/useI18n.js";
+import { SORTS, collectTags, filterProjects, parseFilters, sameTag, serializeFilters } from "../lib/projectFilters.js";
+import { RelatedPosts } from "./PostPage.jsx";
+import { postsForProject } from "../lib/posts.js";
+
+/**
+ * ProjectsSection.jsx
+ * Projects grid with clickable tag chips, free-text search and sorting.
+ * Filter state lives in the URL (?tag=…&q=…&sort=…) — replaceState, so typing doesn't spam history.
+ * Any blog posts about a project are linked from its card.
+ */
+export default function ProjectsSection({ projects, section, posts = [] }) {
+  const { search } = useLocation();
+  const { t } = useI18n();
+  const filters = parseFilters(search);
+  const tags = useMemo(() => collectTags(projects), [projects]);
+  const shown = filterProjects(projects, filters);
+
+  const update = (patch) => navigate(`/${serializeFilters({ ...filters, ...patch }, search)}#projects`, { replace: true });
+  const toggleTag = (tag) => update({ tag: sameTag(filters.tag, tag) ? "" : tag });
+
+  const muted = "text-body";
+  const field = "text-sm px-3 py-1.5 rounded-lg border bg-field border-field-line text-text";
+  const chip = (active) =>
+    `text-xs px-2 py-1 rounded-md border transition-colors ${
+      active ? "bg-accent border-accent-line text-accent-ink" : "bg-chip border-chip-line text-chip-ink hover:text-ink"
+    }`;
+
+  return (
+    <section id="projects" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
+      <SectionHeading {...section} />
+
+      {/* Controls */}
+      <div className="no-print mb-6 space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="search"
+            value={filters.q}
+            onChange={(e) => update({ q: e.target.value })}
+            placeholder={t("projects.search")}
+            aria-label={t("projects.search")}
+            className={`${field} flex-1 min-w-[12rem]`}
+          />
+          <label className={`text-sm flex items-center gap-2 ${muted}`}>
+            {t("projects.sort")}
+            <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} className={field}>
+              {Object.keys(SORTS).map((value) => (
+                <option key={value} value={value}>
+                  {t(`projects.sort.${value}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-2" role="group" aria-label={t("projects.filterByTag")}>
+          {tags.map(({ tag, count }) => (
+            <button key={tag} className={chip(sameTag(filters.tag, tag))} aria-pressed={sameTag(filters.tag, tag)} onClick={() => toggleTag(tag)}>
+              {tag}
+              {count > 1 && <span> ×{count}</span>}
+            </button>
+          ))}
+        </div>
+        {(filters.tag || filters.q) && (
+          <p className={`text-sm ${muted}`} aria-live="polite">
+            {t("projects.count", { shown: shown.length, total: projects.length })}
+            {" · "}
+            <button className="underline" onClick={() => update({ tag: "", q: "" })}>
+              {t("projects.clear")}
+            </button>
+          </p>
+        )}
+      </div>
+
+      <motion.div layout className="grid md:grid-cols-2 gap-6">
+        <AnimatePresence initial={false} mode="popLayout">
+          {shown.map((p) => (
+            <motion.div
+              key={p.slug}
+              layout
+              initial={{ opacity: 0, scale: 0.96 }}
+              animate={{ opacity: 1, scale: 1 }}
+              exit={{ opacity: 0, scale: 0.96 }}
+              transition={{ duration: 0.25 }}
+            >
+              <Card className="h-full">
+                <div className="p-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <h3 className="text-lg md:text-xl font-semibold text-ink">
+                      <Link to={`/projects/${p.slug}`} className="hover:underline">
+                        {p.title}
+                      </Link>
+                    </h3>
+                    <div className="flex flex-wrap gap-1">
+                      {p.metrics.map((m, i) => (
+                        <span
+                          key={i}
+                          className="text-xs px-2 py-1 rounded-full bg-metric border border-chip-line text-metric-ink"
+                        >
+                          {m}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <p className={`${muted} mt-3`}>{p.blurb}</p>
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {p.tags.map((t) => (
+                      <button key={t} className={chip(sameTag(filters.tag, t))} aria-pressed={sameTag(filters.tag, t)} onClick={() => toggleTag(t)}>
+                        {t}
+                      </button>
+                    ))}
+                  </div>
+                  <RelatedPosts posts={postsForProject(posts, p.slug)} />
+                  {p.link && (
+                    <div className="mt-4">
+                      <a
+                        href={p.link}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-link hover:underline"
+                      >
+                        {t("projects.viewCode")}
+                      </a>
+                    </div>
+                  )}
+                </div>
+              </Card>
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </motion.div>
+      {!shown.length && <p className={`${muted} text-sm`}>{t("projects.none")}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,237 @@
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { Card } from "./ui.jsx";
+import { useI18n } from "../hooks/useI18n.js";
+import { DATA_BASE, REG_NAMES, assemble, cloneMachine, createMachine, hex, loadWord, run, step } from "../lib/rv32i.js";
+import { ECC_PAIR, PROGRAMS } from "../lib/rvPrograms.js";
+
+/**
+ * RiscvDemo.jsx
+ * The in-browser RV32I simulator on the Secure RISC-V project page: pick a
+ * sample program, step or run it, and watch the source line, registers and
+ * data memory. "Compare" runs the naive and optimized ECC programs to the
+ * end and reports their cycle counts.
+ *
+ * Each step works on a copy of the machine (cloneMachine), so the reducer
+ * stays pure and the previous state is kept to highlight changed registers.
+ */
+
+const RUN_LIMIT = 2_000_000;
+
+const programById = (id) => PROGRAMS.find((p) => p.id === id);
+
+function load(id) {
+  const program = programById(id);
+  return { id, machine: createMachine(assemble(program.source)), prev: null, error: null };
+}
+
+function reducer(state, action) {
+  switch (action.type) {
+    case "load":
+      return load(action.id);
+    case "reset":
+      return load(state.id);
+    case "step":
+    case "run": {
+      if (state.machine.halted || state.error) return state;
+      const machine = cloneMachine(state.machine);
+      try {
+        if (action.type === "step") step(machine);
+        else if (run(machine, { maxSteps: RUN_LIMIT }) === RUN_LIMIT && !machine.halted) {
+          return { ...state, machine, prev: state.machine, error: { key: "demo.limit" } };
+        }
+      } catch (err) {
+        return { ...state, machine, prev: state.machine, error: { key: "demo.error", message: err.message } };
+      }
+      return { ...state, machine, prev: state.machine };
+    }
+    default:
+      return state;
+  }
+}
+
+/** Run one program to completion from a fresh machine. */
+function measure(id) {
+  const machine = createMachine(assemble(programById(id).source));
+  run(machine, { maxSteps: RUN_LIMIT });
+  return { id, cycles: machine.cycles, instret: machine.instret };
+}
+
+// Source line of the instruction at pc (pseudo-instructions can span several words).
+function lineAt(listing, pc) {
+  let found = null;
+  for (const entry of listing) {
+    if (entry.addr > pc) break;
+    found = entry;
+  }
+  return found?.line;
+}
+
+export default function RiscvDemo() {
+  const { t, locale } = useI18n();
+  const [state, dispatch] = useReducer(reducer, PROGRAMS[0].id, load);
+  const [comparison, setComparison] = useState(null);
+  const { machine, prev, error } = state;
+  const { listing, data, symbols } = machine.program;
+  const sourceLines = programById(state.id).source.trimEnd().split("\n");
+  const current = machine.halted ? null : lineAt(listing, machine.pc);
+  const listRef = useRef(null);
+
+  const num = (n) => n.toLocaleString(locale);
+
+  // Data words, labelled with the symbol that starts at each address
+  const labels = useMemo(() => {
+    const byAddr = new Map();
+    symbols.forEach((addr, name) => {
+      if (addr >= DATA_BASE && !byAddr.has(addr)) byAddr.set(addr, name);
+    });
+    return byAddr;
+  }, [symbols]);
+  const words = Array.from({ length: Math.ceil(data.length / 4) }, (_, i) => DATA_BASE + i * 4);
+
+  useEffect(() => {
+    const list = listRef.current;
+    const line = list?.querySelector("[aria-current]");
+    if (line) list.scrollTop = line.offsetTop - list.clientHeight / 2;
+  }, [current]);
+
+  const status = error
+    ? t(error.key, { message: error.message, steps: num(RUN_LIMIT) })
+    : machine.halted
+      ? t("demo.halted", { code: machine.exitCode ?? "—" })
+      : t("demo.paused", { pc: hex(machine.pc, 4) });
+
+  const compare = () => {
+    const [naive, optimized] = ECC_PAIR.map(measure);
+    setComparison({ naive, optimized, gain: Math.round((naive.cycles / optimized.cycles - 1) * 100) });
+  };
+
+  const btnCls = "px-3 py-1.5 rounded-lg text-sm border bg-btn text-body border-btn-line hover:text-ink disabled:opacity-50";
+
+  return (
+    <section className="no-print mt-8" aria-labelledby="riscv-demo">
+      <Card>
+        <div className="p-6">
+          <h3 id="riscv-demo" className="text-lg font-semibold text-ink">
+            {t("demo.title")}
+          </h3>
+          <p className="mt-1 text-sm text-body">{t("demo.intro")}</p>
+
+          <div className="mt-4 flex flex-wrap items-end gap-3">
+            <label className="text-sm text-faint">
+              {t("demo.program")}
+              <select
+                className="mt-1 block text-sm px-3 py-1.5 rounded-lg border bg-field border-field-line text-text"
+                value={state.id}
+                onChange={(e) => dispatch({ type: "load", id: e.target.value })}
+              >
+                {PROGRAMS.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {t(`demo.program.${p.id}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button className={btnCls} onClick={() => dispatch({ type: "step" })} disabled={machine.halted || !!error}>
+              {t("demo.step")}
+            </button>
+            <button className={btnCls} onClick={() => dispatch({ type: "run" })} disabled={machine.halted || !!error}>
+              {t("demo.run")}
+            </button>
+            <button className={btnCls} onClick={() => dispatch({ type: "reset" })}>
+              {t("demo.reset")}
+            </button>
+          </div>
+          <p className="mt-2 text-sm text-body">{t(`demo.about.${state.id}`)}</p>
+
+          <div className="mt-3 text-sm text-ink" role="status">
+            <p>{status}</p>
+            <p className="text-faint">
+              {t("demo.counts", {
+                cycles: num(machine.cycles),
+                instret: num(machine.instret),
+                cpi: machine.instret ? (machine.cycles / machine.instret).toFixed(2) : "—",
+              })}
+            </p>
+          </div>
+
+          <div className="mt-4 grid gap-4 lg:grid-cols-2">
+            <div>
+              <h4 className="text-sm font-medium text-faint">{t("demo.source")}</h4>
+              <ol ref={listRef} className="relative mt-1 max-h-80 overflow-auto rounded-lg bg-code p-3 font-mono text-xs text-code-ink">
+                {sourceLines.map((text, i) => (
+                  <li
+                    key={i}
+                    className={`whitespace-pre ${current === i + 1 ? "bg-highlight text-highlight-ink" : ""}`}
+                    aria-current={current === i + 1 ? "step" : undefined}
+                  >
+                    {text || " "}
+                  </li>
+                ))}
+              </ol>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <h4 className="text-sm font-medium text-faint">{t("demo.registers")}</h4>
+                <dl className="mt-1 grid grid-cols-2 sm:grid-cols-4 gap-x-3 gap-y-0.5 font-mono text-xs">
+                  <div className="flex justify-between gap-2">
+                    <dt className="text-faint">pc</dt>
+                    <dd className="text-ink">{hex(machine.pc, 4)}</dd>
+                  </div>
+                  {REG_NAMES.slice(1).map((name, i) => {
+                    const value = machine.regs[i + 1];
+                    const changed = prev && prev.regs[i + 1] !== value;
+                    return (
+                      <div
+                        key={name}
+                        className={`flex justify-between gap-2 rounded ${changed ? "bg-highlight text-highlight-ink" : ""}`}
+                      >
+                        <dt className={changed ? "" : "text-faint"}>{name}</dt>
+                        <dd className={changed ? "" : "text-ink"}>{value}</dd>
+                      </div>
+                    );
+                  })}
+                </dl>
+              </div>
+
+              <div>
+                <h4 className="text-sm font-medium text-faint">{t("demo.memory")}</h4>
+                <table className="mt-1 w-full font-mono text-xs">
+                  <tbody>
+                    {words.map((addr) => (
+                      <tr key={addr}>
+                        <td className="pr-3 text-faint">{hex(addr, 4)}</td>
+                        <td className="pr-3 text-faint">{labels.get(addr) ?? ""}</td>
+                        <td className="text-right text-ink">{loadWord(machine, addr)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+
+          <div className="mt-6 pt-5 border-t border-line">
+            <button className={btnCls} onClick={compare}>
+              {t("demo.compare")}
+            </button>
+            {comparison && (
+              <div className="mt-3 text-sm text-body" aria-live="polite">
+                <ul className="space-y-1">
+                  {[comparison.naive, comparison.optimized].map((r) => (
+                    <li key={r.id}>
+                      <span className="text-ink">{t(`demo.program.${r.id}`)}</span>
+                      {": "}
+                      {t("demo.counts", { cycles: num(r.cycles), instret: num(r.instret), cpi: (r.cycles / r.instret).toFixed(2) })}
+                    </li>
+                  ))}
+                </ul>
+                <p className="mt-2">{t("demo.speedup", { gain: comparison.gain })}</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </Card>
+    </section>
+  );
+}
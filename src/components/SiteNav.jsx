@@ -0,0 +1,89 @@
+import React, { useEffect, useRef, useState } from "react";
+import { motion, useScroll } from "framer-motion";
+import { useI18n } from "../hooks/useI18n.js";
+import { useFocusTrap } from "../hooks/useFocusTrap.js";
+import { Link } from "../lib/router.js";
+
+/**
+ * SiteNav.jsx
+ * Sticky top bar: brand, one link per home section (highlighted while that
+ * section is on screen — see useScrollSpy) or other page (items with `to`),
+ * the page `controls` (scene, theme, language…), plus a scroll-progress bar
+ * along its bottom.
+ * Below `lg` the links and controls move into a hamburger panel that traps
+ * focus while open and closes on Escape, outside click or navigation.
+ *
+ * @param {{ brand: React.ReactNode, items: { id: string, label: string, to?: string }[], activeId?: string | null, controls?: React.ReactNode }} props
+ */
+export default function SiteNav({ brand, items, activeId, controls }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { scrollYProgress } = useScroll();
+
+  useFocusTrap(menuRef, open, { onEscape: () => setOpen(false) });
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => document.removeEventListener("pointerdown", onPointerDown);
+  }, [open]);
+
+  const links = (onNavigate) =>
+    items.map(({ id, label, to }, i) => (
+      <Link
+        key={id}
+        to={to || `/#${id}`}
+        onClick={onNavigate}
+        aria-current={activeId === id ? (to ? "page" : "location") : undefined}
+        data-autofocus={onNavigate && i === 0 ? "" : undefined}
+        className={activeId === id ? "text-link font-semibold" : "hover:text-link"}
+      >
+        {label}
+      </Link>
+    ));
+
+  return (
+    <nav className="sticky top-0 z-40 backdrop-blur-md bg-nav border-b border-line" aria-label={t("nav.label")}>
+      <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+        <Link to="/" className="text-ink font-extrabold tracking-wider">
+          {brand}
+        </Link>
+        <div className="hidden lg:flex gap-4 items-center text-sm">
+          {links()}
+          <div className="flex gap-3 items-center ml-3">{controls}</div>
+        </div>
+
+        {/* Mobile: hamburger + panel (one focus-trap region so the toggle stays reachable) */}
+        <div ref={menuRef} className="lg:hidden">
+          <button
+            type="button"
+            onClick={() => setOpen((v) => !v)}
+            aria-expanded={open}
+            aria-controls="site-menu"
+            aria-label={open ? t("nav.closeMenu") : t("nav.openMenu")}
+            className="px-3 py-1 rounded-lg border bg-btn text-body border-btn-line hover:text-ink"
+          >
+            <span aria-hidden="true">{open ? "✕" : "☰"}</span>
+          </button>
+          {open && (
+            <div id="site-menu" className="absolute left-0 right-0 top-full border-b border-line bg-page shadow-lg">
+              <div className="max-w-6xl mx-auto px-4 py-4 flex flex-col gap-3 text-sm">
+                {links(() => setOpen(false))}
+                <div className="flex flex-wrap gap-3 items-center pt-3 border-t border-line">{controls}</div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <motion.div
+        aria-hidden="true"
+        className="absolute left-0 right-0 bottom-0 h-0.5 origin-left bg-link"
+        style={{ scaleX: scrollYProgress }}
+      />
+    </nav>
+  );
+}
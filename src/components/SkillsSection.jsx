@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { Card, SectionHeading } from "./ui.jsx";
+import { Link, useLocation } from "../lib/router.js";
+import { SKILL_LEVELS, evidenceFor, firstUsed, groupSkills, skillAnchor, skillEvidence } from "../lib/skills.js";
+import { useI18n } from "../hooks/useI18n.js";
+
+/**
+ * SkillsSection.jsx
+ * Skills grouped by category, with a proficiency meter on those that set a
+ * `level` and the year each was first used in the listed work (taken from the
+ * dates of its evidence, so it is never guessed). Selecting a skill lists the
+ * projects and experience entries that back it up. Each chip is also an anchor (#skill-<name>, see skillAnchor)
+ * that selects it when navigated to.
+ */
+function LevelMeter({ level, active }) {
+  const { t } = useI18n();
+  const { rank } = SKILL_LEVELS[level];
+  const label = t(`skills.level.${level}`);
+  return (
+    <span className={`inline-flex gap-0.5 ml-1.5 align-middle ${active ? "" : "text-meter"}`} title={label} aria-label={label}>
+      {[1, 2, 3].map((n) => (
+        <span
+          key={n}
+          className={`h-1.5 w-1.5 rounded-full ${n <= rank ? "bg-current" : "bg-meter-off"}`}
+        />
+      ))}
+    </span>
+  );
+}
+
+export default function SkillsSection({ skills, projects, experience, section }) {
+  const { hash } = useLocation();
+  const fromHash = (h) => skills.find((s) => skillAnchor(s.name) === h)?.name ?? null;
+  const [selected, setSelected] = useState(() => fromHash(hash));
+  // Navigating to a skill's anchor (command palette, shared link) selects it
+  const [seenHash, setSeenHash] = useState(hash);
+  if (hash !== seenHash) {
+    setSeenHash(hash);
+    if (fromHash(hash)) setSelected(fromHash(hash));
+  }
+  const { t, formatTime } = useI18n();
+  const groups = useMemo(() => groupSkills(skills), [skills]);
+  const index = useMemo(() => skillEvidence({ skills, projects, experience }), [skills, projects, experience]);
+  const evidence = selected ? evidenceFor(index, selected) : null;
+
+  const muted = "text-body";
+  const faint = "text-faint";
+  const linkCls = "text-link hover:underline";
+
+  return (
+    <section id="skills" className="max-w-6xl mx-auto px-4 pb-20 scroll-mt-24">
+      <SectionHeading {...section} />
+      <Card>
+        <div className="p-6 space-y-5">
+          {groups.map((g) => (
+            <div key={g.id}>
+              <h3 className={`text-xs uppercase tracking-wider font-semibold ${faint}`}>{t(`skills.category.${g.id}`)}</h3>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {g.skills.map((s) => {
+                  const active = selected === s.name;
+                  const since = firstUsed(evidenceFor(index, s.name));
+                  return (
+                    <button
+                      key={s.name}
+                      id={skillAnchor(s.name)}
+                      onClick={() => setSelected(active ? null : s.name)}
+                      aria-pressed={active}
+                      className={`scroll-mt-24 text-xs px-3 py-1 rounded-full border transition-colors ${
+                        active
+                          ? "bg-accent border-accent-line text-accent-ink"
+                          : "bg-chip border-chip-line text-chip-ink hover:border-faint"
+                      }`}
+                    >
+                      {s.name}
+                      {s.level && <LevelMeter level={s.level} active={active} />}
+                      {since && <span className="ml-1.5">· {t("skills.since", { year: since })}</span>}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+
+          <AnimatePresence initial={false}>
+            {evidence && (
+              <motion.div
+                key={selected}
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: "auto" }}
+                exit={{ opacity: 0, height: 0 }}
+                className="overflow-hidden"
+                aria-live="polite"
+              >
+                <div className="pt-4 border-t border-line text-sm">
+                  <p className="font-semibold text-ink">
+                    {t("skills.usedIn", { skill: selected })}
+                  </p>
+                  {!evidence.projects.length && !evidence.experience.length ? (
+                    <p className={`mt-2 ${faint}`}>{t("skills.noEvidence")}</p>
+                  ) : (
+                    <div className="mt-2 grid md:grid-cols-2 gap-4">
+                      {evidence.projects.length > 0 && (
+                        <div>
+                          <p className={`text-xs uppercase tracking-wider ${faint}`}>{t("skills.evidence.projects")}</p>
+                          <ul className="mt-1 space-y-1">
+                            {evidence.projects.map((p) => (
+                              <li key={p.slug}>
+                                <Link to={`/projects/${p.slug}`} className={linkCls}>
+                                  {p.title}
+                                </Link>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      {evidence.experience.length > 0 && (
+                        <div>
+                          <p className={`text-xs uppercase tracking-wider ${faint}`}>{t("skills.evidence.experience")}</p>
+                          <ul className={`mt-1 space-y-1 ${muted}`}>
+                            {evidence.experience.map((e) => (
+                              <li key={`${e.org}-${e.role}`}>
+                                {e.role} • {e.org} <span className={faint}>({formatTime(e)})</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+        </div>
+      </Card>
+    </section>
+  );
+}
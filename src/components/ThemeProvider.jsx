@@ -0,0 +1,57 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ThemeContext } from "../hooks/useTheme.js";
+import { analytics } from "../lib/analytics.js";
+import { useMediaQuery } from "../hooks/useMediaQuery.js";
+import { RESUME_THEME, SYSTEM_THEME, THEMES, THEME_KEY, readThemePreference, resolveTheme } from "../lib/themes.js";
+
+/* =============================
+   🎨 Theme provider
+   ============================= */
+/**
+ * Holds the user's theme preference ("system" by default, persisted) and
+ * mirrors the resolved theme onto <html data-theme>, where the CSS tokens
+ * in index.css pick it up. index.html sets the same attribute before the
+ * bundle loads, so there is no flash of the wrong theme.
+ */
+export default function ThemeProvider({ children }) {
+  const prefersLight = useMediaQuery("(prefers-color-scheme: light)");
+  const prefersContrast = useMediaQuery("(prefers-contrast: more)");
+  const [preference, setPreference] = useState(readThemePreference);
+  const id = resolveTheme(preference, { prefersLight, prefersContrast });
+
+  useEffect(() => {
+    localStorage.setItem(THEME_KEY, preference);
+  }, [preference]);
+  useEffect(() => {
+    document.documentElement.dataset.theme = id;
+  }, [id]);
+
+  // Recorded on every switch in or out, whether from the toggle or the theme picker
+  const wasResume = useRef(id === RESUME_THEME);
+  useEffect(() => {
+    const on = id === RESUME_THEME;
+    if (on === wasResume.current) return;
+    wasResume.current = on;
+    analytics.track("resume_mode", { on });
+  }, [id]);
+
+  // Resume Mode toggles back to whatever screen theme was picked before it
+  const beforeResume = useRef(preference === RESUME_THEME ? SYSTEM_THEME : preference);
+  const value = useMemo(() => {
+    const resumeMode = id === RESUME_THEME;
+    return {
+      id,
+      theme: THEMES[id],
+      preference,
+      setPreference,
+      resumeMode,
+      toggleResumeMode: () => {
+        if (resumeMode) return setPreference(beforeResume.current);
+        beforeResume.current = preference;
+        setPreference(RESUME_THEME);
+      },
+    };
+  }, [id, preference]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
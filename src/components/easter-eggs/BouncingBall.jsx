@@ -0,0 +1,111 @@
+import React, { useEffect, useRef } from "react";
+import { usePrefersReducedMotion } from "../../hooks/useMediaQuery.js";
+
+/**
+ * BouncingBall.jsx
+ * A basketball thrown in from the bottom-left that bounces off every viewport
+ * edge until it settles, then fades and calls onDone. Physics runs in one rAF
+ * loop writing a transform straight to the DOM (no per-frame React state),
+ * and the loop is cancelled on unmount. With prefers-reduced-motion the ball
+ * just sits in the corner for a moment instead, like the static physics background.
+ */
+const SIZE = 40; // px
+const GRAVITY = 1500; // px/s²
+const RESTITUTION = 0.78; // floor/ceiling
+const WALL_RESTITUTION = 0.9;
+const FLOOR_FRICTION = 0.6; // fraction of vx kept per second while rolling
+const MAX_LIFE = 9; // s
+const STILL_MS = 1500; // how long the reduced-motion ball stays
+
+export default function BouncingBall({ onDone }) {
+  const ref = useRef(null);
+  const reducedMotion = usePrefersReducedMotion();
+
+  useEffect(() => {
+    const el = ref.current;
+    const b = {
+      x: 20,
+      y: window.innerHeight - SIZE - 20,
+      vx: 380 + Math.random() * 220,
+      vy: -(820 + Math.random() * 260),
+      angle: 0,
+    };
+    let raf = 0;
+    let last = performance.now();
+    let age = 0;
+    let still = 0;
+    let fading = false;
+    let fadeTimer = 0;
+
+    const finish = () => {
+      if (fading) return;
+      fading = true;
+      el.style.opacity = "0";
+      fadeTimer = setTimeout(onDone, 400);
+    };
+
+    if (reducedMotion) {
+      el.style.transform = `translate(${b.x}px, ${b.y}px)`;
+      const stillTimer = setTimeout(finish, STILL_MS);
+      return () => {
+        clearTimeout(stillTimer);
+        clearTimeout(fadeTimer);
+      };
+    }
+
+    const frame = (ts) => {
+      const dt = Math.min(0.032, (ts - last) / 1000);
+      last = ts;
+      age += dt;
+      const W = window.innerWidth - SIZE;
+      const H = window.innerHeight - SIZE;
+
+      b.vy += GRAVITY * dt;
+      b.x += b.vx * dt;
+      b.y += b.vy * dt;
+
+      if (b.x < 0 || b.x > W) {
+        b.x = Math.max(0, Math.min(W, b.x));
+        b.vx = -b.vx * WALL_RESTITUTION;
+      }
+      if (b.y < 0) {
+        b.y = 0;
+        b.vy = -b.vy * RESTITUTION;
+      } else if (b.y > H) {
+        b.y = H;
+        b.vy = Math.abs(b.vy) < 60 ? 0 : -b.vy * RESTITUTION;
+        b.vx *= Math.pow(FLOOR_FRICTION, dt);
+      }
+      b.angle += (b.vx * dt * 180) / (Math.PI * (SIZE / 2));
+
+      el.style.transform = `translate(${b.x}px, ${b.y}px) rotate(${b.angle}deg)`;
+
+      still = b.y >= H && Math.abs(b.vx) < 15 ? still + dt : 0;
+      if (still > 0.5 || age > MAX_LIFE) finish();
+      raf = requestAnimationFrame(frame);
+    };
+    raf = requestAnimationFrame(frame);
+
+    return () => {
+      cancelAnimationFrame(raf);
+      clearTimeout(fadeTimer);
+    };
+  }, [onDone, reducedMotion]);
+
+  return (
+    <div
+      ref={ref}
+      className="fixed left-0 top-0 z-50 pointer-events-none transition-opacity duration-300"
+      style={{ width: SIZE, height: SIZE, transform: "translate(-100px, -100px)" }}
+      aria-hidden="true"
+    >
+      <div className="relative w-full h-full rounded-full bg-orange-500 border border-orange-300 shadow-2xl overflow-hidden">
+        {/* Seams */}
+        <span className="absolute inset-y-0 left-1/2 w-px -translate-x-1/2 bg-orange-900/70" />
+        <span className="absolute inset-x-0 top-1/2 h-px -translate-y-1/2 bg-orange-900/70" />
+        <span className="absolute -left-1/4 inset-y-1 w-1/2 rounded-full border border-orange-900/60" />
+        <span className="absolute -right-1/4 inset-y-1 w-1/2 rounded-full border border-orange-900/60" />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useCallback, useState } from "react";
+import { useKeySequences } from "../../hooks/useKeySequences.js";
+import { EASTER_EGGS } from "./registry.js";
+
+const SEQUENCES = Object.fromEntries(EASTER_EGGS.map((egg) => [egg.id, egg.sequence]));
+
+/**
+ * EasterEggs.jsx
+ * Listens for every registered sequence and renders the active effects.
+ * Each trigger bumps a per-egg run counter used as the React key, so
+ * re-triggering remounts (restarts) an effect that is still playing.
+ * Disabling (palette open, Resume Mode) ends every running effect for good.
+ */
+export default function EasterEggs({ enabled = true, onTrigger }) {
+  const [runs, setRuns] = useState({}); // id → run number (absent = inactive)
+  const [wasEnabled, setWasEnabled] = useState(enabled);
+  if (enabled !== wasEnabled) {
+    setWasEnabled(enabled);
+    if (!enabled) setRuns({});
+  }
+
+  useKeySequences(
+    SEQUENCES,
+    (id) => {
+      setRuns((r) => ({ ...r, [id]: (r[id] || 0) + 1 }));
+      onTrigger?.(id);
+    },
+    { enabled },
+  );
+
+  const finish = useCallback((id) => {
+    setRuns((r) => {
+      const next = { ...r };
+      delete next[id];
+      return next;
+    });
+  }, []);
+
+  if (!enabled) return null;
+  return EASTER_EGGS.filter((egg) => runs[egg.id]).map((egg) => (
+    <EffectSlot key={`${egg.id}-${runs[egg.id]}`} egg={egg} onFinish={finish} />
+  ));
+}
+
+// Stable onDone per mounted effect so effects can list it as a dependency
+function EffectSlot({ egg, onFinish }) {
+  const { id, Effect } = egg;
+  const onDone = useCallback(() => onFinish(id), [id, onFinish]);
+  return <Effect onDone={onDone} />;
+}
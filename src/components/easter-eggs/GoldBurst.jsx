@@ -0,0 +1,58 @@
+import React, { useEffect, useMemo } from "react";
+import { motion } from "framer-motion";
+
+/**
+ * GoldBurst.jsx
+ * Georgia Tech white-and-gold confetti burst from the middle of the screen
+ * with a "Sting 'em!" banner; calls onDone when the animation has played out.
+ */
+const COLORS = ["#B3A369", "#EAAA00", "#F5D580", "#FFFFFF"];
+const PIECES = 48;
+const DURATION = 2.4; // s
+
+export default function GoldBurst({ onDone }) {
+  const pieces = useMemo(
+    () =>
+      Array.from({ length: PIECES }, (_, i) => {
+        const a = (i / PIECES) * Math.PI * 2 + Math.random() * 0.3;
+        const r = 160 + Math.random() * 260;
+        return {
+          x: Math.cos(a) * r,
+          y: Math.sin(a) * r + 120, // fall a little
+          rotate: Math.random() * 720 - 360,
+          color: COLORS[i % COLORS.length],
+          w: 6 + Math.random() * 6,
+        };
+      }),
+    [],
+  );
+
+  useEffect(() => {
+    const t = setTimeout(onDone, DURATION * 1000);
+    return () => clearTimeout(t);
+  }, [onDone]);
+
+  return (
+    <div className="fixed inset-0 z-50 pointer-events-none flex items-center justify-center" aria-hidden="true">
+      {pieces.map((p, i) => (
+        <motion.span
+          key={i}
+          className="absolute rounded-sm"
+          style={{ width: p.w, height: p.w * 0.5, background: p.color }}
+          initial={{ x: 0, y: 0, opacity: 1, rotate: 0 }}
+          animate={{ x: p.x, y: p.y, opacity: 0, rotate: p.rotate }}
+          transition={{ duration: DURATION, ease: "easeOut" }}
+        />
+      ))}
+      <motion.p
+        className="text-3xl md:text-5xl font-extrabold tracking-wide"
+        style={{ color: "#EAAA00", textShadow: "0 2px 12px rgba(0,0,0,0.6)" }}
+        initial={{ scale: 0.6, opacity: 0 }}
+        animate={{ scale: [0.6, 1.1, 1], opacity: [0, 1, 1, 0] }}
+        transition={{ scale: { duration: 0.5 }, opacity: { duration: DURATION, times: [0, 0.2, 0.8, 1] } }}
+      >
+        Sting ’em, Jackets! 🐝
+      </motion.p>
+    </div>
+  );
+}
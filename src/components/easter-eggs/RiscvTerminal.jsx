@@ -0,0 +1,65 @@
+import React, { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { useI18n } from "../../hooks/useI18n.js";
+import { useFocusTrap } from "../../hooks/useFocusTrap.js";
+
+/**
+ * RiscvTerminal.jsx
+ * A retro terminal overlay that types out the Secure RISC-V project, one line
+ * at a time. It is a simulated session, and says so: every line comes from
+ * the project entry in portfolio.json, so it states nothing the page doesn't.
+ * Escape or the close button dismisses it, and focus goes back to where it was.
+ */
+const scriptFor = (p) => [
+  "# simulated session: a replay of the project page, not real output",
+  `$ cat projects/${p.slug}`,
+  p.title,
+  p.blurb,
+  "",
+  "$ tags",
+  `  ${p.tags.join(" · ")}`,
+  "",
+  "$ results",
+  ...p.metrics.map((m) => `  ${m}`),
+  "",
+  "$ _",
+];
+const LINE_MS = 180;
+
+export default function RiscvTerminal({ onDone }) {
+  const { content } = useI18n();
+  const script = scriptFor(content.projects.find((p) => p.demo === "rv32i") ?? content.projects[0]);
+  const [shown, setShown] = useState(1);
+  const ref = useRef(null);
+  useFocusTrap(ref, true, { onEscape: onDone });
+
+  useEffect(() => {
+    const id = setInterval(() => setShown((n) => (n >= script.length ? n : n + 1)), LINE_MS);
+    return () => clearInterval(id);
+  }, [script.length]);
+
+  return (
+    <motion.div
+      ref={ref}
+      className="fixed bottom-4 right-4 z-50 w-[min(36rem,calc(100vw-2rem))] rounded-xl border border-emerald-500/40 bg-black/90 shadow-2xl"
+      initial={{ opacity: 0, y: 24 }}
+      animate={{ opacity: 1, y: 0 }}
+      role="dialog"
+      aria-label="RISC-V terminal (simulated)"
+    >
+      <div className="flex items-center justify-between px-3 py-2 border-b border-emerald-500/20">
+        <span className="text-xs font-mono text-emerald-300/80">murax — simulated</span>
+        <button
+          onClick={onDone}
+          className="text-xs font-mono text-emerald-300/80 hover:text-emerald-200"
+          aria-label="Close terminal"
+        >
+          [x]
+        </button>
+      </div>
+      <pre className="p-3 text-[11px] md:text-xs leading-relaxed font-mono text-emerald-300 whitespace-pre-wrap max-h-[60vh] overflow-auto">
+        {script.slice(0, shown).join("\n")}
+      </pre>
+    </motion.div>
+  );
+}
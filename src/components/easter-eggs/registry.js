@@ -0,0 +1,18 @@
+/**
+ * registry.js
+ * Easter eggs: a key sequence typed anywhere on the page (outside form fields)
+ * mounts an effect component. Effects get `onDone` and must clean up after
+ * themselves; re-entering the sequence restarts the effect.
+ *
+ * To add one: write an effect component and append an entry here.
+ */
+import { KONAMI, keys } from "../../lib/keySequences.js";
+import BouncingBall from "./BouncingBall.jsx";
+import RiscvTerminal from "./RiscvTerminal.jsx";
+import GoldBurst from "./GoldBurst.jsx";
+
+export const EASTER_EGGS = [
+  { id: "hoops", label: "Konami basketball", sequence: KONAMI, Effect: BouncingBall },
+  { id: "riscv", label: "RISC-V terminal", sequence: keys("riscv"), Effect: RiscvTerminal },
+  { id: "buzz", label: "Yellow Jacket burst", sequence: keys("buzz"), Effect: GoldBurst },
+];
@@ -0,0 +1,56 @@
+/**
+ * ui.jsx
+ * Shared presentational primitives. Colors come from the theme tokens in
+ * index.css (see lib/themes.js), so nothing here needs a mode prop.
+ */
+
+/* =============================
+   🧼 Tiny, reusable logo pill
+   ============================= */
+export function LogoPill({ src, label, border = "border-chip-line", size = "md" }) {
+  const SIZES = {
+    md: { pad: "px-3 py-1", text: "text-[11px]", img: "h-4 w-4" },
+    lg: { pad: "px-4 py-2", text: "text-sm", img: "h-6 w-6" },
+    xl: { pad: "px-5 py-2.5", text: "text-base", img: "h-7 w-7" },
+  };
+  const s = SIZES[size] || SIZES.md;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-2 rounded-full ${s.pad} ${s.text} font-semibold bg-chip ${border}`}
+    >
+      {src ? (
+        <img
+          src={src}
+          alt={label}
+          className={`${s.img} object-contain`}
+          loading="lazy"
+        />
+      ) : null}
+      <span className="text-btn-ink">{label}</span>
+    </span>
+  );
+}
+
+/* =============================
+   🧱 Reusable Card (themed)
+   ============================= */
+export function Card({ children, className = "", ...rest }) {
+  return (
+    <div
+      {...rest}
+      className={`card rounded-2xl border bg-surface border-line ${className}`}
+    >
+      {children}
+    </div>
+  );
+}
+
+export function SectionHeading({ title, subtitle }) {
+  return (
+    <div className="mb-6">
+      <h2 className="text-2xl md:text-3xl font-bold text-ink">{title}</h2>
+      {subtitle && <p className="mt-1 text-sm md:text-base text-body">{subtitle}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+/**
+ * schema.js
+ * Tiny declarative schema for src/content/portfolio.json.
+ * Shared by the Vite content plugin (build-time check) and the app.
+ * Each validator returns a list of "path: message" strings; empty = valid.
+ */
+import { SKILL_CATEGORIES, SKILL_LEVELS, unsupportedSkills } from "../lib/skills.js";
+
+/* =============================
+   🧩 Validator combinators
+   ============================= */
+const typeOf = (v) => (Array.isArray(v) ? "array" : v === null ? "null" : typeof v);
+
+export const str = ({ pattern, hint } = {}) => (v, path) => {
+  if (typeof v !== "string" || !v.trim()) return [`${path}: expected a non-empty string, got ${typeOf(v)}`];
+  if (pattern && !pattern.test(v)) return [`${path}: "${v}" does not match ${hint || pattern}`];
+  return [];
+};
+
+export const index = () => (v, path) =>
+  Number.isInteger(v) && v >= 0 ? [] : [`${path}: expected a list index (0, 1, …), got ${JSON.stringify(v)}`];
+
+export const oneOf = (values) => (v, path) =>
+  values.includes(v) ? [] : [`${path}: ${JSON.stringify(v)} is not one of ${values.map((x) => `"${x}"`).join(", ")}`];
+
+export const url = () => str({ pattern: /^(https?:\/\/|mailto:)\S+$/, hint: "an http(s) or mailto URL" });
+
+export const arr = (item, { min = 0, unique = false, uniqueBy } = {}) => (v, path) => {
+  if (!Array.isArray(v)) return [`${path}: expected an array, got ${typeOf(v)}`];
+  const errors = [];
+  if (v.length < min) errors.push(`${path}: expected at least ${min} item(s), got ${v.length}`);
+  const seen = new Map();
+  v.forEach((x, i) => {
+    errors.push(...item(x, `${path}[${i}]`));
+    if (!unique && !uniqueBy) return;
+    const val = uniqueBy ? x?.[uniqueBy] : x;
+    const key = typeof val === "string" ? val.toLowerCase() : JSON.stringify(val);
+    const label = uniqueBy ? `${uniqueBy} ${JSON.stringify(val)}` : JSON.stringify(val);
+    if (seen.has(key)) errors.push(`${path}[${i}]: duplicate ${label} (also at ${path}[${seen.get(key)}])`);
+    else seen.set(key, i);
+  });
+  return errors;
+};
+
+export const optional = (inner) => {
+  const v = (x, path) => (x === undefined ? [] : inner(x, path));
+  v.optional = true;
+  return v;
+};
+
+export const obj = (shape, { check } = {}) => (v, path) => {
+  if (typeOf(v) !== "object") return [`${path}: expected an object, got ${typeOf(v)}`];
+  const errors = [];
+  for (const [key, validate] of Object.entries(shape)) {
+    if (!(key in v) && !validate.optional) errors.push(`${path}.${key}: is required`);
+    else errors.push(...validate(v[key], `${path}.${key}`));
+  }
+  for (const key of Object.keys(v)) {
+    if (!(key in shape)) errors.push(`${path}.${key}: unknown field`);
+  }
+  if (!errors.length && check) errors.push(...check(v, path));
+  return errors;
+};
+
+/* =============================
+   📅 Dates ("2025-05")
+   ============================= */
+const YEAR_MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+const yearMonth = () => str({ pattern: YEAR_MONTH, hint: "YYYY-MM" });
+
+/** Parse "YYYY-MM" into { year, month } (month 0-11), or null. */
+export function parseMonth(value) {
+  if (!YEAR_MONTH.test(value ?? "")) return null;
+  const [year, month] = value.split("-").map(Number);
+  return { year, month: month - 1 };
+}
+
+/** An experience entry's { start, end } as parsed months (end null = ongoing). */
+export const timeRange = (entry) => ({ start: parseMonth(entry.start), end: entry.end ? parseMonth(entry.end) : null });
+
+const YEAR_MONTH_DAY = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const yearMonthDay = () => str({ pattern: YEAR_MONTH_DAY, hint: "YYYY-MM-DD" });
+
+// "YYYY-MM" strings compare correctly as strings
+const checkRange = (e, path) => (e.end && e.end < e.start ? [`${path}: ends (${e.end}) before it starts (${e.start})`] : []);
+
+/* =============================
+   🏗️ Portfolio schema
+   ============================= */
+const section = obj({ title: str(), subtitle: str() });
+
+const skillRefs = optional(arr(str(), { unique: true }));
+
+// Every `skills` reference on a project / experience entry must name a SKILLS entry
+const checkSkillRefs = (data) => {
+  const known = new Set(data.skills.map((s) => s.name.toLowerCase()));
+  const errors = [];
+  ["projects", "experience"].forEach((list) =>
+    data[list].forEach((entry, i) =>
+      (entry.skills || []).forEach((name, j) => {
+        if (!known.has(name.toLowerCase())) {
+          errors.push(`portfolio.${list}[${i}].skills[${j}]: "${name}" is not listed in portfolio.skills`);
+        }
+      }),
+    ),
+  );
+  return errors;
+};
+
+// Variants may only pick from what the portfolio has
+const checkVariantRefs = (data) => {
+  const errors = [];
+  const has = (list, field) => {
+    const names = new Set(data[list].map((x) => x[field].toLowerCase()));
+    return (v) => names.has(v.toLowerCase());
+  };
+  const project = has("projects", "slug");
+  const skill = has("skills", "name");
+  (data.variants || []).forEach((variant, i) => {
+    const path = `portfolio.variants[${i}]`;
+    (variant.projects || []).forEach((slug, j) => {
+      if (!project(slug)) errors.push(`${path}.projects[${j}]: no project with slug "${slug}"`);
+    });
+    (variant.skills || []).forEach((name, j) => {
+      if (!skill(name)) errors.push(`${path}.skills[${j}]: "${name}" is not listed in portfolio.skills`);
+    });
+    (variant.experience || []).forEach(({ org, pts }, j) => {
+      const entry = data.experience.find((e) => e.org === org);
+      if (!entry) {
+        errors.push(`${path}.experience[${j}].org: no experience entry at "${org}"`);
+        return;
+      }
+      (pts || []).forEach((n, k) => {
+        if (n >= entry.pts.length) errors.push(`${path}.experience[${j}].pts[${k}]: "${org}" has only ${entry.pts.length} point(s)`);
+      });
+    });
+  });
+  return errors;
+};
+
+const aboutCard = obj(
+  { title: str(), body: optional(str()), items: optional(arr(str(), { min: 1 })) },
+  {
+    check: (c, path) =>
+      (c.body === undefined) === (c.items === undefined)
+        ? [`${path}: needs exactly one of "body" or "items"`]
+        : [],
+  },
+);
+
+export const portfolioSchema = obj(
+  {
+    profile: obj({
+      name: str(),
+      initials: str(),
+      tagline: str(),
+      github: url(),
+      email: str({ pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/, hint: "an email address" }),
+      logos: arr(obj({ src: str(), label: str(), accent: str() })),
+    }),
+    profileCard: obj({ label: str(), title: str(), body: str(), bullets: arr(str(), { min: 1 }) }),
+    sections: obj({ about: section, projects: section, experience: section, skills: section, contact: section }),
+    about: arr(aboutCard, { min: 1 }),
+    contact: obj({ blurb: str(), badge: arr(str(), { min: 1 }) }),
+    projects: arr(
+      obj({
+        slug: str({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: "a kebab-case URL slug" }),
+        title: str(),
+        date: optional(yearMonth()), // left out until the real date is known; sorts last under "Newest"
+        tags: arr(str(), { min: 1, unique: true }),
+        metrics: arr(str(), { min: 1 }),
+        skills: skillRefs,
+        blurb: str(),
+        writeup: arr(str(), { min: 1 }),
+        link: optional(url()), // the project's own repo or demo; the profile is linked from the hero
+        demo: optional(oneOf(["rv32i"])),
+      }),
+      { min: 1, uniqueBy: "slug" },
+    ),
+    experience: arr(
+      obj(
+        { role: str(), org: str(), start: yearMonth(), end: optional(yearMonth()), skills: skillRefs, pts: arr(str(), { min: 1 }) },
+        { check: checkRange },
+      ),
+      { min: 1 },
+    ),
+    skills: arr(
+      obj({
+        name: str(),
+        category: oneOf(Object.keys(SKILL_CATEGORIES)),
+        level: optional(oneOf(Object.keys(SKILL_LEVELS))),
+      }),
+      { min: 1, uniqueBy: "name" },
+    ),
+    variants: optional(
+      arr(
+        obj({
+          id: str({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: "a kebab-case id (used as ?for=<id>)" }),
+          label: str(),
+          tagline: optional(str()),
+          projects: optional(arr(str(), { min: 1, unique: true })),
+          experience: optional(arr(obj({ org: str(), pts: optional(arr(index(), { min: 1, unique: true })) }), { min: 1, uniqueBy: "org" })),
+          skills: optional(arr(str(), { min: 1, unique: true })),
+        }),
+        { uniqueBy: "id" },
+      ),
+    ),
+  },
+  { check: (data) => [...checkSkillRefs(data), ...checkVariantRefs(data)] },
+);
+
+/* =============================
+   📝 Blog post frontmatter (src/content/posts/*.md, see scripts/posts.js)
+   ============================= */
+export const postSchema = obj({
+  title: str(),
+  date: yearMonthDay(),
+  tags: arr(str(), { min: 1, unique: true }),
+  project: optional(str({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: "a project slug" })),
+  summary: str(),
+});
+
+export class ContentError extends Error {
+  constructor(errors, source = "portfolio content") {
+    super(`Invalid ${source}:\n  - ${errors.join("\n  - ")}`);
+    this.name = "ContentError";
+    this.errors = errors;
+  }
+}
+
+/** Validate portfolio data; returns the list of problems (empty when valid). */
+export function validatePortfolio(data) {
+  return portfolioSchema(data, "portfolio");
+}
+
+/** Non-fatal content smells (e.g. skills nothing on the page backs up), for build warnings. */
+export function auditPortfolio(data) {
+  return unsupportedSkills(data).map(
+    (name) => `skill "${name}" has no supporting project or experience entry (add it to a "skills" list or drop it)`,
+  );
+}
+
+/** Throw a ContentError listing every problem, or return the data unchanged. */
+export function assertPortfolio(data, source) {
+  const errors = validatePortfolio(data);
+  if (errors.length) throw new ContentError(errors, source);
+  return data;
+}
@@ -0,0 +1,14 @@
+import { renderToString } from "react-dom/server";
+import App from "./App.jsx";
+import { setStaticLocation } from "./lib/router.js";
+
+/**
+ * entry-server.jsx
+ * Build-time counterpart of main.jsx: static HTML for one app path, as a
+ * first-time visitor would see it (English, default theme). Loaded by
+ * scripts/vite-plugin-prerender.js; the client then renders over it.
+ */
+export function render(path) {
+  setStaticLocation(path);
+  return renderToString(<App />);
+}
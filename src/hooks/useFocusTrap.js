@@ -0,0 +1,51 @@
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * While `active`, keeps Tab / Shift+Tab cycling inside `ref`, calls onEscape
+ * on Escape, and moves focus in (to [data-autofocus] or the first focusable).
+ * On release, focus returns to whatever had it before.
+ */
+export function useFocusTrap(ref, active, { onEscape } = {}) {
+  const onEscapeRef = useRef(onEscape);
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    const root = ref.current;
+    if (!active || !root) return;
+    const previous = document.activeElement;
+    const focusables = () => [...root.querySelectorAll(FOCUSABLE)];
+
+    (root.querySelector("[data-autofocus]") || focusables()[0])?.focus();
+
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        onEscapeRef.current?.();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const list = focusables();
+      if (!list.length) return;
+      const first = list[0];
+      const last = list[list.length - 1];
+      if (!root.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      if (previous instanceof HTMLElement && document.contains(previous)) previous.focus();
+    };
+  }, [ref, active]);
+}
@@ -0,0 +1,11 @@
+import { createContext, useContext } from "react";
+
+export const I18nContext = createContext(null);
+
+/**
+ * Current locale from <I18nProvider>:
+ * { locale, locales, setLocale, t(key, vars), content, formatTime(entry), formatDate(date) }
+ * formatTime renders an experience entry's start/end dates, formatDate a post's "YYYY-MM-DD".
+ * `content` is portfolio.json with the locale's translations applied.
+ */
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from "react";
+import { KONAMI, createSequenceMatcher } from "../lib/keySequences.js";
+
+// Typing in a field should never fire an easter egg
+const isEditable = (el) => el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+
+/**
+ * Calls onMatch(id) whenever the keys typed on the page complete one of `sequences`
+ * (id → keys). One window listener; re-fires every time a sequence is completed.
+ */
+export function useKeySequences(sequences, onMatch, { enabled = true } = {}) {
+  const onMatchRef = useRef(onMatch);
+  useEffect(() => {
+    onMatchRef.current = onMatch;
+  }, [onMatch]);
+
+  // Sequences are usually a module constant; key the listener on their content
+  const signature = JSON.stringify(sequences);
+  useEffect(() => {
+    if (!enabled) return;
+    const matcher = createSequenceMatcher(JSON.parse(signature));
+    const onKey = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey || isEditable(e.target)) return;
+      const id = matcher.push(e.key);
+      if (id) onMatchRef.current(id);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [signature, enabled]);
+}
+
+/** Classic ↑↑↓↓←→←→BA; fires every time it's entered. */
+export function useKonami(callback, options) {
+  useKeySequences({ konami: KONAMI }, callback, options);
+}
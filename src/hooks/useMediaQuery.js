@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+
+/** Live boolean for a CSS media query (false where matchMedia is unavailable). */
+export function useMediaQuery(query) {
+  return useSyncExternalStore(
+    (onChange) => {
+      if (typeof window === "undefined" || !window.matchMedia) return () => {};
+      const mql = window.matchMedia(query);
+      mql.addEventListener("change", onChange);
+      return () => mql.removeEventListener("change", onChange);
+    },
+    () => (typeof window !== "undefined" && window.matchMedia ? window.matchMedia(query).matches : false),
+    () => false,
+  );
+}
+
+export const usePrefersReducedMotion = () => useMediaQuery("(prefers-reduced-motion: reduce)");
@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Id of the section currently crossing a band just above the middle of the
+ * viewport (null when none is, e.g. over the hero). `ids` are element ids
+ * in document order; the first one in the band wins.
+ */
+export function useScrollSpy(ids, { enabled = true, rootMargin = "-40% 0px -55% 0px" } = {}) {
+  const [active, setActive] = useState(null);
+  const idList = ids.join(",");
+
+  useEffect(() => {
+    if (!enabled || typeof IntersectionObserver === "undefined") return;
+    const order = idList.split(",");
+    const inBand = new Set();
+    const io = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((e) => (e.isIntersecting ? inBand.add(e.target.id) : inBand.delete(e.target.id)));
+        setActive(order.find((id) => inBand.has(id)) ?? null);
+      },
+      { rootMargin },
+    );
+    order.forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) io.observe(el);
+    });
+    return () => io.disconnect();
+  }, [idList, enabled, rootMargin]);
+
+  return enabled ? active : null;
+}
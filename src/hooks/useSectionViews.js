@@ -0,0 +1,36 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * Calls onView(id) the first time each element with one of `ids` is at least
+ * `threshold` visible (per mount). Sections that aren't rendered yet are
+ * skipped, so pass a `key` that changes when they appear (e.g. the route).
+ */
+export function useSectionViews(ids, onView, { threshold = 0.4, key } = {}) {
+  const onViewRef = useRef(onView);
+  useEffect(() => {
+    onViewRef.current = onView;
+  });
+
+  const idList = ids.join(",");
+  useEffect(() => {
+    if (typeof IntersectionObserver === "undefined") return;
+    const seen = new Set();
+    const io = new IntersectionObserver(
+      (entries) =>
+        entries.forEach((entry) => {
+          const { id } = entry.target;
+          // Tall sections may never reach the ratio on small screens; half the viewport counts too
+          const enough = entry.intersectionRatio >= threshold || entry.intersectionRect.height >= window.innerHeight / 2;
+          if (!entry.isIntersecting || !enough || seen.has(id)) return;
+          seen.add(id);
+          onViewRef.current(id);
+        }),
+      { threshold: [0.1, 0.25, threshold, 0.75] },
+    );
+    idList.split(",").forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) io.observe(el);
+    });
+    return () => io.disconnect();
+  }, [idList, threshold, key]);
+}
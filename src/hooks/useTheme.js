@@ -0,0 +1,9 @@
+import { createContext, useContext } from "react";
+
+export const ThemeContext = createContext(null);
+
+/**
+ * Current theme from <ThemeProvider>:
+ * { id, theme, preference, setPreference, resumeMode, toggleResumeMode }
+ */
+export const useTheme = () => useContext(ThemeContext);
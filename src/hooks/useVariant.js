@@ -0,0 +1,16 @@
+import { useMemo } from "react";
+import { useI18n } from "./useI18n.js";
+import { useLocation } from "../lib/router.js";
+import { applyVariant, variantFromSearch } from "../lib/variants.js";
+
+/**
+ * The audience variant picked by ?for= (lib/variants.js) and the localized
+ * content as it presents it: { variant, variants, content }.
+ * variant is null for the full portfolio.
+ */
+export function useVariant() {
+  const { content } = useI18n();
+  const { search } = useLocation();
+  const variant = variantFromSearch(search, content.variants);
+  return useMemo(() => ({ variant, variants: content.variants || [], content: applyVariant(content, variant) }), [content, variant]);
+}
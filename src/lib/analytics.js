@@ -0,0 +1,104 @@
+/**
+ * analytics.js
+ * First-party engagement events with a pluggable sink. An event is only
+ * { name, props, path, ts } — no ids, cookies, user agent or referrer — and
+ * nothing is recorded at all when the browser sends Do Not Track / GPC.
+ *
+ * A sink is { name, write(event) }. Which one runs comes from Vite env vars:
+ *   VITE_ANALYTICS_ENDPOINT=https://…   batch events to that URL via sendBeacon
+ *   VITE_ANALYTICS=console | storage    log them / keep the last 200 in localStorage
+ * With neither set nothing is recorded, in dev and tests too.
+ *
+ * Events: section_view { section }, outbound_click { url }, resume_download,
+ * resume_print, resume_mode { on }, easter_egg { id }.
+ */
+
+/** True when the visitor asked not to be tracked (DNT header or Global Privacy Control). */
+export function doNotTrack(nav = typeof navigator !== "undefined" ? navigator : {}, win = typeof window !== "undefined" ? window : {}) {
+  return nav.doNotTrack === "1" || nav.doNotTrack === "yes" || win.doNotTrack === "1" || nav.globalPrivacyControl === true;
+}
+
+/* =============================
+   🚰 Sinks
+   ============================= */
+export const consoleSink = {
+  name: "console",
+  write: (event) => console.info("[analytics]", event.name, event.props),
+};
+
+/** Ring buffer in localStorage; `read()` returns what's stored (handy from devtools). */
+export function createStorageSink({ key = "analyticsEvents", max = 200, storage = localStorage } = {}) {
+  const read = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || [];
+    } catch {
+      return [];
+    }
+  };
+  return {
+    name: "storage",
+    read,
+    write: (event) => storage.setItem(key, JSON.stringify([...read(), event].slice(-max))),
+  };
+}
+
+/**
+ * POSTs batches of events as JSON with navigator.sendBeacon (fetch keepalive
+ * as a fallback), when `batch` events are queued or the page is being hidden.
+ */
+export function createBeaconSink(endpoint, { batch = 10 } = {}) {
+  let queue = [];
+  const flush = () => {
+    if (!queue.length) return;
+    const body = JSON.stringify({ events: queue });
+    queue = [];
+    const sent = navigator.sendBeacon?.(endpoint, new Blob([body], { type: "application/json" }));
+    if (!sent) fetch(endpoint, { method: "POST", body, keepalive: true, headers: { "Content-Type": "application/json" } }).catch(() => {});
+  };
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+  return {
+    name: "beacon",
+    flush,
+    write(event) {
+      queue.push(event);
+      if (queue.length >= batch) flush();
+    },
+  };
+}
+
+/* =============================
+   📈 Tracker
+   ============================= */
+/**
+ * @param {{ sink: { write(event): void } | null, respectDnt?: boolean, now?: () => number }} opts
+ * @returns {{ track(name: string, props?: object): void, enabled: boolean }}
+ */
+export function createAnalytics({ sink, respectDnt = true, now = Date.now } = {}) {
+  const enabled = Boolean(sink) && !(respectDnt && doNotTrack());
+  return {
+    enabled,
+    track(name, props = {}) {
+      if (!enabled) return;
+      const path = typeof location !== "undefined" ? location.pathname : "";
+      try {
+        sink.write({ name, props, path, ts: now() });
+      } catch {
+        // Analytics must never break the page
+      }
+    },
+  };
+}
+
+/** Sink configured through Vite env vars (see top of file), or null. */
+export function sinkFromEnv(env = import.meta.env ?? {}) {
+  if (typeof window === "undefined") return null; // prerendering
+  if (env.VITE_ANALYTICS_ENDPOINT) return createBeaconSink(env.VITE_ANALYTICS_ENDPOINT);
+  if (env.VITE_ANALYTICS === "storage") return createStorageSink();
+  if (env.VITE_ANALYTICS === "console") return consoleSink;
+  return null;
+}
+
+/** The site's tracker. */
+export const analytics = createAnalytics({ sink: sinkFromEnv() });
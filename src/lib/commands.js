@@ -0,0 +1,82 @@
+/**
+ * commands.js
+ * What the command palette (Ctrl/Cmd+K) searches: the page's actions, then
+ * every home section, project, blog post, experience entry and skill (those
+ * navigate to it). That is also the order shown before anything is typed.
+ * Pure data — <CommandPalette /> does the matching and running.
+ *
+ * A command is { id, group, label, hint?, keywords?, run }. `run()` may
+ * return (a promise of) a short message, which the palette announces.
+ */
+import { navigate } from "./router.js";
+import { skillAnchor } from "./skills.js";
+import { postPath } from "./posts.js";
+
+/**
+ * @param {object} ctx
+ * @param {object} ctx.content   localized portfolio content (useI18n().content)
+ * @param {object[]} [ctx.posts] compiled blog posts (virtual:posts)
+ * @param {(key: string, vars?: object) => string} ctx.t
+ * @param {(entry: object) => string} ctx.formatTime  an experience entry's dates
+ * @param {object} ctx.actions   { resumeMode, toggleResumeMode, downloadResume, copyEmail, scenes?: { id, label }[], setScene,
+ *                                 variant: id | null, variants: { id, label }[], setVariant(id | null) }
+ */
+export function buildCommands({ content, posts = [], t, formatTime, actions }) {
+  const { sections, projects, experience, skills } = content;
+  const go = (to) => () => navigate(to);
+
+  const commands = [
+    {
+      id: "action:resume",
+      group: "actions",
+      label: actions.resumeMode ? t("resume.exit") : t("resume.enter"),
+      keywords: ["theme", "print", "cv"],
+      run: actions.toggleResumeMode,
+    },
+    { id: "action:pdf", group: "actions", label: t("resume.download"), keywords: ["resume", "cv", "pdf"], run: actions.downloadResume },
+    { id: "action:email", group: "actions", label: t("palette.copyEmail"), keywords: ["contact", "mail"], run: actions.copyEmail },
+    ...(actions.scenes || []).map(({ id, label }) => ({
+      id: `scene:${id}`,
+      group: "actions",
+      label: t("palette.scene", { scene: label }),
+      keywords: ["background", "physics"],
+      run: () => actions.setScene(id),
+    })),
+    ...(actions.variants || [])
+      .filter(({ id }) => id !== actions.variant)
+      .map(({ id, label }) => ({
+        id: `variant:${id}`,
+        group: "actions",
+        label: t("palette.variant", { label }),
+        keywords: ["audience", "tailor", "role", id],
+        run: () => actions.setVariant(id),
+      })),
+    ...(actions.variant
+      ? [{ id: "variant:all", group: "actions", label: t("variant.showAll"), keywords: ["audience", "full"], run: () => actions.setVariant(null) }]
+      : []),
+  ];
+
+  Object.entries(sections).forEach(([id, s]) => {
+    commands.push({ id: `section:${id}`, group: "sections", label: s.title, run: go(`/#${id}`) });
+  });
+  if (posts.length) commands.push({ id: "section:blog", group: "sections", label: t("blog.title"), keywords: ["posts", "writing"], run: go("/blog") });
+  projects.forEach((p) => {
+    commands.push({ id: `project:${p.slug}`, group: "projects", label: p.title, keywords: p.tags, run: go(`/projects/${p.slug}`) });
+  });
+  posts.forEach((p) => {
+    commands.push({ id: `post:${p.slug}`, group: "posts", label: p.title, keywords: p.tags, run: go(postPath(p)) });
+  });
+  experience.forEach((e, idx) => {
+    commands.push({
+      id: `experience:${idx}`,
+      group: "experience",
+      label: `${e.role} • ${e.org}`,
+      hint: formatTime(e),
+      run: go(`/#experience-${idx}`),
+    });
+  });
+  skills.forEach((s) => {
+    commands.push({ id: `skill:${s.name}`, group: "skills", label: s.name, run: go(`/#${skillAnchor(s.name)}`) });
+  });
+  return commands;
+}
@@ -0,0 +1,121 @@
+/**
+ * contact.js
+ * Everything behind <ContactForm /> that isn't React: validation, spam
+ * checks, a client-side rate limit and the submission adapters.
+ *
+ * An adapter is { name, send(message) → Promise<void> }; send rejects with a
+ * ContactError. Which one the site uses comes from Vite env vars:
+ *   VITE_CONTACT_ENDPOINT=https://…   POST JSON to that URL (Formspree, a worker, …)
+ *   VITE_CONTACT_ADAPTER=mock         log instead of sending (dev / tests)
+ * With neither set there is no form and the mailto link is the only way in.
+ */
+
+export const LIMITS = { name: 100, email: 200, message: 5000, minMessage: 10 };
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Field errors for a draft message as { field: i18n key }; empty object = valid.
+ * Keys resolve under "contact.error.*" in the locale bundles.
+ */
+export function validateMessage({ name = "", email = "", message = "" }) {
+  const errors = {};
+  if (!name.trim()) errors.name = "contact.error.nameRequired";
+  else if (name.length > LIMITS.name) errors.name = "contact.error.tooLong";
+  if (!email.trim()) errors.email = "contact.error.emailRequired";
+  else if (!EMAIL.test(email.trim()) || email.length > LIMITS.email) errors.email = "contact.error.emailInvalid";
+  if (message.trim().length < LIMITS.minMessage) errors.message = "contact.error.messageShort";
+  else if (message.length > LIMITS.message) errors.message = "contact.error.tooLong";
+  return errors;
+}
+
+/* =============================
+   🍯 Spam checks
+   ============================= */
+const MIN_FILL_MS = 3000; // humans don't fill three fields faster than this
+
+/**
+ * True when a submission looks automated: the hidden honeypot field has a
+ * value, or the form was submitted implausibly fast after it was shown.
+ */
+export const looksLikeSpam = ({ honeypot, shownAt, now = Date.now() }) =>
+  Boolean(honeypot) || now - shownAt < MIN_FILL_MS;
+
+/**
+ * Sliding-window limit persisted in localStorage, so reloading the page
+ * doesn't reset it. `check()` → ms until the next send is allowed (0 = now).
+ */
+export function createRateLimiter({ max = 3, windowMs = 10 * 60 * 1000, key = "contactSends", storage = globalThis.localStorage } = {}) {
+  const recent = (now) => {
+    let stamps;
+    try {
+      stamps = JSON.parse(storage.getItem(key)) || [];
+    } catch {
+      stamps = [];
+    }
+    return stamps.filter((t) => typeof t === "number" && now - t < windowMs);
+  };
+  return {
+    check(now = Date.now()) {
+      const stamps = recent(now);
+      return stamps.length < max ? 0 : stamps[0] + windowMs - now;
+    },
+    record(now = Date.now()) {
+      storage.setItem(key, JSON.stringify([...recent(now), now]));
+    },
+  };
+}
+
+/* =============================
+   📮 Adapters
+   ============================= */
+export class ContactError extends Error {
+  /** @param {{ retryable?: boolean, status?: number }} info  retryable: network trouble or a 5xx */
+  constructor(message, { retryable = false, status } = {}) {
+    super(message);
+    this.name = "ContactError";
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+/** POST { name, email, message } as JSON; any 2xx counts as delivered. */
+export function createHttpAdapter(endpoint, { fetch: doFetch = (...args) => fetch(...args) } = {}) {
+  return {
+    name: "http",
+    async send(message) {
+      let res;
+      try {
+        res = await doFetch(endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify(message),
+        });
+      } catch (err) {
+        throw new ContactError(`Network error: ${err.message}`, { retryable: true });
+      }
+      if (!res.ok) throw new ContactError(`Endpoint answered ${res.status}`, { retryable: res.status >= 500, status: res.status });
+    },
+  };
+}
+
+/** Pretends to send: waits `delay` ms, keeps every message in `.sent`, optionally fails. */
+export function createMockAdapter({ delay = 600, fail = false } = {}) {
+  const sent = [];
+  return {
+    name: "mock",
+    sent,
+    async send(message) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (fail) throw new ContactError("Mock adapter configured to fail", { retryable: true });
+      sent.push(message);
+      console.info("[contact:mock]", message);
+    },
+  };
+}
+
+/** Adapter configured through Vite env vars, or null (mailto fallback only). */
+export function contactAdapterFromEnv(env = import.meta.env) {
+  if (env.VITE_CONTACT_ENDPOINT) return createHttpAdapter(env.VITE_CONTACT_ENDPOINT);
+  if (env.VITE_CONTACT_ADAPTER === "mock") return createMockAdapter();
+  return null;
+}
@@ -0,0 +1,56 @@
+/**
+ * fuzzy.js
+ * Small subsequence matcher for the command palette: "rsm" finds
+ * "Resume Mode", "sec risc" finds "Secure RISC-V Emulation". Every query
+ * character must appear in order; runs of consecutive characters and matches
+ * at word starts score higher, later and sparser matches lower.
+ */
+
+const WORD_START = /[\s\-_/.(&•]/;
+
+/**
+ * Score `text` against `query` (case-insensitive; spaces in the query are ignored).
+ * @returns {{ score: number, indices: number[] } | null}  null when it doesn't match
+ */
+export function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  if (!q) return { score: 0, indices: [] };
+  const s = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const i = s.indexOf(ch, from);
+    if (i === -1) return null;
+    const prev = indices[indices.length - 1];
+    if (prev === i - 1) score += 5; // consecutive
+    if (i === 0 || WORD_START.test(s[i - 1])) score += 8; // word start
+    score -= Math.min(i - from, 5); // gap
+    indices.push(i);
+    from = i + 1;
+  }
+  return { score: score - s.length / 100, indices };
+}
+
+/**
+ * Items whose best field matches `query`, best first (ties keep input order).
+ * `fields(item)` returns the strings to search; the first is the label.
+ * @returns {{ item: any, score: number, indices: number[] }[]}  indices are into the label (empty if another field matched)
+ */
+export function fuzzySearch(items, query, fields, { limit = Infinity } = {}) {
+  const results = [];
+  items.forEach((item, order) => {
+    let best = null;
+    fields(item).forEach((text, f) => {
+      const m = text && fuzzyMatch(query, text);
+      // Secondary fields (keywords, group name) count a little less than the label
+      const score = m && m.score - (f ? 2 : 0);
+      if (m && (!best || score > best.score)) best = { item, score, indices: f ? [] : m.indices, order };
+    });
+    if (best) results.push(best);
+  });
+  return results
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ item, score, indices }) => ({ item, score, indices }));
+}
@@ -0,0 +1,124 @@
+/**
+ * i18n.js
+ * Framework-free locale helpers, shared by <I18nProvider> and the Vite
+ * content plugin (which reports missing translations at build time).
+ *
+ * English lives in src/content/portfolio.json (content) and
+ * src/content/locales/en.json (UI strings). Every other locale is one file:
+ *
+ *   { "ui": { "<key>": "…" },            flat keys, "{name}" placeholders
+ *     "content": { … } }                 same shape as portfolio.json, but only
+ *                                         the TRANSLATABLE fields; projects are
+ *                                         keyed by slug, other lists by index
+ *
+ * Anything missing falls back to English.
+ */
+import { timeRange } from "../content/schema.js";
+
+export const DEFAULT_LOCALE = "en";
+
+/**
+ * Content fields a locale may override. `list[]` walks an array by index,
+ * `list[id]` walks it keyed by that field, `*` walks every key of an object.
+ */
+export const TRANSLATABLE = [
+  "profile.tagline",
+  "profileCard.label",
+  "profileCard.title",
+  "profileCard.body",
+  "profileCard.bullets",
+  "sections.*.title",
+  "sections.*.subtitle",
+  "about[].title",
+  "about[].body",
+  "about[].items",
+  "contact.blurb",
+  "contact.badge",
+  "projects[slug].title",
+  "projects[slug].blurb",
+  "projects[slug].metrics",
+  "projects[slug].writeup",
+  "experience[].role",
+  "experience[].pts",
+  "variants[id].label",
+  "variants[id].tagline",
+];
+
+const get = (obj, path) => path.reduce((v, k) => (v == null ? undefined : v[k]), obj);
+
+// Concrete { from, to } paths for one pattern: `from` into the English content, `to` into the overlay
+function expand(pattern, base) {
+  const paths = pattern.split(".").reduce(
+    (acc, step) =>
+      acc.flatMap(({ from, to }) => {
+        if (step === "*") return Object.keys(get(base, from) || {}).map((k) => ({ from: [...from, k], to: [...to, k] }));
+        const [, key, list, id] = /^(\w+)(\[(\w*)\])?$/.exec(step);
+        if (!list) return [{ from: [...from, key], to: [...to, key] }];
+        return (get(base, [...from, key]) || []).map((item, i) => ({
+          from: [...from, key, i],
+          to: [...to, key, id ? item[id] : i],
+        }));
+      }),
+    [{ from: [], to: [] }],
+  );
+  return paths.filter(({ from }) => get(base, from) !== undefined);
+}
+
+const translatablePaths = (base) => TRANSLATABLE.flatMap((pattern) => expand(pattern, base));
+
+/** English content with a locale's `content` overlay applied (translatable fields only). */
+export function localizeContent(base, overlay) {
+  if (!overlay) return base;
+  const out = structuredClone(base);
+  translatablePaths(base).forEach(({ from, to }) => {
+    const value = get(overlay, to);
+    if (value === undefined) return;
+    const parent = get(out, from.slice(0, -1));
+    parent[from[from.length - 1]] = value;
+  });
+  return out;
+}
+
+/** Dotted keys ("projects.gt-movie-store.blurb", "ui.nav.language") a locale doesn't translate. */
+export function missingTranslations(base, baseUi, bundle) {
+  const content = translatablePaths(base)
+    .filter(({ to }) => get(bundle.content, to) === undefined)
+    .map(({ to }) => to.join("."));
+  const ui = Object.keys(baseUi).filter((k) => !(k in (bundle.ui || {}))).map((k) => `ui.${k}`);
+  return [...content, ...ui];
+}
+
+/** Look up a UI string, falling back to English and then the key itself; fills "{name}" placeholders. */
+export function translate(strings, fallback, key, vars) {
+  const template = strings?.[key] ?? fallback?.[key] ?? key;
+  return vars ? template.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m)) : template;
+}
+
+/**
+ * First supported locale from, in order: ?lang= in the URL, the saved choice,
+ * then the browser's language list ("es-MX" matches "es").
+ */
+export function detectLocale({ search = "", stored, languages = [], available }) {
+  const candidates = [new URLSearchParams(search).get("lang"), stored, ...languages];
+  for (const tag of candidates) {
+    if (!tag) continue;
+    const lower = tag.toLowerCase();
+    if (available.includes(lower)) return lower;
+    const base = lower.split("-")[0];
+    if (available.includes(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/** An experience entry's start/end as "May 2024 – Aug 2024" / "… – Present", in the locale's month format. */
+export function formatTimeRange(entry, locale, present) {
+  const range = timeRange(entry);
+  const fmt = new Intl.DateTimeFormat(locale, { month: "short", year: "numeric", timeZone: "UTC" });
+  const month = ({ year, month }) => fmt.format(Date.UTC(year, month, 1));
+  return `${month(range.start)} – ${range.end ? month(range.end) : present}`;
+}
+
+/** A "YYYY-MM-DD" date as "Sep 22, 2025" (or the locale's equivalent). */
+export function formatDay(date, locale) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`));
+}
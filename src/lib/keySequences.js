@@ -0,0 +1,50 @@
+/**
+ * keySequences.js
+ * Matches a stream of KeyboardEvent.key values against several named sequences.
+ * Letters compare case-insensitively, so Caps Lock / Shift don't break "riscv".
+ */
+
+const norm = (k) => (k.length === 1 ? k.toLowerCase() : k);
+
+/** Spell a word as a key sequence: keys("riscv") → ["r","i","s","c","v"]. */
+export const keys = (word) => [...word];
+
+export const KONAMI = [
+  "ArrowUp",
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "ArrowLeft",
+  "ArrowRight",
+  "b",
+  "a",
+];
+
+/**
+ * @param {Record<string, string[]>} sequences  id → keys
+ * @returns {{ push(key: string): string|null, reset(): void }}
+ *   push returns the id of the sequence the key completed (and resets), else null.
+ */
+export function createSequenceMatcher(sequences) {
+  const entries = Object.entries(sequences).map(([id, seq]) => [id, seq.map(norm)]);
+  const longest = Math.max(0, ...entries.map(([, seq]) => seq.length));
+  let buffer = [];
+  return {
+    push(key) {
+      buffer.push(norm(key));
+      if (buffer.length > longest) buffer.shift();
+      for (const [id, seq] of entries) {
+        if (seq.length <= buffer.length && seq.every((k, i) => k === buffer[buffer.length - seq.length + i])) {
+          buffer = [];
+          return id;
+        }
+      }
+      return null;
+    },
+    reset() {
+      buffer = [];
+    },
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * physics.js
+ * Framework-free particle simulation behind <PhysicsBackground />.
+ * All coordinates are canvas (device) pixels; velocities are px/s.
+ */
+
+export const MAX_DT = 0.033; // s — clamp so a stalled tab doesn't fling particles
+
+/** Frame delta in seconds from two rAF timestamps (ms), clamped to [0, MAX_DT]. */
+export const clampDt = (now, last) => Math.max(0, Math.min(MAX_DT, (now - last) / 1000));
+
+/** Runtime well state for a scene (positions are filled in by updateWells). */
+export function createWells(scene) {
+  return scene.wells.map((w) => ({ ...w, x: 0, y: 0 }));
+}
+
+const spawnOne = (scene, W, H) => {
+  const { colors, size, speed, spawn } = scene.particles;
+  const p = {
+    x: Math.random() * W,
+    y: Math.random() * H,
+    vx: (Math.random() - 0.5) * speed, // px/s
+    vy: (Math.random() - 0.5) * speed, // px/s
+    size: size[0] + Math.random() * (size[1] - size[0]),
+    color: Math.floor(Math.random() * colors.length),
+  };
+  if (spawn === "disc" && scene.wells.length) {
+    // Rotating disc around the first well: roughly circular orbital speed
+    const { cx, cy } = scene.wells[0].orbit;
+    const r = (0.05 + Math.random() * 0.4) * Math.min(W, H);
+    const a = Math.random() * Math.PI * 2;
+    const v = Math.sqrt((scene.wells[0].strength * scene.gravity) / r);
+    p.x = cx * W + Math.cos(a) * r;
+    p.y = cy * H + Math.sin(a) * r;
+    p.vx = -Math.sin(a) * v;
+    p.vy = Math.cos(a) * v;
+  }
+  return p;
+};
+
+/** Grow or shrink `particles` in place to `n`, seeding new ones across W×H. */
+export function resizeParticles(particles, n, W, H, scene) {
+  if (particles.length > n) particles.length = n;
+  while (particles.length < n) particles.push(spawnOne(scene, W, H));
+  return particles;
+}
+
+/** Rescale positions and velocities after a canvas pixel-ratio change. */
+export function rescaleParticles(particles, k) {
+  particles.forEach((p) => {
+    p.x *= k;
+    p.y *= k;
+    p.vx *= k;
+    p.vy *= k;
+  });
+}
+
+/** Move gravity wells along their orbits (wells without an orbit stay where they were placed). */
+export function updateWells(wells, time, W, H) {
+  wells.forEach((w) => {
+    if (!w.orbit) return;
+    const { cx, cy, r, speed, phase } = w.orbit;
+    const a = time * speed * Math.PI * 2 + phase;
+    w.x = cx * W + Math.cos(a) * (W * r);
+    w.y = cy * H + Math.sin(a) * (H * r);
+  });
+}
+
+// Cheap smooth vector field (sum of sines) — angle in radians at (x, y, t)
+const flowAngle = (x, y, t, scale) =>
+  Math.sin(x * scale + t * 0.3) * 2 + Math.cos(y * scale * 1.3 - t * 0.2) * 2 + Math.sin((x + y) * scale * 0.5);
+
+/**
+ * Advance every particle by dt seconds under the scene's forces
+ * (wells, pairwise gravity, flow field, pointers, tilt, drag), then apply the boundary.
+ * `pointers` is a list of { x, y } (one per mouse/finger); `tilt` an optional { x, y } in px/s².
+ */
+export function stepParticles(particles, wells, pointers, dt, W, H, scene, time = 0, tilt = null) {
+  const { gravity, pairwise, flow, drag, boundary } = scene;
+  const pointerSign = scene.pointer.mode === "attract" ? 1 : scene.pointer.mode === "repel" ? -1 : 0;
+
+  if (pairwise) {
+    // Symmetric O(N²) pass; softening keeps close encounters finite
+    const { strength, softening } = pairwise;
+    for (let i = 0; i < particles.length; i++) {
+      const a = particles[i];
+      for (let j = i + 1; j < particles.length; j++) {
+        const b = particles[j];
+        const dx = b.x - a.x,
+          dy = b.y - a.y;
+        const d2 = dx * dx + dy * dy + softening;
+        const f = (strength * dt) / (d2 * Math.sqrt(d2));
+        a.vx += dx * f * b.size;
+        a.vy += dy * f * b.size;
+        b.vx -= dx * f * a.size;
+        b.vy -= dy * f * a.size;
+      }
+    }
+  }
+
+  particles.forEach((p) => {
+    wells.forEach((w) => {
+      const dx = w.x - p.x,
+        dy = w.y - p.y;
+      const d2 = Math.max(120, dx * dx + dy * dy);
+      const invd = 1 / Math.sqrt(d2);
+      const force = (w.strength * gravity) / d2; // px/s^2
+      p.vx += dx * invd * force * dt;
+      p.vy += dy * invd * force * dt;
+    });
+    if (flow) {
+      const a = flowAngle(p.x, p.y, time, flow.scale);
+      p.vx += (Math.cos(a) * flow.speed - p.vx) * flow.steer * dt;
+      p.vy += (Math.sin(a) * flow.speed - p.vy) * flow.steer * dt;
+    }
+    if (pointerSign) {
+      pointers.forEach((ptr) => {
+        const dx = ptr.x - p.x,
+          dy = ptr.y - p.y;
+        const d2 = Math.max(100, dx * dx + dy * dy);
+        const inv = 1 / Math.sqrt(d2);
+        const push = (pointerSign * scene.pointer.strength) / d2;
+        p.vx += dx * inv * push * dt;
+        p.vy += dy * inv * push * dt;
+      });
+    }
+    if (tilt) {
+      p.vx += tilt.x * dt;
+      p.vy += tilt.y * dt;
+    }
+    if (drag) {
+      const k = Math.max(0, 1 - drag * dt);
+      p.vx *= k;
+      p.vy *= k;
+    }
+    // Integrate
+    p.x += p.vx * dt;
+    p.y += p.vy * dt;
+
+    if (boundary === "bounce") {
+      if (p.x < 0 || p.x > W) {
+        p.vx = -p.vx;
+        p.x = Math.min(W, Math.max(0, p.x));
+      }
+      if (p.y < 0 || p.y > H) {
+        p.vy = -p.vy;
+        p.y = Math.min(H, Math.max(0, p.y));
+      }
+    } else if (boundary === "absorb") {
+      if (p.x < 0 || p.x > W || p.y < 0 || p.y > H) Object.assign(p, spawnOne(scene, W, H));
+    } else {
+      // Wrap
+      if (p.x < 0) p.x += W;
+      else if (p.x > W) p.x -= W;
+      if (p.y < 0) p.y += H;
+      else if (p.y > H) p.y -= H;
+    }
+  });
+}
+
+/** Fade the previous frame (trails) and draw every particle, one path per color. */
+export function drawParticles(ctx, particles, W, H, scene) {
+  ctx.fillStyle = `rgba(2,6,23,${scene.trail})`;
+  ctx.fillRect(0, 0, W, H);
+  ctx.globalAlpha = 0.9;
+  scene.particles.colors.forEach((color, ci) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    particles.forEach((p) => {
+      if (p.color !== ci) return;
+      ctx.moveTo(p.x + p.size, p.y);
+      ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+    });
+    ctx.fill();
+  });
+  ctx.globalAlpha = 1;
+}
+
+/* =============================
+   🎚️ Adaptive quality
+   ============================= */
+/**
+ * Watches how long each frame's simulate+draw work takes and nudges the
+ * particle count / pixel ratio to keep it inside the target frame budget.
+ * `sample(workMs)` returns a new { count, dpr } when it wants a change, else null.
+ */
+export function createQualityGovernor({
+  targetFps = 60,
+  count = 260,
+  minCount = 80,
+  maxCount = 600,
+  dpr = 2,
+  minDpr = 1,
+  maxDpr = 2,
+  window: size = 30,
+} = {}) {
+  const budget = 1000 / targetFps;
+  let state = { count, dpr: Math.min(dpr, maxDpr) };
+  let samples = [];
+  return {
+    get state() {
+      return state;
+    },
+    sample(workMs) {
+      samples.push(workMs);
+      if (samples.length < size) return null;
+      const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
+      samples = [];
+      let { count: n, dpr: r } = state;
+      if (avg > budget * 0.5) {
+        // Over budget: shed particles first, then resolution
+        if (n > minCount) n = Math.max(minCount, Math.round(n * 0.75));
+        else if (r > minDpr) r = Math.max(minDpr, r - 0.5);
+      } else if (avg < budget * 0.2) {
+        // Plenty of headroom: restore resolution first, then particles
+        if (r < maxDpr) r = Math.min(maxDpr, r + 0.5);
+        else if (n < maxCount) n = Math.min(maxCount, Math.round(n * 1.15));
+      }
+      if (n === state.count && r === state.dpr) return null;
+      state = { count: n, dpr: r };
+      return state;
+    },
+  };
+}
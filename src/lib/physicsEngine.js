@@ -0,0 +1,176 @@
+/**
+ * physicsEngine.js
+ * The frame loop around physics.js: sizing, scheduling, pointer input and the
+ * adaptive-quality governor. It only needs a canvas (HTMLCanvasElement or
+ * OffscreenCanvas), so the same code runs on the main thread and inside
+ * src/workers/physics.worker.js.
+ */
+import {
+  clampDt,
+  createQualityGovernor,
+  createWells,
+  drawParticles,
+  rescaleParticles,
+  resizeParticles,
+  stepParticles,
+  updateWells,
+} from "./physics.js";
+import { getScene } from "./scenes.js";
+
+// Workers gained requestAnimationFrame late (and only for OffscreenCanvas owners)
+const schedule = (fn) =>
+  typeof requestAnimationFrame === "function" ? requestAnimationFrame(fn) : setTimeout(() => fn(performance.now()), 16);
+const unschedule = (id) =>
+  typeof cancelAnimationFrame === "function" ? cancelAnimationFrame(id) : clearTimeout(id);
+
+const HELD_WELL = { strength: 2.5, ttl: 6, max: 5 }; // ttl in seconds
+
+/**
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {{ width: number, height: number, dpr: number, scene?: object|string, reducedMotion?: boolean,
+ *           targetFps?: number, maxCount?: number }} opts  width/height in CSS px; maxCount caps
+ *           the scene's own particle budget for this host (main thread vs worker)
+ */
+export function createPhysicsEngine(canvas, opts) {
+  const ctx = canvas.getContext("2d", { alpha: true });
+  const { reducedMotion = false, targetFps = 60, maxCount: hostMax = 600 } = opts;
+  let deviceDpr = Math.min(2, opts.dpr || 1); // the screen's ratio (capped); the governor never goes above it
+  let scene;
+  let governor;
+  let limits; // { minCount, maxCount } for the current scene on this host
+  let dpr = deviceDpr;
+  let cssW = opts.width;
+  let cssH = opts.height;
+
+  let wells = [];
+  let held = []; // temporary wells placed by tap-and-hold: { x, y, strength, born }
+  const particles = [];
+  let pointers = []; // [{ x, y }] canvas px, one per mouse/finger
+  let tilt = null; // { x, y } canvas px/s², from device orientation
+
+  let raf = 0;
+  let last = performance.now();
+  let running = false;
+  let wanted = true; // host wants frames (tab visible, canvas on screen)
+
+  const applySize = () => {
+    canvas.width = Math.floor(cssW * dpr);
+    canvas.height = Math.floor(cssH * dpr);
+  };
+
+  const drawStatic = () => {
+    updateWells(wells, 0, canvas.width, canvas.height);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawParticles(ctx, particles, canvas.width, canvas.height, scene);
+  };
+
+  const newGovernor = (count) => {
+    governor = createQualityGovernor({ targetFps, count, ...limits, dpr, maxDpr: deviceDpr });
+  };
+
+  // (Re)build wells, particles and the quality budget for a scene
+  const load = (next) => {
+    scene = typeof next === "string" || !next ? getScene(next) : next;
+    const maxCount = Math.min(scene.particles.maxCount, hostMax);
+    const count = Math.min(scene.particles.count, maxCount);
+    limits = { minCount: Math.min(80, count), maxCount };
+    newGovernor(count);
+    wells = createWells(scene);
+    held = [];
+    particles.length = 0;
+    resizeParticles(particles, count, canvas.width, canvas.height, scene);
+  };
+
+  const tick = (ts) => {
+    if (!running) return;
+    const t0 = performance.now();
+    const W = canvas.width,
+      H = canvas.height;
+    const dt = clampDt(ts, last); // seconds
+    last = ts;
+
+    const time = ts * 0.001;
+    updateWells(wells, time, W, H);
+    held = held.filter((w) => {
+      const age = time - (w.born ??= time);
+      w.strength = HELD_WELL.strength * (1 - age / HELD_WELL.ttl); // fade out
+      return age < HELD_WELL.ttl;
+    });
+    stepParticles(particles, held.length ? wells.concat(held) : wells, pointers, dt, W, H, scene, time, tilt);
+    drawParticles(ctx, particles, W, H, scene);
+
+    const next = governor.sample(performance.now() - t0);
+    if (next) {
+      if (next.dpr !== dpr) {
+        const k = next.dpr / dpr;
+        dpr = next.dpr;
+        applySize();
+        rescaleParticles(particles, k);
+      }
+      resizeParticles(particles, next.count, canvas.width, canvas.height, scene);
+    }
+    raf = schedule(tick);
+  };
+
+  const start = () => {
+    if (running || reducedMotion || !wanted) return;
+    running = true;
+    last = performance.now();
+    raf = schedule(tick);
+  };
+  const stop = () => {
+    running = false;
+    unschedule(raf);
+  };
+
+  applySize();
+  load(opts.scene);
+  if (reducedMotion) drawStatic();
+  start();
+
+  return {
+    /** New CSS size (and optionally device pixel ratio) of the host element. */
+    resize(width, height, nextDpr) {
+      cssW = width;
+      cssH = height;
+      const capped = Math.min(2, nextDpr || deviceDpr);
+      if (capped !== deviceDpr) {
+        // Moved to another screen: follow its ratio, keeping any cut the governor made below the old one
+        const next = dpr < deviceDpr ? Math.min(dpr, capped) : capped;
+        rescaleParticles(particles, next / dpr);
+        dpr = next;
+        deviceDpr = capped;
+        newGovernor(particles.length);
+      }
+      applySize();
+      if (reducedMotion) drawStatic();
+    },
+    /** Active pointers ([{ x, y }] in CSS px, viewport origin); [] when none. */
+    pointers(list) {
+      pointers = list.map((p) => ({ x: p.x * dpr, y: p.y * dpr }));
+    },
+    /** Drop a temporary gravity well at a CSS-px position (tap-and-hold). */
+    addWell(x, y) {
+      held.push({ x: x * dpr, y: y * dpr, strength: HELD_WELL.strength });
+      if (held.length > HELD_WELL.max) held.shift();
+    },
+    /** Gravity vector in CSS px/s² (device tilt), or null to clear. */
+    tilt(vec) {
+      tilt = vec ? { x: vec.x * dpr, y: vec.y * dpr } : null;
+    },
+    /** Switch to another scene (id or config) without recreating the canvas. */
+    setScene(next) {
+      load(next);
+      if (reducedMotion) drawStatic();
+    },
+    /** Pause/resume frames (hidden tab, off-screen canvas). */
+    setRunning(on) {
+      wanted = on;
+      if (on) start();
+      else stop();
+    },
+    destroy() {
+      stop();
+    },
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * pointerInput.js
+ * Window-level Pointer Events → physics engine input.
+ * - Every active pointer is its own repulsor/attractor: a hovering mouse
+ *   (until it goes idle) and each finger/pen that is down.
+ * - Press and hold still for HOLD_MS to drop a temporary gravity well.
+ * All listeners are passive and nothing calls preventDefault, so page
+ * scrolling and taps on content behave exactly as without the canvas.
+ */
+
+const HOLD_MS = 550;
+const HOLD_SLOP = 10; // px a held pointer may drift before it counts as a drag
+const MOUSE_IDLE_MS = 400;
+
+/**
+ * @param {{ pointers(list): void, addWell(x, y): void }} engine
+ * @returns {() => void} detach
+ */
+export function attachPointerInput(engine, target = window) {
+  const active = new Map(); // pointerId → { x, y, down, startX, startY, hold, idle }
+
+  const publish = () => engine.pointers([...active.values()].map(({ x, y }) => ({ x, y })));
+
+  const drop = (id) => {
+    const p = active.get(id);
+    if (!p) return;
+    clearTimeout(p.hold);
+    clearTimeout(p.idle);
+    active.delete(id);
+    publish();
+  };
+
+  const onDown = (e) => {
+    const p = active.get(e.pointerId) || {};
+    clearTimeout(p.idle);
+    clearTimeout(p.hold);
+    const next = { x: e.clientX, y: e.clientY, down: true, startX: e.clientX, startY: e.clientY };
+    next.hold = setTimeout(() => {
+      const cur = active.get(e.pointerId);
+      if (cur?.down && Math.hypot(cur.x - cur.startX, cur.y - cur.startY) <= HOLD_SLOP) engine.addWell(cur.x, cur.y);
+    }, HOLD_MS);
+    active.set(e.pointerId, next);
+    publish();
+  };
+
+  const onMove = (e) => {
+    let p = active.get(e.pointerId);
+    if (!p) {
+      // Only hovering mice/pens count without a press; fingers appear on pointerdown
+      if (e.pointerType === "touch") return;
+      p = { down: false };
+      active.set(e.pointerId, p);
+    }
+    p.x = e.clientX;
+    p.y = e.clientY;
+    if (!p.down) {
+      clearTimeout(p.idle);
+      p.idle = setTimeout(() => drop(e.pointerId), MOUSE_IDLE_MS);
+    }
+    publish();
+  };
+
+  const onUp = (e) => {
+    if (e.pointerType === "mouse") {
+      // Keep repelling while the mouse hovers; it times out like a plain move
+      const p = active.get(e.pointerId);
+      if (p) {
+        p.down = false;
+        clearTimeout(p.hold);
+        p.idle = setTimeout(() => drop(e.pointerId), MOUSE_IDLE_MS);
+      }
+      return;
+    }
+    drop(e.pointerId);
+  };
+  const onCancel = (e) => drop(e.pointerId); // e.g. the browser took over a touch to scroll
+  const onLeave = (e) => {
+    if (e.pointerType === "mouse" && !e.relatedTarget) drop(e.pointerId); // mouse left the window
+  };
+
+  const opts = { passive: true };
+  target.addEventListener("pointerdown", onDown, opts);
+  target.addEventListener("pointermove", onMove, opts);
+  target.addEventListener("pointerup", onUp, opts);
+  target.addEventListener("pointercancel", onCancel, opts);
+  target.addEventListener("pointerout", onLeave, opts);
+
+  return () => {
+    target.removeEventListener("pointerdown", onDown, opts);
+    target.removeEventListener("pointermove", onMove, opts);
+    target.removeEventListener("pointerup", onUp, opts);
+    target.removeEventListener("pointercancel", onCancel, opts);
+    target.removeEventListener("pointerout", onLeave, opts);
+    [...active.keys()].forEach(drop);
+  };
+}
+
+/* =============================
+   📱 Device tilt → gravity vector
+   ============================= */
+const TILT_G = 140; // CSS px/s² at a 90° tilt
+
+/** True when the browser exposes device orientation at all. */
+export const tiltSupported = () => typeof window !== "undefined" && "DeviceOrientationEvent" in window;
+
+/**
+ * iOS gates orientation behind a permission prompt that must come from a user gesture.
+ * Resolves true when events may be listened to.
+ */
+export async function requestTiltPermission() {
+  const DOE = window.DeviceOrientationEvent;
+  if (typeof DOE?.requestPermission !== "function") return true;
+  try {
+    return (await DOE.requestPermission()) === "granted";
+  } catch {
+    return false;
+  }
+}
+
+/** Feed device tilt into engine.tilt() until detached. */
+export function attachTiltInput(engine) {
+  const rad = Math.PI / 180;
+  const onOrient = (e) => {
+    if (e.beta == null || e.gamma == null) return;
+    const b = Math.max(-90, Math.min(90, e.beta)) * rad; // front/back
+    const g = Math.max(-90, Math.min(90, e.gamma)) * rad; // left/right
+    engine.tilt({ x: Math.sin(g) * TILT_G, y: Math.sin(b) * TILT_G });
+  };
+  window.addEventListener("deviceorientation", onOrient);
+  return () => {
+    window.removeEventListener("deviceorientation", onOrient);
+    engine.tilt(null);
+  };
+}
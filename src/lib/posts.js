@@ -0,0 +1,20 @@
+/**
+ * posts.js
+ * Helpers over the compiled blog (`virtual:posts`, see scripts/posts.js):
+ * the tag filter of the /blog index (?tag=…, like the Projects grid) and the
+ * posts linked from each project.
+ */
+
+const norm = (s) => s.toLowerCase();
+
+/** The ?tag= of a /blog URL ("" when none). */
+export const parseTag = (search) => new URLSearchParams(search).get("tag") || "";
+
+/** Posts carrying `tag` (case-insensitive); all of them for "". */
+export const filterPosts = (posts, tag) => (tag ? posts.filter((p) => p.tags.some((t) => norm(t) === norm(tag))) : posts);
+
+/** Posts whose frontmatter names this project, newest first. */
+export const postsForProject = (posts, slug) => posts.filter((p) => p.project === slug);
+
+/** Link to a post. */
+export const postPath = (post) => `/blog/${post.slug}`;
@@ -0,0 +1,62 @@
+/**
+ * projectFilters.js
+ * Tag / free-text / sort state for the Projects grid, round-tripped through
+ * the URL query string (?tag=Django&q=nlp&sort=newest) so filtered views can be shared.
+ */
+
+export const SORTS = {
+  featured: "Featured",
+  newest: "Newest",
+  alpha: "A–Z",
+};
+const DEFAULT_SORT = "featured";
+
+/** "?tag=Django&q=bert" → { tag, q, sort } (unknown sorts fall back to featured). */
+export function parseFilters(search) {
+  const params = new URLSearchParams(search);
+  const sort = params.get("sort");
+  return {
+    tag: params.get("tag") || "",
+    q: params.get("q") || "",
+    sort: sort in SORTS ? sort : DEFAULT_SORT,
+  };
+}
+
+/**
+ * Inverse of parseFilters, applied on top of the current query string so other
+ * params (?lang=, ?for=) survive; defaults are omitted so the clean URL stays clean.
+ */
+export function serializeFilters({ tag, q, sort }, search = "") {
+  const params = new URLSearchParams(search);
+  const put = (key, value) => (value ? params.set(key, value) : params.delete(key));
+  put("tag", tag);
+  put("q", q); // untrimmed: the search box is controlled by this value
+  put("sort", sort !== DEFAULT_SORT && sort);
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+/** Every tag across projects, in first-seen order, with a count. */
+export function collectTags(projects) {
+  const counts = new Map();
+  projects.forEach((p) => p.tags.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts].map(([tag, count]) => ({ tag, count }));
+}
+
+const norm = (s) => s.toLowerCase();
+
+/** Tags match case-insensitively, so ?tag=django selects the "Django" chip. */
+export const sameTag = (a, b) => !!a && !!b && norm(a) === norm(b);
+
+/** Apply tag + search (every word must hit title, blurb or a tag) + sort. Never mutates. */
+export function filterProjects(projects, { tag, q, sort }) {
+  const words = norm(q).split(/\s+/).filter(Boolean);
+  const hits = projects.filter((p) => {
+    if (tag && !p.tags.some((t) => sameTag(t, tag))) return false;
+    const hay = norm([p.title, p.blurb, ...p.tags].join(" "));
+    return words.every((w) => hay.includes(w));
+  });
+  if (sort === "newest") return [...hits].sort((a, b) => (b.date || "").localeCompare(a.date || "")); // undated last, in curated order
+  if (sort === "alpha") return [...hits].sort((a, b) => a.title.localeCompare(b.title));
+  return hits; // featured = curated order in portfolio.json
+}
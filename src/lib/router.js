@@ -0,0 +1,132 @@
+/**
+ * router.js
+ * Minimal History-API router that respects Vite's `base` (import.meta.env.BASE_URL).
+ * GitHub Pages serves dist/404.html (prerendered like every page) for unknown paths,
+ * so deep links like /sarthak-portfolio/projects/<slug> or /blog/<slug> boot straight into the app.
+ * At build time there is no window: the prerenderer pins a URL with setStaticLocation().
+ * A few query params (STICKY_PARAMS) follow the visitor from link to link.
+ */
+import { createElement, useSyncExternalStore } from "react";
+
+export const BASE = import.meta.env.BASE_URL || "/";
+
+/* =============================
+   📍 Location store
+   ============================= */
+const listeners = new Set();
+let action = "load"; // "load" | "push" | "replace" | "pop"
+let snapshot = null;
+let staticLocation = null; // URL while prerendering (src/entry-server.jsx)
+
+/** Serve this app path as the location instead of window.location (prerendering only). */
+export function setStaticLocation(to) {
+  staticLocation = new URL(href(to), "http://prerender.invalid");
+  snapshot = null;
+}
+
+const read = () => {
+  const { pathname, search, hash } = staticLocation ?? window.location;
+  const key = `${action}|${pathname}${search}${hash}`;
+  if (!snapshot || snapshot.key !== key) {
+    snapshot = { key, action, path: stripBase(pathname), search, hash: hash.slice(1) };
+  }
+  return snapshot;
+};
+
+const emit = () => listeners.forEach((fn) => fn());
+
+const subscribe = (fn) => {
+  listeners.add(fn);
+  if (listeners.size === 1) window.addEventListener("popstate", onPop);
+  return () => {
+    listeners.delete(fn);
+    if (!listeners.size) window.removeEventListener("popstate", onPop);
+  };
+};
+
+function onPop() {
+  action = "pop";
+  emit();
+}
+
+/** "/sarthak-portfolio/projects/x" → "/projects/x" */
+export function stripBase(pathname) {
+  const base = BASE.replace(/\/$/, "");
+  const path = pathname.startsWith(base) ? pathname.slice(base.length) : pathname;
+  return path.replace(/\/+$/, "") || "/";
+}
+
+// Kept on every navigation unless the target sets them: ?for= (audience variant, lib/variants.js)
+const STICKY_PARAMS = ["for"];
+
+/** `to` with the current location's sticky params added (those it doesn't set itself). */
+export function withSticky(to) {
+  const current = new URLSearchParams((staticLocation ?? globalThis.window?.location)?.search);
+  const url = new URL(to, "http://app.invalid/");
+  const missing = STICKY_PARAMS.filter((key) => current.has(key) && !url.searchParams.has(key));
+  if (!missing.length) return to;
+  missing.forEach((key) => url.searchParams.set(key, current.get(key)));
+  return url.pathname + url.search + url.hash;
+}
+
+/** App path ("/projects/x", "/#about", "?tag=x") → real URL under the base. */
+export function href(to) {
+  return BASE.replace(/\/$/, "") + (to.startsWith("/") ? to : `/${to}`);
+}
+
+/** Push (or replace) an app path and notify subscribers. `sticky: false` drops the sticky params. */
+export function navigate(to, { replace = false, sticky = true } = {}) {
+  const url = href(sticky ? withSticky(to) : to);
+  const current = window.location.pathname + window.location.search + window.location.hash;
+  if (url === current && !replace) {
+    action = "push"; // re-clicking a link should still scroll
+    snapshot = null;
+  } else {
+    window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    action = replace ? "replace" : "push";
+  }
+  emit();
+}
+
+/** Current location as { path, search, hash, action }. */
+export function useLocation() {
+  return useSyncExternalStore(subscribe, read, read);
+}
+
+/* =============================
+   🗺️ Routes
+   ============================= */
+const ROUTES = [
+  { name: "home", pattern: /^\/$/ },
+  { name: "project", pattern: /^\/projects\/([a-z0-9-]+)$/, keys: ["slug"] },
+  { name: "blog", pattern: /^\/blog$/ },
+  { name: "post", pattern: /^\/blog\/([a-z0-9-]+)$/, keys: ["slug"] },
+];
+
+/** Match an app path to { name, params }; unknown paths give { name: "notFound" }. */
+export function matchRoute(path) {
+  for (const r of ROUTES) {
+    const m = r.pattern.exec(path);
+    if (m) {
+      const params = Object.fromEntries((r.keys || []).map((k, i) => [k, decodeURIComponent(m[i + 1])]));
+      return { name: r.name, params };
+    }
+  }
+  return { name: "notFound", params: {} };
+}
+
+/* =============================
+   🔗 Link (plain <a> with client-side navigation)
+   ============================= */
+export function Link({ to, onClick, replace, sticky = true, ...rest }) {
+  return createElement("a", {
+    ...rest,
+    href: href(sticky ? withSticky(to) : to),
+    onClick: (e) => {
+      onClick?.(e);
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      navigate(to, { replace, sticky });
+    },
+  });
+}
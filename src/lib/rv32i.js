@@ -0,0 +1,462 @@
+/**
+ * rv32i.js
+ * A small RV32I instruction-set simulator with a two-pass assembler, for the
+ * in-browser demo on the Secure RISC-V project page (components/RiscvDemo.jsx).
+ * Programs are assembled to real RV32I encodings and the simulator decodes
+ * those words, so what runs is what a Murax-class core would fetch.
+ *
+ * Memory is one flat 64 KiB space: code from TEXT_BASE, `.data` from
+ * DATA_BASE, the stack growing down from the top. `ecall` with a7 = 93
+ * (exit) or `ebreak` halts. Cycle counts follow a simple in-order pipeline:
+ * one cycle per instruction, plus LOAD_PENALTY for loads and FLUSH_PENALTY
+ * for taken branches and jumps (see COSTS).
+ */
+
+export const MEMORY_SIZE = 0x10000;
+export const TEXT_BASE = 0x0000;
+export const DATA_BASE = 0x4000;
+
+/** Cycles on top of the one every instruction takes. */
+export const COSTS = { LOAD_PENALTY: 1, FLUSH_PENALTY: 2 };
+
+export const REG_NAMES = [
+  "zero", "ra", "sp", "gp", "tp", "t0", "t1", "t2",
+  "s0", "s1", "a0", "a1", "a2", "a3", "a4", "a5",
+  "a6", "a7", "s2", "s3", "s4", "s5", "s6", "s7",
+  "s8", "s9", "s10", "s11", "t3", "t4", "t5", "t6",
+];
+
+export class AsmError extends Error {
+  constructor(line, message) {
+    super(`line ${line}: ${message}`);
+    this.name = "AsmError";
+    this.line = line;
+  }
+}
+
+export class SimError extends Error {
+  constructor(pc, message) {
+    super(`pc 0x${hex(pc, 4)}: ${message}`);
+    this.name = "SimError";
+    this.pc = pc;
+  }
+}
+
+export const hex = (value, digits = 8) => (value >>> 0).toString(16).padStart(digits, "0");
+
+/* =============================
+   🧾 Assembler
+   ============================= */
+const REGS = new Map([...REG_NAMES.map((n, i) => [n, i]), ...REG_NAMES.map((_, i) => [`x${i}`, i]), ["fp", 8]]);
+
+const R_OPS = { add: [0, 0], sub: [0, 0x20], sll: [1, 0], slt: [2, 0], sltu: [3, 0], xor: [4, 0], srl: [5, 0], sra: [5, 0x20], or: [6, 0], and: [7, 0] };
+const I_OPS = { addi: 0, slti: 2, sltiu: 3, xori: 4, ori: 6, andi: 7 };
+const SHIFT_OPS = { slli: [1, 0], srli: [5, 0], srai: [5, 0x20] };
+const LOADS = { lb: 0, lh: 1, lw: 2, lbu: 4, lhu: 5 };
+const STORES = { sb: 0, sh: 1, sw: 2 };
+const BRANCHES = { beq: 0, bne: 1, blt: 4, bge: 5, bltu: 6, bgeu: 7 };
+// Pseudo-branches: [real op, swap operands?] / [real op, compare against zero first?]
+const SWAPPED = { bgt: "blt", ble: "bge", bgtu: "bltu", bleu: "bgeu" };
+const ZERO_BRANCHES = { beqz: ["beq", false], bnez: ["bne", false], bltz: ["blt", false], bgez: ["bge", false], bgtz: ["blt", true], blez: ["bge", true] };
+
+const fitsI = (v) => v >= -2048 && v <= 2047;
+
+const encR = (op, rd, f3, rs1, rs2, f7) => ((f7 << 25) | (rs2 << 20) | (rs1 << 15) | (f3 << 12) | (rd << 7) | op) >>> 0;
+const encI = (op, rd, f3, rs1, imm) => (((imm & 0xfff) << 20) | (rs1 << 15) | (f3 << 12) | (rd << 7) | op) >>> 0;
+const encS = (op, f3, rs1, rs2, imm) =>
+  ((((imm >> 5) & 0x7f) << 25) | (rs2 << 20) | (rs1 << 15) | (f3 << 12) | ((imm & 0x1f) << 7) | op) >>> 0;
+const encB = (f3, rs1, rs2, imm) =>
+  ((((imm >> 12) & 1) << 31) | (((imm >> 5) & 0x3f) << 25) | (rs2 << 20) | (rs1 << 15) | (f3 << 12) |
+    (((imm >> 1) & 0xf) << 8) | (((imm >> 11) & 1) << 7) | 0x63) >>> 0;
+const encU = (op, rd, imm) => ((imm & 0xfffff000) | (rd << 7) | op) >>> 0;
+const encJ = (rd, imm) =>
+  ((((imm >> 20) & 1) << 31) | (((imm >> 1) & 0x3ff) << 21) | (((imm >> 11) & 1) << 20) | (((imm >> 12) & 0xff) << 12) |
+    (rd << 7) | 0x6f) >>> 0;
+
+// lui/addi pair for a 32-bit constant (addi sign-extends, so round the upper part)
+const hiLo = (value) => {
+  const lo = ((value & 0xfff) << 20) >> 20;
+  return { hi: (value - lo) | 0, lo };
+};
+
+/** How many words an instruction line assembles to (pass 1). */
+function sizeOf(op, args, consts) {
+  if (op === "la" || op === "call") return op === "la" ? 2 : 1;
+  if (op === "li") {
+    const v = Number.isNaN(Number(args[1])) ? consts.get(args[1]) : Number(args[1]);
+    return v !== undefined && fitsI(v) ? 1 : 2;
+  }
+  return 1;
+}
+
+/**
+ * Assemble RV32I source. Supports labels, `#` comments, `.text`, `.data`,
+ * `.word a, b, …`, `.space n`, `.equ NAME, value` and the usual pseudo-
+ * instructions (li, la, mv, not, neg, j, jr, call, ret, nop, beqz & co.).
+ * `symbols` maps labels to addresses; `listing` maps each instruction's
+ * address to its source line.
+ * @returns {{ words: Uint32Array, data: Uint8Array, symbols: Map<string, number>, listing: { addr: number, line: number, source: string }[] }}
+ * @throws {AsmError}
+ */
+export function assemble(source) {
+  const consts = new Map();
+  const labels = new Map();
+  const items = []; // { section, addr, op, args, line, source }
+  const pc = { text: TEXT_BASE, data: DATA_BASE };
+  let section = "text";
+
+  // Pass 1: lay out every line and collect labels / constants
+  source.split("\n").forEach((raw, i) => {
+    const line = i + 1;
+    let text = raw.replace(/#.*$/, "").trim();
+    let m;
+    while ((m = /^([A-Za-z_.][\w.]*):\s*/.exec(text))) {
+      if (labels.has(m[1])) throw new AsmError(line, `duplicate label "${m[1]}"`);
+      labels.set(m[1], pc[section]);
+      text = text.slice(m[0].length);
+    }
+    if (!text) return;
+    const [, op, rest = ""] = /^(\S+)\s*(.*)$/.exec(text);
+    const args = rest ? rest.split(",").map((a) => a.trim()) : [];
+    const opName = op.toLowerCase();
+    if (opName === ".text" || opName === ".data") {
+      section = opName.slice(1);
+      return;
+    }
+    if (opName === ".equ") {
+      const value = Number(args[1]);
+      if (args.length !== 2 || Number.isNaN(value)) throw new AsmError(line, ".equ needs a name and a number");
+      consts.set(args[0], value | 0);
+      return;
+    }
+    const item = { section, addr: pc[section], op: opName, args, line, source: raw.replace(/#.*$/, "").trim() };
+    if (opName === ".word") pc[section] += 4 * args.length;
+    else if (opName === ".space") pc[section] += Number(args[0]);
+    else if (section === "data") throw new AsmError(line, `instruction "${op}" in .data`);
+    else pc.text += 4 * sizeOf(opName, args, consts);
+    items.push(item);
+  });
+
+  // Pass 2: encode
+  const words = [];
+  const data = new Uint8Array(pc.data - DATA_BASE);
+  const listing = [];
+  for (const { section: sec, addr, op, args, line, source: src } of items) {
+    const value = (arg) => {
+      if (arg === undefined) throw new AsmError(line, `"${op}" is missing an operand`);
+      if (consts.has(arg)) return consts.get(arg);
+      if (labels.has(arg)) return labels.get(arg);
+      const n = Number(arg);
+      if (Number.isNaN(n) || arg === "") throw new AsmError(line, `unknown symbol or number "${arg}"`);
+      return n | 0;
+    };
+    const reg = (arg) => {
+      const r = REGS.get(arg?.toLowerCase());
+      if (r === undefined) throw new AsmError(line, `"${arg}" is not a register`);
+      return r;
+    };
+    const imm12 = (arg) => {
+      const v = value(arg);
+      if (!fitsI(v)) throw new AsmError(line, `immediate ${v} does not fit in 12 bits`);
+      return v;
+    };
+    const mem = (arg) => {
+      const m = /^(.*)\((\w+)\)$/.exec(arg || "");
+      if (!m) throw new AsmError(line, `expected offset(register), got "${arg}"`);
+      return { offset: m[1] ? imm12(m[1]) : 0, base: reg(m[2]) };
+    };
+    const target = (arg, at, bits) => {
+      const off = value(arg) - at;
+      if (off < -(1 << bits) || off >= 1 << bits) throw new AsmError(line, `"${arg}" is out of branch range`);
+      return off;
+    };
+    const expect = (n) => {
+      if (args.length !== n) throw new AsmError(line, `"${op}" takes ${n} operand(s), got ${args.length}`);
+    };
+
+    if (sec === "data") {
+      if (op === ".word") args.forEach((a, i) => new DataView(data.buffer).setInt32(addr - DATA_BASE + 4 * i, value(a), true));
+      continue;
+    }
+    if (op === ".word") {
+      args.forEach((a) => words.push(value(a) >>> 0));
+      continue;
+    }
+    if (op === ".space") throw new AsmError(line, ".space is only supported in .data");
+
+    const out = [];
+    const branch = (name, rs1, rs2, label) => out.push(encB(BRANCHES[name], rs1, rs2, target(label, addr, 12)));
+    if (op in R_OPS) {
+      expect(3);
+      const [f3, f7] = R_OPS[op];
+      out.push(encR(0x33, reg(args[0]), f3, reg(args[1]), reg(args[2]), f7));
+    } else if (op in I_OPS) {
+      expect(3);
+      out.push(encI(0x13, reg(args[0]), I_OPS[op], reg(args[1]), imm12(args[2])));
+    } else if (op in SHIFT_OPS) {
+      expect(3);
+      const [f3, f7] = SHIFT_OPS[op];
+      const shamt = value(args[2]);
+      if (shamt < 0 || shamt > 31) throw new AsmError(line, `shift amount ${shamt} is not 0–31`);
+      out.push(encI(0x13, reg(args[0]), f3, reg(args[1]), (f7 << 5) | shamt));
+    } else if (op in LOADS) {
+      expect(2);
+      const { offset, base } = mem(args[1]);
+      out.push(encI(0x03, reg(args[0]), LOADS[op], base, offset));
+    } else if (op in STORES) {
+      expect(2);
+      const { offset, base } = mem(args[1]);
+      out.push(encS(0x23, STORES[op], base, reg(args[0]), offset));
+    } else if (op in BRANCHES) {
+      expect(3);
+      branch(op, reg(args[0]), reg(args[1]), args[2]);
+    } else if (op in SWAPPED) {
+      expect(3);
+      branch(SWAPPED[op], reg(args[1]), reg(args[0]), args[2]);
+    } else if (op in ZERO_BRANCHES) {
+      expect(2);
+      const [real, zeroFirst] = ZERO_BRANCHES[op];
+      const r = reg(args[0]);
+      branch(real, zeroFirst ? 0 : r, zeroFirst ? r : 0, args[1]);
+    } else if (op === "lui" || op === "auipc") {
+      expect(2);
+      out.push(encU(op === "lui" ? 0x37 : 0x17, reg(args[0]), value(args[1]) << 12));
+    } else if (op === "jal") {
+      const [rd, label] = args.length === 1 ? [1, args[0]] : [reg(args[0]), args[1]];
+      out.push(encJ(rd, target(label, addr, 20)));
+    } else if (op === "jalr") {
+      if (args.length === 1) out.push(encI(0x67, 1, 0, reg(args[0]), 0));
+      else {
+        expect(2);
+        const { offset, base } = mem(args[1]);
+        out.push(encI(0x67, reg(args[0]), 0, base, offset));
+      }
+    } else if (op === "li" || op === "la") {
+      expect(2);
+      const rd = reg(args[0]);
+      const v = value(args[1]);
+      if (op === "li" && fitsI(v) && sizeOf(op, args, consts) === 1) out.push(encI(0x13, rd, 0, 0, v));
+      else {
+        const { hi, lo } = hiLo(v);
+        out.push(encU(0x37, rd, hi), encI(0x13, rd, 0, rd, lo));
+      }
+    } else if (op === "mv") {
+      expect(2);
+      out.push(encI(0x13, reg(args[0]), 0, reg(args[1]), 0));
+    } else if (op === "not") {
+      expect(2);
+      out.push(encI(0x13, reg(args[0]), 4, reg(args[1]), -1));
+    } else if (op === "neg") {
+      expect(2);
+      out.push(encR(0x33, reg(args[0]), 0, 0, reg(args[1]), 0x20));
+    } else if (op === "seqz") {
+      expect(2);
+      out.push(encI(0x13, reg(args[0]), 3, reg(args[1]), 1));
+    } else if (op === "snez") {
+      expect(2);
+      out.push(encR(0x33, reg(args[0]), 3, 0, reg(args[1]), 0));
+    } else if (op === "j") {
+      expect(1);
+      out.push(encJ(0, target(args[0], addr, 20)));
+    } else if (op === "call") {
+      expect(1);
+      out.push(encJ(1, target(args[0], addr, 20)));
+    } else if (op === "jr") {
+      expect(1);
+      out.push(encI(0x67, 0, 0, reg(args[0]), 0));
+    } else if (op === "ret") {
+      out.push(encI(0x67, 0, 0, 1, 0));
+    } else if (op === "nop") {
+      out.push(encI(0x13, 0, 0, 0, 0));
+    } else if (op === "ecall" || op === "ebreak") {
+      out.push(encI(0x73, 0, 0, 0, op === "ebreak" ? 1 : 0));
+    } else if (op === "fence") {
+      out.push(0x0ff0000f);
+    } else {
+      throw new AsmError(line, `unknown instruction "${op}"`);
+    }
+    listing.push({ addr, line, source: src });
+    words.push(...out);
+  }
+
+  return { words: Uint32Array.from(words), data, symbols: labels, listing };
+}
+
+/* =============================
+   ⚙️ Simulator
+   ============================= */
+
+/**
+ * A machine with `program` (from assemble()) loaded, ready to run from `main`
+ * (or the first instruction). Mutable: step() and run() advance it in place.
+ */
+export function createMachine(program) {
+  const mem = new Uint8Array(MEMORY_SIZE);
+  const view = new DataView(mem.buffer);
+  program.words.forEach((w, i) => view.setUint32(TEXT_BASE + 4 * i, w, true));
+  mem.set(program.data, DATA_BASE);
+  const regs = new Int32Array(32);
+  regs[2] = MEMORY_SIZE; // sp
+  return {
+    program,
+    mem,
+    view,
+    regs,
+    pc: program.symbols.get("main") ?? TEXT_BASE,
+    cycles: 0,
+    instret: 0,
+    halted: false,
+    exitCode: null,
+  };
+}
+
+/** An independent copy of a machine (the demo steps copies, keeping the previous state for diffs). */
+export function cloneMachine(m) {
+  const mem = m.mem.slice();
+  return { ...m, mem, view: new DataView(mem.buffer), regs: m.regs.slice() };
+}
+
+const signExtend = (value, bits) => (value << (32 - bits)) >> (32 - bits);
+
+function access(addr, size, pc) {
+  if (addr < 0 || addr + size > MEMORY_SIZE) throw new SimError(pc, `memory access at 0x${hex(addr)} is out of range`);
+  return addr;
+}
+
+/** Execute one instruction. @throws {SimError} on an illegal instruction or bad memory access */
+export function step(m) {
+  if (m.halted) return;
+  const { regs, view } = m;
+  const pc = m.pc;
+  if (pc % 4 || pc < TEXT_BASE || pc >= TEXT_BASE + m.program.words.length * 4) {
+    throw new SimError(pc, "pc is outside the program");
+  }
+  const inst = view.getUint32(pc, true);
+  const op = inst & 0x7f;
+  const rd = (inst >> 7) & 0x1f;
+  const f3 = (inst >> 12) & 0x7;
+  const rs1 = (inst >> 15) & 0x1f;
+  const rs2 = (inst >> 20) & 0x1f;
+  const f7 = inst >>> 25;
+  const a = regs[rs1];
+  const b = regs[rs2];
+  const immI = inst >> 20;
+  let next = pc + 4;
+  let cycles = 1;
+  let result = null; // value for rd, if the instruction writes one
+
+  switch (op) {
+    case 0x37: // lui
+      result = inst & 0xfffff000;
+      break;
+    case 0x17: // auipc
+      result = (pc + (inst & 0xfffff000)) | 0;
+      break;
+    case 0x6f: {
+      // jal
+      const imm = signExtend(((inst >>> 31) << 20) | (((inst >> 12) & 0xff) << 12) | (((inst >> 20) & 1) << 11) | (((inst >> 21) & 0x3ff) << 1), 21);
+      result = next;
+      next = pc + imm;
+      cycles += COSTS.FLUSH_PENALTY;
+      break;
+    }
+    case 0x67: // jalr
+      result = next;
+      next = (a + immI) & ~1;
+      cycles += COSTS.FLUSH_PENALTY;
+      break;
+    case 0x63: {
+      const imm = signExtend(((inst >>> 31) << 12) | (((inst >> 7) & 1) << 11) | (((inst >> 25) & 0x3f) << 5) | (((inst >> 8) & 0xf) << 1), 13);
+      const taken = [a === b, a !== b, null, null, a < b, a >= b, a >>> 0 < b >>> 0, a >>> 0 >= b >>> 0][f3];
+      if (taken === null) throw new SimError(pc, `illegal branch 0x${hex(inst)}`);
+      if (taken) {
+        next = pc + imm;
+        cycles += COSTS.FLUSH_PENALTY;
+      }
+      break;
+    }
+    case 0x03: {
+      const addr = access(a + immI, [1, 2, 4, 0, 1, 2][f3] || 4, pc);
+      if (f3 === 0) result = view.getInt8(addr);
+      else if (f3 === 1) result = view.getInt16(addr, true);
+      else if (f3 === 2) result = view.getInt32(addr, true);
+      else if (f3 === 4) result = view.getUint8(addr);
+      else if (f3 === 5) result = view.getUint16(addr, true);
+      else throw new SimError(pc, `illegal load 0x${hex(inst)}`);
+      cycles += COSTS.LOAD_PENALTY;
+      break;
+    }
+    case 0x23: {
+      const addr = access(a + signExtend(((inst >>> 25) << 5) | ((inst >> 7) & 0x1f), 12), 1 << f3, pc);
+      if (f3 === 0) view.setInt8(addr, b);
+      else if (f3 === 1) view.setInt16(addr, b, true);
+      else if (f3 === 2) view.setInt32(addr, b, true);
+      else throw new SimError(pc, `illegal store 0x${hex(inst)}`);
+      break;
+    }
+    case 0x13:
+    case 0x33: {
+      const imm = op === 0x13;
+      const y = imm ? immI : b;
+      const shamt = y & 0x1f;
+      const alt = f7 === 0x20;
+      switch (f3) {
+        case 0:
+          result = !imm && alt ? (a - y) | 0 : (a + y) | 0;
+          break;
+        case 1:
+          result = a << shamt;
+          break;
+        case 2:
+          result = a < y ? 1 : 0;
+          break;
+        case 3:
+          result = a >>> 0 < y >>> 0 ? 1 : 0;
+          break;
+        case 4:
+          result = a ^ y;
+          break;
+        case 5:
+          result = alt ? a >> shamt : (a >>> shamt) | 0;
+          break;
+        case 6:
+          result = a | y;
+          break;
+        default:
+          result = a & y;
+      }
+      break;
+    }
+    case 0x0f: // fence: nothing to order in a single-hart, cacheless model
+      break;
+    case 0x73:
+      if (immI === 0 && regs[17] !== 93) throw new SimError(pc, `unsupported ecall ${regs[17]} (only exit, a7 = 93)`);
+      m.halted = true;
+      m.exitCode = immI === 0 ? regs[10] : null;
+      next = pc;
+      break;
+    default:
+      throw new SimError(pc, `illegal instruction 0x${hex(inst)}`);
+  }
+
+  if (result !== null && rd !== 0) regs[rd] = result;
+  m.pc = next;
+  m.cycles += cycles;
+  m.instret += 1;
+}
+
+/**
+ * Step until the program halts or `maxSteps` instructions have run.
+ * @returns {number} instructions executed
+ */
+export function run(m, { maxSteps = 2_000_000 } = {}) {
+  let n = 0;
+  while (!m.halted && n < maxSteps) {
+    step(m);
+    n += 1;
+  }
+  return n;
+}
+
+/** Read a 32-bit word (signed) from machine memory. */
+export const loadWord = (m, addr) => m.view.getInt32(addr, true);
@@ -0,0 +1,311 @@
+/**
+ * rvPrograms.js
+ * Sample programs for the RV32I demo (lib/rv32i.js). The two ECC programs
+ * are the same toy elliptic-curve scalar multiplication with different
+ * field multipliers, so their cycle counts compare the routines alone:
+ *
+ *   naive      shift-and-add, reducing mod p after every step
+ *   optimized  full product first, then one reduction using p = 2^13 − 1
+ *
+ * The curve is y² = x³ + 3x + 2 over F_8191, whose points form a group of
+ * prime order 8219; k·G is computed with left-to-right double-and-add in
+ * affine coordinates (inverses by Fermat, x^(p−2)). Any 1 ≤ k < 8219 avoids
+ * the point at infinity, so the routines need no special cases.
+ *
+ * Each program is { id, source, result?: { label, words } }; `result`
+ * names the data words that hold its answer. Titles and descriptions are
+ * UI strings (demo.program.<id>).
+ */
+
+export const CURVE = { p: 8191, a: 3, b: 2, order: 8219, G: [2, 4] };
+
+const SUM = `# Sum 1..100 into a0
+main:
+        li   a0, 0
+        li   t0, 1
+        li   t1, 100
+loop:
+        add  a0, a0, t0
+        addi t0, t0, 1
+        ble  t0, t1, loop
+        la   t2, total
+        sw   a0, 0(t2)
+        li   a7, 93          # exit(a0)
+        ecall
+
+        .data
+total:  .word 0
+`;
+
+const FIBONACCI = `# The first 12 Fibonacci numbers, stored one word each
+main:
+        la   t0, fib
+        li   t1, 0           # F(n)
+        li   t2, 1           # F(n+1)
+        li   t3, 12
+loop:
+        sw   t1, 0(t0)
+        add  t4, t1, t2
+        mv   t1, t2
+        mv   t2, t4
+        addi t0, t0, 4
+        addi t3, t3, -1
+        bnez t3, loop
+        mv   a0, t1
+        li   a7, 93
+        ecall
+
+        .data
+fib:    .space 48
+`;
+
+const SORT = `# Bubble sort of eight words, in place
+main:
+        la   s0, array
+        li   s1, 8           # n
+outer:
+        addi s1, s1, -1
+        blez s1, done
+        li   t0, 0           # i
+        li   t3, 0           # swapped?
+inner:
+        slli t1, t0, 2
+        add  t1, s0, t1
+        lw   t4, 0(t1)
+        lw   t5, 4(t1)
+        ble  t4, t5, no_swap
+        sw   t5, 0(t1)
+        sw   t4, 4(t1)
+        li   t3, 1
+no_swap:
+        addi t0, t0, 1
+        blt  t0, s1, inner
+        bnez t3, outer
+done:
+        li   a0, 0
+        li   a7, 93
+        ecall
+
+        .data
+array:  .word 42, 7, 19, -3, 88, 0, 23, 7
+`;
+
+const NAIVE_FMUL = `# a0 = a0 * a1 mod P: shift-and-add over b's 13 bits, reducing after every step
+fmul:
+        li   t0, 0           # acc
+        li   t1, 12          # bit of b
+fmul_loop:
+        slli t0, t0, 1       # acc = 2 * acc mod P
+        bltu t0, s11, fmul_doubled
+        sub  t0, t0, s11
+fmul_doubled:
+        srl  t2, a1, t1
+        andi t2, t2, 1
+        beqz t2, fmul_next
+        add  t0, t0, a0      # acc = acc + a mod P
+        bltu t0, s11, fmul_next
+        sub  t0, t0, s11
+fmul_next:
+        addi t1, t1, -1
+        bgez t1, fmul_loop
+        mv   a0, t0
+        ret`;
+
+const OPTIMIZED_FMUL = `# a0 = a0 * a1 mod P: the full (26-bit) product first, then one reduction.
+# P = 2^13 - 1, so 2^13 = 1 (mod P): fold the high bits onto the low ones.
+fmul:
+        li   t0, 0           # product
+fmul_loop:
+        andi t2, a1, 1
+        beqz t2, fmul_skip
+        add  t0, t0, a0
+fmul_skip:
+        slli a0, a0, 1
+        srli a1, a1, 1
+        bnez a1, fmul_loop   # stop after b's top bit
+        srli t1, t0, 13
+        and  t0, t0, s11
+        add  t0, t0, t1      # < 2^14
+        srli t1, t0, 13
+        and  t0, t0, s11
+        add  t0, t0, t1      # <= P + 1
+        bltu t0, s11, fmul_done
+        sub  t0, t0, s11
+fmul_done:
+        mv   a0, t0
+        ret`;
+
+const ecc = (fmul) => `# k·G on y^2 = x^3 + 3x + 2 over F_8191 (double-and-add, affine)
+        .equ P, 8191
+        .equ A, 3
+        .equ P_MINUS_2, 8189
+
+main:
+        li   s11, P          # s11 = P for the whole run
+        la   t0, k
+        lw   s4, 0(t0)
+        la   t0, gx
+        lw   s2, 0(t0)       # G = (s2, s3)
+        lw   s3, 4(t0)
+        mv   s0, s2          # R = (s0, s1) = G
+        mv   s1, s3
+        li   s5, 31
+find_top:                    # s5 = k's top bit
+        srl  t0, s4, s5
+        bnez t0, ladder_start
+        addi s5, s5, -1
+        j    find_top
+ladder_start:
+        addi s5, s5, -1
+ladder:
+        bltz s5, done
+        call ec_double       # R = 2R
+        srl  t0, s4, s5
+        andi t0, t0, 1
+        beqz t0, ladder_next
+        call ec_add          # R = R + G
+ladder_next:
+        addi s5, s5, -1
+        j    ladder
+done:
+        la   t0, result
+        sw   s0, 0(t0)
+        sw   s1, 4(t0)
+        mv   a0, s0
+        li   a7, 93
+        ecall
+
+# R = 2R: l = (3x^2 + A) / 2y, x' = l^2 - 2x, y' = l(x - x') - y
+ec_double:
+        addi sp, sp, -4
+        sw   ra, 0(sp)
+        mv   a0, s0
+        mv   a1, s0
+        call fmul            # x^2
+        mv   s6, a0
+        mv   a1, a0
+        call fadd
+        mv   a1, s6
+        call fadd
+        li   a1, A
+        call fadd
+        mv   s6, a0          # 3x^2 + A
+        mv   a0, s1
+        mv   a1, s1
+        call fadd
+        call finv            # 1 / 2y
+        mv   a1, s6
+        call fmul
+        mv   s6, a0          # l
+        mv   s7, s0          # second x: x itself
+        j    ec_finish
+
+# R = R + G: l = (gy - y) / (gx - x), x' = l^2 - x - gx, y' = l(x - x') - y
+ec_add:
+        addi sp, sp, -4
+        sw   ra, 0(sp)
+        mv   a0, s2
+        mv   a1, s0
+        call fsub
+        call finv            # 1 / (gx - x)
+        mv   s6, a0
+        mv   a0, s3
+        mv   a1, s1
+        call fsub
+        mv   a1, s6
+        call fmul
+        mv   s6, a0          # l
+        mv   s7, s2          # second x: gx
+
+# Shared tail, from s6 = l and s7 = the second x
+ec_finish:
+        mv   a0, s6
+        mv   a1, s6
+        call fmul            # l^2
+        mv   a1, s0
+        call fsub
+        mv   a1, s7
+        call fsub
+        mv   s7, a0          # x'
+        mv   a0, s0
+        mv   a1, s7
+        call fsub
+        mv   a1, s6
+        call fmul
+        mv   a1, s1
+        call fsub
+        mv   s1, a0          # y'
+        mv   s0, s7
+        lw   ra, 0(sp)
+        addi sp, sp, 4
+        ret
+
+# a0 = a0^-1 mod P = a0^(P-2) (Fermat), square-and-multiply
+finv:
+        addi sp, sp, -16
+        sw   ra, 12(sp)
+        sw   s0, 8(sp)
+        sw   s1, 4(sp)
+        sw   s2, 0(sp)
+        mv   s0, a0          # base
+        li   s1, 1           # result
+        li   s2, 12          # exponent bit
+finv_loop:
+        mv   a0, s1
+        mv   a1, s1
+        call fmul
+        mv   s1, a0
+        li   t3, P_MINUS_2
+        srl  t3, t3, s2
+        andi t3, t3, 1
+        beqz t3, finv_next
+        mv   a0, s1
+        mv   a1, s0
+        call fmul
+        mv   s1, a0
+finv_next:
+        addi s2, s2, -1
+        bgez s2, finv_loop
+        mv   a0, s1
+        lw   ra, 12(sp)
+        lw   s0, 8(sp)
+        lw   s1, 4(sp)
+        lw   s2, 0(sp)
+        addi sp, sp, 16
+        ret
+
+# a0 = a0 + a1 mod P
+fadd:
+        add  a0, a0, a1
+        bltu a0, s11, fadd_done
+        sub  a0, a0, s11
+fadd_done:
+        ret
+
+# a0 = a0 - a1 mod P
+fsub:
+        sub  a0, a0, a1
+        bgez a0, fsub_done
+        add  a0, a0, s11
+fsub_done:
+        ret
+
+${fmul}
+
+        .data
+k:      .word 5179
+gx:     .word 2
+gy:     .word 4
+result: .word 0, 0
+`;
+
+export const PROGRAMS = [
+  { id: "sum", source: SUM, result: { label: "total", words: 1 } },
+  { id: "fibonacci", source: FIBONACCI, result: { label: "fib", words: 12 } },
+  { id: "sort", source: SORT, result: { label: "array", words: 8 } },
+  { id: "ecc-naive", source: ecc(NAIVE_FMUL), result: { label: "result", words: 2 } },
+  { id: "ecc-optimized", source: ecc(OPTIMIZED_FMUL), result: { label: "result", words: 2 } },
+];
+
+/** The two ECC programs, for the cycle comparison. */
+export const ECC_PAIR = ["ecc-naive", "ecc-optimized"];
@@ -0,0 +1,76 @@
+/**
+ * scenes.js
+ * Declarative configs for the physics background. A scene is plain data
+ * (structured-clone safe, so it can be posted to the worker as-is):
+ *
+ *   particles  { count, maxCount, colors[], size: [min, max], speed, spawn: "random" | "disc" }
+ *   wells      [{ strength, color, orbit: { cx, cy, r, speed, phase } }]  cx/cy/r are fractions of W/H,
+ *                                                                          speed in revolutions/s
+ *   gravity    force constant applied to wells (px³/s²)
+ *   pairwise   null | { strength, softening }   particle-to-particle gravity (O(N²), keep counts low)
+ *   flow       null | { speed, scale, steer }   steer particles along a time-varying vector field
+ *   drag       velocity damping per second (0 = none)
+ *   boundary   "wrap" | "bounce" | "absorb"     absorb respawns the particle somewhere random
+ *   pointer    { mode: "repel" | "attract" | "none", strength }
+ *   trail      fade alpha per frame (lower = longer trails)
+ *
+ * Display names live in the locale files under `scene.<id>`.
+ */
+
+const DEFAULTS = {
+  particles: { count: 260, maxCount: 4000, colors: ["#e2e8f0"], size: [1.2, 3.4], speed: 60, spawn: "random" },
+  wells: [],
+  gravity: 9000,
+  pairwise: null,
+  flow: null,
+  drag: 0,
+  boundary: "wrap",
+  pointer: { mode: "repel", strength: 14000 },
+  trail: 0.2,
+};
+
+/** Fill in defaults for a partial scene config. */
+export function createScene(config) {
+  return {
+    ...DEFAULTS,
+    ...config,
+    particles: { ...DEFAULTS.particles, ...config.particles },
+    pointer: { ...DEFAULTS.pointer, ...config.pointer },
+  };
+}
+
+export const SCENES = {
+  orbital: createScene({
+    wells: [
+      { strength: 1.35, color: "#ef4444", orbit: { cx: 0.5, cy: 0.32, r: 0.22, speed: 0.12, phase: 0 } }, // CMU
+      { strength: 1.15, color: "#f59e0b", orbit: { cx: 0.5, cy: 0.32, r: 0.28, speed: -0.09, phase: Math.PI / 3 } }, // GT
+    ],
+  }),
+  galaxy: createScene({
+    particles: { count: 600, colors: ["#e2e8f0", "#93c5fd", "#c4b5fd", "#fde68a"], size: [0.8, 2.4], spawn: "disc" },
+    wells: [{ strength: 6, color: "#fde68a", orbit: { cx: 0.5, cy: 0.45, r: 0, speed: 0, phase: 0 } }],
+    drag: 0.02,
+    pointer: { mode: "attract", strength: 9000 },
+    trail: 0.12,
+  }),
+  flow: createScene({
+    particles: { count: 900, colors: ["#7dd3fc", "#a5f3fc", "#e2e8f0"], size: [0.8, 1.8], speed: 40 },
+    flow: { speed: 70, scale: 0.004, steer: 1.6 },
+    boundary: "absorb",
+    pointer: { mode: "repel", strength: 18000 },
+    trail: 0.08,
+  }),
+  nbody: createScene({
+    particles: { count: 140, maxCount: 320, colors: ["#fca5a5", "#fcd34d", "#e2e8f0"], size: [1.6, 3.6], speed: 30 },
+    pairwise: { strength: 900, softening: 400 },
+    drag: 0.05,
+    boundary: "bounce",
+    pointer: { mode: "attract", strength: 12000 },
+    trail: 0.25,
+  }),
+};
+
+export const DEFAULT_SCENE = "orbital";
+
+/** Scene by id, falling back to the default for unknown/stale ids (e.g. from localStorage). */
+export const getScene = (id) => SCENES[id] || SCENES[DEFAULT_SCENE];
@@ -0,0 +1,195 @@
+/**
+ * seo.js
+ * What each prerendered page tells crawlers and link previews: title,
+ * description, preview-image text and JSON-LD (schema.org Person and
+ * CreativeWork / BlogPosting), derived from portfolio.json and the blog
+ * posts, plus the sitemap, robots.txt and the posts' Atom feed. Used at build
+ * time by scripts/vite-plugin-prerender.js; titles match what the app sets
+ * at runtime.
+ *
+ * A page is { path, file, title, description, type, image, preview, jsonLd, indexable }:
+ *   path     app path rendered into the page ("/", "/projects/<slug>", "/blog/<slug>")
+ *   file     output file under dist/
+ *   image    preview image file under dist/ (og/<name>.png)
+ *   preview  { title, subtitle, chips } for that image
+ */
+
+/** Absolute URL of an app path on the deployed site (`siteUrl` ends with the base, e.g. …/sarthak-portfolio/). */
+export const pageUrl = (siteUrl, path) => new URL(path.replace(/^\//, ""), siteUrl).href;
+
+const projectPath = (p) => `/projects/${p.slug}/`;
+const postPath = (p) => `/blog/${p.slug}/`;
+
+export function personLd({ profile, experience, skills }, siteUrl) {
+  return {
+    "@type": "Person",
+    "@id": `${siteUrl}#person`,
+    name: profile.name,
+    url: siteUrl,
+    email: `mailto:${profile.email}`,
+    description: profile.tagline,
+    sameAs: [profile.github],
+    affiliation: [...new Set(experience.map((e) => e.org))].map((name) => ({ "@type": "Organization", name })),
+    knowsAbout: skills.map((s) => s.name),
+  };
+}
+
+export function projectLd(project, siteUrl) {
+  const url = pageUrl(siteUrl, projectPath(project));
+  return {
+    "@type": "CreativeWork",
+    "@id": `${url}#work`,
+    name: project.title,
+    description: project.blurb,
+    url,
+    image: pageUrl(siteUrl, `/og/${project.slug}.png`),
+    ...(project.date ? { dateCreated: project.date } : {}),
+    keywords: project.tags.join(", "),
+    author: { "@id": `${siteUrl}#person` },
+    ...(project.link ? { sameAs: project.link } : {}),
+  };
+}
+
+export function postLd(post, siteUrl) {
+  const url = pageUrl(siteUrl, postPath(post));
+  return {
+    "@type": "BlogPosting",
+    "@id": `${url}#post`,
+    headline: post.title,
+    description: post.summary,
+    url,
+    image: pageUrl(siteUrl, `/og/blog/${post.slug}.png`),
+    datePublished: post.date,
+    keywords: post.tags.join(", "),
+    author: { "@id": `${siteUrl}#person` },
+    ...(post.project ? { about: { "@id": `${pageUrl(siteUrl, `/projects/${post.project}/`)}#work` } } : {}),
+  };
+}
+
+const graph = (...nodes) => ({ "@context": "https://schema.org", "@graph": nodes });
+
+/**
+ * Every page to prerender, home first.
+ * @param {object} content  portfolio.json
+ * @param {{ siteUrl: string, ui: Record<string, string>, posts?: object[] }} opts
+ *   ui = the English UI strings (locales/en.json), posts = the compiled blog (scripts/posts.js)
+ */
+export function sitePages(content, { siteUrl, ui, posts = [] }) {
+  const { profile, projects, skills } = content;
+  const person = personLd(content, siteUrl);
+  const homeTitle = `${profile.name} · ${ui["meta.portfolio"]}`;
+
+  return [
+    {
+      path: "/",
+      file: "index.html",
+      title: homeTitle,
+      description: `${profile.name} — ${profile.tagline}`,
+      type: "profile",
+      image: "og/home.png",
+      preview: { title: profile.name, subtitle: profile.tagline, chips: skills.slice(0, 6).map((s) => s.name) },
+      jsonLd: graph(person, ...projects.map((p) => projectLd(p, siteUrl))),
+      indexable: true,
+    },
+    ...projects.map((p) => ({
+      path: projectPath(p),
+      file: `projects/${p.slug}/index.html`,
+      title: `${p.title} · ${profile.name}`,
+      description: p.blurb,
+      type: "article",
+      image: `og/${p.slug}.png`,
+      preview: { title: p.title, subtitle: p.blurb, chips: p.metrics },
+      jsonLd: graph(person, projectLd(p, siteUrl)),
+      indexable: true,
+    })),
+    ...(posts.length
+      ? [
+          {
+            path: "/blog/",
+            file: "blog/index.html",
+            title: `${ui["blog.title"]} · ${profile.name}`,
+            description: ui["blog.subtitle"],
+            type: "website",
+            image: "og/blog.png",
+            preview: { title: ui["blog.title"], subtitle: ui["blog.subtitle"], chips: [...new Set(posts.flatMap((p) => p.tags))] },
+            jsonLd: graph(person, ...posts.map((p) => postLd(p, siteUrl))),
+            indexable: true,
+          },
+        ]
+      : []),
+    ...posts.map((p) => ({
+      path: postPath(p),
+      file: `blog/${p.slug}/index.html`,
+      title: `${p.title} · ${profile.name}`,
+      description: p.summary,
+      type: "article",
+      image: `og/blog/${p.slug}.png`,
+      preview: { title: p.title, subtitle: p.summary, chips: p.tags },
+      jsonLd: graph(person, postLd(p, siteUrl)),
+      indexable: true,
+    })),
+    {
+      // GitHub Pages serves this for unknown paths; the client router takes over from there
+      path: "/404",
+      file: "404.html",
+      title: homeTitle,
+      description: ui["notFound.subtitle"],
+      type: "website",
+      image: "og/home.png",
+      jsonLd: null,
+      indexable: false,
+    },
+  ];
+}
+
+/** sitemap.xml for the indexable pages. */
+export function sitemapXml(pages, siteUrl) {
+  const urls = pages
+    .filter((p) => p.indexable)
+    .map((p) => `  <url><loc>${pageUrl(siteUrl, p.path)}</loc></url>`)
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls}\n</urlset>\n`;
+}
+
+/** robots.txt pointing at the sitemap. */
+export const robotsTxt = (siteUrl) => `User-agent: *\nAllow: /\n\nSitemap: ${pageUrl(siteUrl, "/sitemap.xml")}\n`;
+
+const escapeXml = (s) => s.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const atomDate = (date) => `${date}T00:00:00Z`;
+
+/**
+ * Atom feed (feed.xml) of the blog posts, full content included.
+ * @param {object[]} posts  newest first
+ * @param {{ siteUrl: string, title: string, author: string }} opts
+ */
+export function atomFeed(posts, { siteUrl, title, author }) {
+  const feedUrl = pageUrl(siteUrl, "/feed.xml");
+  const entries = posts.map((p) => {
+    const url = pageUrl(siteUrl, postPath(p));
+    return [
+      "  <entry>",
+      `    <title>${escapeXml(p.title)}</title>`,
+      `    <link href="${url}"/>`,
+      `    <id>${url}</id>`,
+      `    <published>${atomDate(p.date)}</published>`,
+      `    <updated>${atomDate(p.date)}</updated>`,
+      `    <summary>${escapeXml(p.summary)}</summary>`,
+      ...p.tags.map((t) => `    <category term="${escapeXml(t)}"/>`),
+      `    <content type="html">${escapeXml(p.html)}</content>`,
+      "  </entry>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link href="${pageUrl(siteUrl, "/blog/")}"/>`,
+    `  <link rel="self" href="${feedUrl}"/>`,
+    `  <id>${feedUrl}</id>`,
+    `  <updated>${atomDate(posts[0]?.date ?? "1970-01-01")}</updated>`,
+    `  <author><name>${escapeXml(author)}</name></author>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
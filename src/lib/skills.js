@@ -0,0 +1,73 @@
+/**
+ * skills.js
+ * Cross-links SKILLS with the PROJECTS / EXPERIENCE entries that evidence them.
+ * A project evidences a skill through its `skills` list or a matching tag;
+ * an experience entry through its `skills` list. Matching is case-insensitive.
+ */
+
+export const SKILL_CATEGORIES = {
+  languages: "Languages",
+  frameworks: "Frameworks & Libraries",
+  tools: "Tools",
+  platforms: "Platforms",
+};
+
+export const SKILL_LEVELS = {
+  familiar: { label: "Familiar", rank: 1 },
+  proficient: { label: "Proficient", rank: 2 },
+  advanced: { label: "Advanced", rank: 3 },
+};
+
+const key = (s) => s.toLowerCase();
+
+/** Map of lower-cased skill name → { projects, experience } that use it. */
+export function skillEvidence({ skills, projects, experience }) {
+  const index = new Map(skills.map((s) => [key(s.name), { projects: [], experience: [] }]));
+  const add = (names, bucket, entry) => {
+    new Set(names.map(key)).forEach((k) => index.get(k)?.[bucket].push(entry));
+  };
+  projects.forEach((p) => add([...(p.skills || []), ...p.tags], "projects", p));
+  experience.forEach((e) => add(e.skills || [], "experience", e));
+  return index;
+}
+
+/** Evidence for one skill name (empty lists when unknown). */
+export function evidenceFor(index, name) {
+  return index.get(key(name)) || { projects: [], experience: [] };
+}
+
+/**
+ * Year a skill was first used in the listed work: the earliest experience
+ * start or project date among its evidence, or null when nothing is dated.
+ */
+export function firstUsed({ projects, experience }) {
+  const dates = [...experience.map((e) => e.start), ...projects.map((p) => p.date)].filter(Boolean).sort();
+  return dates.length ? Number(dates[0].slice(0, 4)) : null;
+}
+
+/** Skills in category order ([{ id, label, skills }]), keeping content order within a group. */
+export function groupSkills(skills) {
+  return Object.entries(SKILL_CATEGORIES)
+    .map(([id, label]) => ({ id, label, skills: skills.filter((s) => s.category === id) }))
+    .filter((g) => g.skills.length);
+}
+
+/** Names of skills with no supporting project or experience entry. */
+export function unsupportedSkills(data) {
+  const index = skillEvidence(data);
+  return data.skills
+    .filter((s) => {
+      const ev = evidenceFor(index, s.name);
+      return !ev.projects.length && !ev.experience.length;
+    })
+    .map((s) => s.name);
+}
+
+/** Element id / #hash for a skill chip: "C++" → "skill-cpp", "RISC-V" → "skill-risc-v". */
+export const skillAnchor = (name) =>
+  "skill-" +
+  key(name)
+    .replace(/\+/g, "p")
+    .replace(/#/g, "sharp")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
@@ -0,0 +1,41 @@
+/**
+ * themes.js
+ * Named themes. Colors live in src/index.css as CSS custom properties under
+ * :root[data-theme="<id>"]; components only use the token utilities
+ * (bg-surface, text-ink, border-line, …), so a new theme is one CSS block
+ * plus one entry here.
+ *
+ *   label      English name (the picker and footer show the locale's "theme.<id>" string)
+ *   scheme     "dark" | "light" — what prefers-color-scheme resolves to
+ *   physics    whether the particle background may run (it paints a dark backdrop)
+ *   printable  Resume Mode: Download PDF, no easter eggs
+ *
+ * The inline script in index.html repeats resolveTheme() so the right
+ * data-theme is set before first paint — keep the two in sync.
+ */
+
+export const THEMES = {
+  dark: { label: "Dark", scheme: "dark", physics: true },
+  light: { label: "Light", scheme: "light", physics: false },
+  "high-contrast": { label: "High contrast", scheme: "dark", physics: false },
+  resume: { label: "Resume", scheme: "light", physics: false, printable: true },
+};
+
+export const SYSTEM_THEME = "system";
+export const RESUME_THEME = "resume";
+export const THEME_KEY = "theme";
+
+/** Theme id for a preference ("system" or a theme id) given the OS settings. */
+export function resolveTheme(preference, { prefersLight = false, prefersContrast = false } = {}) {
+  if (preference in THEMES) return preference;
+  if (prefersContrast) return "high-contrast";
+  return prefersLight ? "light" : "dark";
+}
+
+/** Persisted preference; migrates the old boolean "resumeMode" key. */
+export function readThemePreference() {
+  if (typeof localStorage === "undefined") return SYSTEM_THEME; // prerendering
+  const saved = localStorage.getItem(THEME_KEY);
+  if (saved === SYSTEM_THEME || saved in THEMES) return saved;
+  return localStorage.getItem("resumeMode") === "1" ? RESUME_THEME : SYSTEM_THEME;
+}
@@ -0,0 +1,82 @@
+/**
+ * timeline.js
+ * Layout for the experience timeline: each entry's start/end as month
+ * numbers, packed onto as few parallel tracks as possible so overlapping
+ * roles sit side by side. Pure data — <ExperienceTimeline /> draws it.
+ */
+import { timeRange } from "../content/schema.js";
+
+/** Months since year 0 (a `{ year, month }` or a Date). */
+export const monthNumber = (d) => (d instanceof Date ? d.getUTCFullYear() * 12 + d.getUTCMonth() : d.year * 12 + d.month);
+
+// Zoom levels, in pixels per month
+export const ZOOMS = [6, 12, 24, 48];
+export const DEFAULT_ZOOM = 2;
+
+/**
+ * @param {object[]} experience  content.experience (with start / end)
+ * @param {Date} [now]           where ongoing entries end
+ * @returns {{ from: number, to: number, tracks: number, items: { idx: number, entry: object, start: number, end: number, ongoing: boolean, track: number }[] }}
+ *   months are inclusive; items are in chronological order (earliest start first, longer first on ties)
+ */
+export function layoutTimeline(experience, now = new Date()) {
+  const current = monthNumber(now);
+  const items = experience
+    .map((entry, idx) => {
+      const { start, end } = timeRange(entry);
+      return { idx, entry, start: monthNumber(start), end: end ? monthNumber(end) : Math.max(current, monthNumber(start)), ongoing: !end };
+    })
+    .sort((a, b) => a.start - b.start || b.end - a.end || a.idx - b.idx);
+
+  // Greedy interval partitioning: first track that's free by the entry's start
+  const trackEnds = [];
+  items.forEach((item) => {
+    let track = trackEnds.findIndex((end) => end < item.start);
+    if (track === -1) track = trackEnds.length;
+    trackEnds[track] = item.end;
+    item.track = track;
+  });
+
+  return {
+    from: Math.min(...items.map((i) => i.start)),
+    to: Math.max(...items.map((i) => i.end)),
+    tracks: trackEnds.length,
+    items,
+  };
+}
+
+/** January of every year in [from, to], as { year, month } (month number). */
+export function yearTicks(from, to) {
+  const ticks = [];
+  for (let year = Math.ceil(from / 12); year * 12 <= to; year++) ticks.push({ year, month: year * 12 });
+  return ticks;
+}
+
+/**
+ * The item keyboard navigation lands on from `current` (an item from layoutTimeline).
+ * Left/Right step through time; Up/Down switch track, picking the entry that overlaps most.
+ */
+export function neighbour(items, current, key) {
+  const at = items.indexOf(current);
+  switch (key) {
+    case "ArrowLeft":
+      return items[at - 1] ?? current;
+    case "ArrowRight":
+      return items[at + 1] ?? current;
+    case "Home":
+      return items[0];
+    case "End":
+      return items[items.length - 1];
+    case "ArrowUp":
+    case "ArrowDown": {
+      const track = current.track + (key === "ArrowUp" ? -1 : 1);
+      const overlap = (i) => Math.min(i.end, current.end) - Math.max(i.start, current.start);
+      const distance = (i) => Math.abs(i.start + i.end - current.start - current.end);
+      const candidates = items.filter((i) => i.track === track);
+      if (!candidates.length) return current;
+      return candidates.reduce((best, i) => (overlap(i) > overlap(best) || (overlap(i) === overlap(best) && distance(i) < distance(best)) ? i : best));
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * variants.js
+ * Audience variants: named cuts of the portfolio (portfolio.json `variants`)
+ * for a kind of role. A variant picks and orders projects, experience entries
+ * (and which of their bullets) and skills, and may swap the hero tagline.
+ * Anything it doesn't list stays as is. Chosen with ?for=<id>, which the
+ * router carries from page to page; each variant has its own resume PDF.
+ */
+
+export const VARIANT_PARAM = "for";
+
+/** The variant named by ?for= in `search`, or null (none, or an unknown id). */
+export function variantFromSearch(search, variants = []) {
+  const id = new URLSearchParams(search).get(VARIANT_PARAM);
+  return variants.find((v) => v.id === id) ?? null;
+}
+
+/** `content` as `variant` presents it (content itself when variant is null). */
+export function applyVariant(content, variant) {
+  if (!variant) return content;
+  const pick = (list, field, keys) => {
+    const by = new Map(list.map((x) => [x[field].toLowerCase(), x]));
+    return keys.map((k) => by.get(k.toLowerCase()));
+  };
+  return {
+    ...content,
+    profile: variant.tagline ? { ...content.profile, tagline: variant.tagline } : content.profile,
+    projects: variant.projects ? pick(content.projects, "slug", variant.projects) : content.projects,
+    experience: variant.experience
+      ? variant.experience.map(({ org, pts }) => {
+          const entry = content.experience.find((e) => e.org === org);
+          return pts ? { ...entry, pts: pts.map((i) => entry.pts[i]) } : entry;
+        })
+      : content.experience,
+    skills: variant.skills ? pick(content.skills, "name", variant.skills) : content.skills,
+  };
+}
+
+/** The generated resume PDF for a variant (or the full portfolio). */
+export const resumeFile = (variant) => (variant ? `resume-${variant.id}.pdf` : "resume.pdf");
@@ -0,0 +1,52 @@
+/**
+ * Axe checks of every home section, a project page and the blog, in the default theme
+ * and in Resume Mode. Color contrast is left to contrast.test.js: jsdom has
+ * no layout or cascade for axe to measure colors with.
+ */
+import { describe, expect, it } from "vitest";
+import axe from "axe-core";
+import { renderApp } from "./renderApp.jsx";
+import content from "../content/portfolio.json";
+import posts from "virtual:posts"; // the fixtures in ./fixtures/posts under Vitest, never empty
+
+const AXE_OPTIONS = {
+  runOnly: { type: "tag", values: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "best-practice"] },
+  rules: { "color-contrast": { enabled: false } },
+};
+
+async function violations(context) {
+  const { violations } = await axe.run(context, AXE_OPTIONS);
+  return violations.map((v) => `${v.id}: ${v.help} (${v.nodes.map((n) => n.target.join(" ")).join(", ")})`);
+}
+
+describe.each(["dark", "resume"])("accessibility (%s theme)", (theme) => {
+  it("has no violations on the home page as a whole", async () => {
+    renderApp({ theme });
+    expect(await violations(document)).toEqual([]);
+  });
+
+  it.each(Object.keys(content.sections))("has no violations in the #%s section", async (id) => {
+    renderApp({ theme });
+    const section = document.getElementById(id);
+    expect(section).not.toBeNull();
+    expect(await violations({ include: [[`#${id}`]] })).toEqual([]);
+  });
+
+  it("has no violations in the experience timeline", async () => {
+    localStorage.setItem("experienceView", "timeline");
+    renderApp({ theme });
+    expect(await violations({ include: [["#experience"]] })).toEqual([]);
+  });
+
+  it("has no violations on a project page", async () => {
+    renderApp({ theme, path: `/projects/${content.projects[0].slug}` });
+    expect(await violations(document)).toEqual([]);
+  });
+
+  const [fixture] = posts;
+
+  it.each(["/blog", `/blog/${fixture.slug}`])("has no violations on %s", async (path) => {
+    renderApp({ theme, path });
+    expect(await violations(document)).toEqual([]);
+  });
+});
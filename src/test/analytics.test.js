@@ -0,0 +1,114 @@
+/**
+ * Analytics: which sink the env picks, what an event carries (and doesn't),
+ * Do Not Track / GPC, a failing sink, and the events the page emits.
+ */
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { act, fireEvent } from "@testing-library/react";
+import { renderApp } from "./renderApp.jsx";
+import { analytics, consoleSink, createAnalytics, doNotTrack, sinkFromEnv } from "../lib/analytics.js";
+
+const recordingSink = () => {
+  const events = [];
+  return { events, write: (event) => events.push(event) };
+};
+
+// Stand-in navigator properties, removed again after each test
+const setNavigator = (props) => Object.entries(props).forEach(([k, value]) => Object.defineProperty(navigator, k, { value, configurable: true }));
+
+afterEach(() => {
+  ["doNotTrack", "globalPrivacyControl"].forEach((k) => delete navigator[k]);
+  vi.restoreAllMocks();
+});
+
+describe("sinkFromEnv", () => {
+  it("only logs to the console when asked to", () => {
+    expect(sinkFromEnv({ VITE_ANALYTICS: "console" })).toBe(consoleSink);
+    expect(sinkFromEnv({ DEV: true })).toBeNull();
+    expect(sinkFromEnv({})).toBeNull();
+  });
+
+  it("prefers an endpoint, then storage", () => {
+    expect(sinkFromEnv({ VITE_ANALYTICS_ENDPOINT: "https://example.com/e", VITE_ANALYTICS: "console" }).name).toBe("beacon");
+    expect(sinkFromEnv({ VITE_ANALYTICS: "storage" }).name).toBe("storage");
+  });
+});
+
+describe("createAnalytics", () => {
+  it("writes only the name, props, path and time", () => {
+    const sink = recordingSink();
+    window.history.replaceState(null, "", "/sarthak-portfolio/projects/x?for=ml#top");
+    createAnalytics({ sink, now: () => 42 }).track("section_view", { section: "about" });
+    expect(sink.events).toEqual([{ name: "section_view", props: { section: "about" }, path: "/sarthak-portfolio/projects/x", ts: 42 }]);
+  });
+
+  it("records nothing without a sink", () => {
+    const tracker = createAnalytics({ sink: null });
+    expect(tracker.enabled).toBe(false);
+    expect(() => tracker.track("resume_print")).not.toThrow();
+  });
+
+  it.each([
+    ["Do Not Track", { doNotTrack: "1" }],
+    ["Global Privacy Control", { globalPrivacyControl: true }],
+  ])("is switched off by %s", (_, props) => {
+    setNavigator(props);
+    const sink = recordingSink();
+    const tracker = createAnalytics({ sink });
+    tracker.track("resume_print");
+    expect(tracker.enabled).toBe(false);
+    expect(sink.events).toEqual([]);
+    expect(createAnalytics({ sink, respectDnt: false }).enabled).toBe(true);
+  });
+
+  it("reads every form of the opt-out signal", () => {
+    expect(doNotTrack({ doNotTrack: "yes" }, {})).toBe(true);
+    expect(doNotTrack({}, { doNotTrack: "1" })).toBe(true);
+    expect(doNotTrack({ doNotTrack: "0", globalPrivacyControl: false }, {})).toBe(false);
+  });
+
+  it("swallows a sink that throws", () => {
+    const write = vi.fn(() => {
+      throw new Error("quota exceeded");
+    });
+    const tracker = createAnalytics({ sink: { write } });
+    expect(() => tracker.track("resume_print")).not.toThrow();
+    expect(write).toHaveBeenCalledOnce();
+  });
+});
+
+describe("events from the page", () => {
+  it("sends section_view once per section, with only the section id", () => {
+    const track = vi.spyOn(analytics, "track").mockImplementation(() => {});
+    const observers = [];
+    vi.spyOn(window, "IntersectionObserver").mockImplementation(function (callback) {
+      observers.push(callback);
+      return { observe() {}, unobserve() {}, disconnect() {} };
+    });
+    renderApp();
+    const seen = (id) => ({ target: document.getElementById(id), isIntersecting: true, intersectionRatio: 1, intersectionRect: { height: 0 } });
+    act(() => observers.forEach((cb) => cb([seen("about"), seen("skills")])));
+    act(() => observers.forEach((cb) => cb([seen("about")])));
+    expect(track.mock.calls.filter(([name]) => name === "section_view")).toEqual([
+      ["section_view", { section: "about" }],
+      ["section_view", { section: "skills" }],
+    ]);
+  });
+
+  it("sends outbound_click with the destination stripped of query, hash and address", () => {
+    const track = vi.spyOn(analytics, "track").mockImplementation(() => {});
+    renderApp();
+    const click = (href) => {
+      const a = document.getElementById("about").appendChild(document.createElement("a"));
+      a.href = href;
+      a.addEventListener("click", (e) => e.preventDefault()); // jsdom can't navigate
+      fireEvent.click(a);
+    };
+    click("https://example.com/path?utm_source=x&id=7#frag");
+    click("mailto:someone@example.com?subject=Hi");
+    click("/sarthak-portfolio/projects/x");
+    expect(track.mock.calls.filter(([name]) => name === "outbound_click")).toEqual([
+      ["outbound_click", { url: "https://example.com/path" }],
+      ["outbound_click", { url: "mailto" }],
+    ]);
+  });
+});
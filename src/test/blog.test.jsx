@@ -0,0 +1,149 @@
+/**
+ * Blog: compiling Markdown posts (frontmatter, highlighting, reading time),
+ * the Atom feed and prerendered pages, and the /blog index, post pages and
+ * project links in the app. `virtual:posts` is compiled from the fixtures in
+ * ./fixtures/posts here, not from src/content/posts.
+ */
+import { describe, expect, it } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp } from "./renderApp.jsx";
+import posts from "virtual:posts";
+import content from "../content/portfolio.json";
+import en from "../content/locales/en.json";
+import { ContentError } from "../content/schema.js";
+import { filterPosts, postsForProject } from "../lib/posts.js";
+import { atomFeed, sitePages, sitemapXml } from "../lib/seo.js";
+import { compilePost, loadPosts, parseFrontmatter, readingMinutes } from "../../scripts/posts.js";
+
+const post = (frontmatter, body = "Hello.") => `---\n${frontmatter}\n---\n${body}\n`;
+const valid = "title: A post\ndate: 2025-01-02\ntags: [C, Renode]\nsummary: Short.";
+
+describe("compilePost", () => {
+  it("reads frontmatter strings and lists", () => {
+    expect(parseFrontmatter(post('title: "Quoted: yes"\ntags: [a, "b c", d]'))).toEqual({
+      data: { title: "Quoted: yes", tags: ["a", "b c", "d"] },
+      body: "Hello.\n",
+    });
+    expect(parseFrontmatter("no frontmatter")).toEqual({ data: {}, body: "no frontmatter" });
+  });
+
+  it("renders Markdown with highlighted code and headings below the page title", () => {
+    const { html, project } = compilePost("a-post", post(valid, "## Setup\n\n```c\nint main(void) { return 0; }\n```\n\n```\n<raw>\n```"));
+    expect(project).toBeNull();
+    expect(html).toContain("<h3>Setup</h3>");
+    expect(html).toContain('<code class="hljs language-c">');
+    expect(html).toContain('<span class="hljs-keyword">return</span>');
+    expect(html).toContain('<code class="hljs">&lt;raw&gt;</code>'); // unknown language: escaped, not highlighted
+  });
+
+  it("estimates reading time at 200 words a minute", () => {
+    expect(readingMinutes("")).toBe(1);
+    expect(readingMinutes("word ".repeat(450))).toBe(2);
+    expect(readingMinutes("word ".repeat(1000))).toBe(5);
+  });
+
+  it("rejects bad frontmatter and unknown projects", () => {
+    expect(() => compilePost("x", post("title: A post\ndate: 2025-13-01\ntags: []"))).toThrow(ContentError);
+    const error = (() => {
+      try {
+        compilePost("Bad_Name", post(`${valid}\nproject: nope`), { projects: ["secure-risc-v-emulation"] });
+      } catch (err) {
+        return err;
+      }
+    })();
+    expect(error.errors).toEqual([
+      "posts/Bad_Name.md: file name must be a kebab-case slug",
+      'posts/Bad_Name.md: frontmatter.project: no project with slug "nope"',
+    ]);
+  });
+});
+
+describe("the compiled blog", () => {
+  it("compiles the real posts (none yet) as well as the fixtures", () => {
+    expect(Array.isArray(loadPosts({ projects: content.projects.map((p) => p.slug) }))).toBe(true);
+    expect(loadPosts({ dir: "/no/such/posts/dir" })).toEqual([]);
+    expect(posts.every((p) => p.tags.includes("Fixture"))).toBe(true);
+  });
+
+  it("is newest first and every post's project exists", () => {
+    expect(posts.length).toBeGreaterThan(0);
+    expect([...posts].sort((a, b) => b.date.localeCompare(a.date))).toEqual(posts);
+    const slugs = content.projects.map((p) => p.slug);
+    posts.filter((p) => p.project).forEach((p) => expect(slugs).toContain(p.project));
+  });
+
+  it("filters by tag and finds a project's posts", () => {
+    const [first] = posts;
+    expect(filterPosts(posts, first.tags[0].toUpperCase())).toContain(first);
+    expect(filterPosts(posts, "")).toBe(posts);
+    expect(filterPosts(posts, "no-such-tag")).toEqual([]);
+    expect(postsForProject(posts, first.project)).toContain(first);
+  });
+
+  it("gets a prerendered index, a page per post and sitemap entries", () => {
+    const siteUrl = "https://example.test/sarthak-portfolio/";
+    const pages = sitePages(content, { siteUrl, ui: en.ui, posts });
+    const files = pages.map((p) => p.file);
+    expect(files).toContain("blog/index.html");
+    posts.forEach((p) => expect(files).toContain(`blog/${p.slug}/index.html`));
+    const page = pages.find((p) => p.path === `/blog/${posts[0].slug}/`);
+    expect(page.jsonLd["@graph"][1]).toMatchObject({ "@type": "BlogPosting", headline: posts[0].title, datePublished: posts[0].date });
+    expect(sitemapXml(pages, siteUrl)).toContain(`<loc>${siteUrl}blog/${posts[0].slug}/</loc>`);
+  });
+
+  it("is published as a well-formed Atom feed", () => {
+    const siteUrl = "https://example.test/sarthak-portfolio/";
+    const xml = atomFeed(posts, { siteUrl, title: "Writing & notes", author: content.profile.name });
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+    expect(doc.querySelector("parsererror")).toBeNull();
+    expect(doc.querySelector("feed > title").textContent).toBe("Writing & notes");
+    expect(doc.querySelector("feed > updated").textContent).toBe(`${posts[0].date}T00:00:00Z`);
+    const entries = [...doc.querySelectorAll("entry")];
+    expect(entries.map((e) => e.querySelector("title").textContent)).toEqual(posts.map((p) => p.title));
+    expect(entries[0].querySelector("link").getAttribute("href")).toBe(`${siteUrl}blog/${posts[0].slug}/`);
+    expect(entries[0].querySelector("content").textContent).toBe(posts[0].html);
+  });
+});
+
+describe("blog pages", () => {
+  it("lists every post and filters by tag through the URL", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: "/blog" });
+    expect(screen.getByRole("heading", { level: 2, name: en.ui["blog.title"] })).toBeTruthy();
+    expect(screen.getAllByRole("heading", { level: 3 }).map((h) => h.textContent)).toEqual(posts.map((p) => p.title));
+
+    const tag = posts[0].tags.find((t) => !posts.slice(1).some((p) => p.tags.includes(t)));
+    const filters = screen.getByRole("group", { name: en.ui["blog.filterByTag"] });
+    await user.click(within(filters).getByRole("button", { name: tag }));
+    expect(window.location.search).toBe(`?tag=${encodeURIComponent(tag)}`);
+    expect(screen.getAllByRole("heading", { level: 3 }).map((h) => h.textContent)).toEqual([posts[0].title]);
+    await user.click(screen.getByRole("button", { name: en.ui["blog.clear"] }));
+    expect(window.location.search).toBe("");
+    expect(screen.getAllByRole("heading", { level: 3 })).toHaveLength(posts.length);
+  });
+
+  it("renders a post with its highlighted code and a link to its project", () => {
+    const withCode = posts.find((p) => p.project && p.html.includes("hljs-"));
+    const project = content.projects.find((p) => p.slug === withCode.project);
+    renderApp({ path: `/blog/${withCode.slug}` });
+    expect(screen.getByRole("heading", { level: 2, name: withCode.title })).toBeTruthy();
+    expect(document.title).toBe(`${withCode.title} · ${content.profile.name}`);
+    expect(document.querySelector(".prose-post .hljs-keyword")).not.toBeNull();
+    expect(screen.getByRole("link", { name: project.title }).getAttribute("href")).toBe(`/sarthak-portfolio/projects/${project.slug}`);
+    expect(screen.getByText(new RegExp(`· ${en.ui["blog.readingTime"].replace("{minutes}", withCode.readingMinutes)}$`))).toBeTruthy();
+  });
+
+  it("links project cards to their posts and the nav to the blog", () => {
+    const [first] = posts;
+    renderApp();
+    const card = within(document.getElementById("projects"));
+    expect(card.getByRole("link", { name: first.title }).getAttribute("href")).toBe(`/sarthak-portfolio/blog/${first.slug}`);
+    expect(screen.getByRole("link", { name: en.ui["blog.title"] }).getAttribute("href")).toBe("/sarthak-portfolio/blog");
+  });
+
+  it("shows Not Found for an unknown post", () => {
+    renderApp({ path: "/blog/no-such-post" });
+    expect(screen.getByRole("heading", { name: en.ui["notFound.title"] })).toBeTruthy();
+  });
+});
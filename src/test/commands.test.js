@@ -0,0 +1,111 @@
+import { describe, expect, it, vi } from "vitest";
+import content from "../content/portfolio.json";
+import { buildCommands } from "../lib/commands.js";
+import { stripBase } from "../lib/router.js";
+import { skillAnchor } from "../lib/skills.js";
+
+// Keys with their vars, so labels can be checked without a locale bundle
+const t = (key, vars = {}) => [key, ...Object.values(vars)].join(":");
+const posts = [{ slug: "a-post", title: "A post", tags: ["Notes"] }];
+
+const actions = (overrides = {}) => ({
+  resumeMode: false,
+  toggleResumeMode: vi.fn(),
+  downloadResume: vi.fn(),
+  copyEmail: vi.fn(),
+  scenes: [{ id: "calm", label: "Calm" }],
+  setScene: vi.fn(),
+  variant: null,
+  variants: [
+    { id: "ml", label: "ML" },
+    { id: "embedded", label: "Embedded" },
+  ],
+  setVariant: vi.fn(),
+  ...overrides,
+});
+
+const build = (ctx = {}) => buildCommands({ content, posts, t, formatTime: (e) => `time of ${e.org}`, actions: actions(), ...ctx });
+const byId = (commands, id) => commands.find((c) => c.id === id);
+const here = () => stripBase(window.location.pathname) + window.location.hash;
+
+describe("buildCommands", () => {
+  it("lists actions, then sections, projects, posts, experience and skills", () => {
+    const commands = build();
+    expect(commands.map((c) => c.id)).toEqual([
+      "action:resume",
+      "action:pdf",
+      "action:email",
+      "scene:calm",
+      "variant:ml",
+      "variant:embedded",
+      ...Object.keys(content.sections).map((id) => `section:${id}`),
+      "section:blog",
+      ...content.projects.map((p) => `project:${p.slug}`),
+      "post:a-post",
+      ...content.experience.map((_, i) => `experience:${i}`),
+      ...content.skills.map((s) => `skill:${s.name}`),
+    ]);
+    expect(new Set(commands.map((c) => c.id)).size).toBe(commands.length);
+  });
+
+  it("labels and groups each entry from the content", () => {
+    const commands = build();
+    const project = content.projects[0];
+    expect(byId(commands, `project:${project.slug}`)).toMatchObject({ group: "projects", label: project.title, keywords: project.tags });
+    const job = content.experience[0];
+    expect(byId(commands, "experience:0")).toMatchObject({ group: "experience", label: `${job.role} • ${job.org}`, hint: `time of ${job.org}` });
+    expect(byId(commands, "scene:calm").label).toBe("palette.scene:Calm");
+    expect(byId(commands, "variant:ml").label).toBe("palette.variant:ML");
+  });
+
+  it("offers to leave Resume Mode when it is on", () => {
+    expect(byId(build(), "action:resume").label).toBe("resume.enter");
+    expect(byId(build({ actions: actions({ resumeMode: true }) }), "action:resume").label).toBe("resume.exit");
+  });
+
+  it("swaps the current variant for a way back to the full portfolio", () => {
+    const ctx = actions({ variant: "ml" });
+    const commands = build({ actions: ctx });
+    expect(byId(commands, "variant:ml")).toBeUndefined();
+    expect(byId(commands, "variant:embedded")).toBeTruthy();
+    expect(byId(build(), "variant:all")).toBeUndefined();
+    const all = byId(commands, "variant:all");
+    expect(all.label).toBe("variant.showAll");
+    all.run();
+    expect(ctx.setVariant).toHaveBeenCalledWith(null);
+  });
+
+  it("leaves out the blog, scenes and variants when there are none", () => {
+    const ids = build({ posts: undefined, actions: actions({ scenes: undefined, variants: undefined }) }).map((c) => c.id);
+    expect(ids.filter((id) => /^(post|scene|variant):|^section:blog$/.test(id))).toEqual([]);
+  });
+
+  it("runs actions through the handlers it was given", () => {
+    const ctx = actions();
+    const commands = build({ actions: ctx });
+    byId(commands, "action:resume").run();
+    byId(commands, "action:pdf").run();
+    byId(commands, "scene:calm").run();
+    byId(commands, "variant:embedded").run();
+    expect(ctx.toggleResumeMode).toHaveBeenCalledOnce();
+    expect(ctx.downloadResume).toHaveBeenCalledOnce();
+    expect(ctx.setScene).toHaveBeenCalledWith("calm");
+    expect(ctx.setVariant).toHaveBeenCalledWith("embedded");
+  });
+
+  it("navigates to each page and section", () => {
+    const commands = build();
+    const skill = content.skills[0].name;
+    [
+      ["section:about", "/#about"],
+      ["section:blog", "/blog"],
+      [`project:${content.projects[0].slug}`, `/projects/${content.projects[0].slug}`],
+      ["post:a-post", "/blog/a-post"],
+      ["experience:1", "/#experience-1"],
+      [`skill:${skill}`, `/#${skillAnchor(skill)}`],
+    ].forEach(([id, to]) => {
+      byId(commands, id).run();
+      expect(here()).toBe(to);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * contact.js without the form: field validation, the spam checks, the
+ * rate limit and how each adapter reports failures.
+ */
+import { describe, expect, it, vi } from "vitest";
+import {
+  ContactError,
+  LIMITS,
+  contactAdapterFromEnv,
+  createHttpAdapter,
+  createMockAdapter,
+  createRateLimiter,
+  looksLikeSpam,
+  validateMessage,
+} from "../lib/contact.js";
+
+const valid = { name: "Ada", email: "ada@example.com", message: "Hello there, nice site." };
+
+// A localStorage stand-in, so each limiter starts empty
+const memoryStorage = (init = {}) => {
+  const data = { ...init };
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => (data[k] = String(v)) };
+};
+
+describe("validateMessage", () => {
+  it("accepts a complete message", () => {
+    expect(validateMessage(valid)).toEqual({});
+  });
+
+  it("requires every field", () => {
+    expect(validateMessage({})).toEqual({
+      name: "contact.error.nameRequired",
+      email: "contact.error.emailRequired",
+      message: "contact.error.messageShort",
+    });
+    expect(validateMessage({ name: "  ", email: " ", message: "          " })).toEqual(validateMessage({}));
+  });
+
+  it("checks the email shape, trimming around it", () => {
+    expect(validateMessage({ ...valid, email: " ada@example.com " })).toEqual({});
+    ["ada", "ada@example", "ada @example.com", "@example.com"].forEach((email) =>
+      expect(validateMessage({ ...valid, email }).email).toBe("contact.error.emailInvalid"),
+    );
+  });
+
+  it("enforces the length limits", () => {
+    expect(validateMessage({ ...valid, message: "x".repeat(LIMITS.minMessage - 1) }).message).toBe("contact.error.messageShort");
+    expect(validateMessage({ ...valid, message: "x".repeat(LIMITS.minMessage) })).toEqual({});
+    expect(validateMessage({ ...valid, message: "x".repeat(LIMITS.message + 1) }).message).toBe("contact.error.tooLong");
+    expect(validateMessage({ ...valid, name: "x".repeat(LIMITS.name + 1) }).name).toBe("contact.error.tooLong");
+    expect(validateMessage({ ...valid, email: `${"x".repeat(LIMITS.email)}@example.com` }).email).toBe("contact.error.emailInvalid");
+  });
+});
+
+describe("looksLikeSpam", () => {
+  it("flags a filled honeypot", () => {
+    expect(looksLikeSpam({ honeypot: "http://spam.example", shownAt: 0, now: 60_000 })).toBe(true);
+  });
+
+  it("flags forms sent within three seconds of being shown", () => {
+    expect(looksLikeSpam({ honeypot: "", shownAt: 1000, now: 3999 })).toBe(true);
+    expect(looksLikeSpam({ honeypot: "", shownAt: 1000, now: 4000 })).toBe(false);
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("allows `max` sends per window, then says how long to wait", () => {
+    const limiter = createRateLimiter({ max: 2, windowMs: 1000, storage: memoryStorage() });
+    expect(limiter.check(0)).toBe(0);
+    limiter.record(0);
+    limiter.record(300);
+    expect(limiter.check(400)).toBe(600);
+    expect(limiter.check(1000)).toBe(0); // the first send has left the window
+  });
+
+  it("persists between limiters on the same storage", () => {
+    const storage = memoryStorage();
+    createRateLimiter({ max: 1, windowMs: 1000, storage }).record(0);
+    expect(createRateLimiter({ max: 1, windowMs: 1000, storage }).check(500)).toBe(500);
+  });
+
+  it("treats corrupt stored data as no sends", () => {
+    const storage = memoryStorage({ contactSends: "{not json" });
+    const limiter = createRateLimiter({ max: 1, storage });
+    expect(limiter.check(0)).toBe(0);
+    limiter.record(0);
+    expect(JSON.parse(storage.getItem("contactSends"))).toEqual([0]);
+    expect(createRateLimiter({ max: 1, storage: memoryStorage({ contactSends: '["x", null]' }) }).check(0)).toBe(0);
+  });
+});
+
+describe("the HTTP adapter", () => {
+  it("POSTs the message as JSON", async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+    await createHttpAdapter("https://example.com/contact", { fetch }).send(valid);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://example.com/contact");
+    expect(init.method).toBe("POST");
+    expect(init.headers["Content-Type"]).toBe("application/json");
+    expect(JSON.parse(init.body)).toEqual(valid);
+  });
+
+  it("reports network errors as retryable", async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+    const err = await createHttpAdapter("/x", { fetch }).send(valid).catch((e) => e);
+    expect(err).toBeInstanceOf(ContactError);
+    expect(err).toMatchObject({ retryable: true, status: undefined, message: "Network error: Failed to fetch" });
+  });
+
+  it("reports 5xx answers as retryable and 4xx answers as final", async () => {
+    const answer = (status) => createHttpAdapter("/x", { fetch: async () => ({ ok: false, status }) }).send(valid).catch((e) => e);
+    expect(await answer(503)).toMatchObject({ name: "ContactError", retryable: true, status: 503 });
+    expect(await answer(422)).toMatchObject({ name: "ContactError", retryable: false, status: 422 });
+  });
+});
+
+describe("the mock adapter", () => {
+  it("keeps what it was sent", async () => {
+    const info = vi.spyOn(console, "info").mockImplementation(() => {});
+    const adapter = createMockAdapter({ delay: 0 });
+    await adapter.send(valid);
+    expect(adapter.sent).toEqual([valid]);
+    info.mockRestore();
+  });
+
+  it("can be told to fail", async () => {
+    const adapter = createMockAdapter({ delay: 0, fail: true });
+    await expect(adapter.send(valid)).rejects.toMatchObject({ name: "ContactError", retryable: true });
+    expect(adapter.sent).toEqual([]);
+  });
+});
+
+describe("contactAdapterFromEnv", () => {
+  it("picks an adapter from the env, or none", () => {
+    expect(contactAdapterFromEnv({ VITE_CONTACT_ENDPOINT: "https://example.com/c", VITE_CONTACT_ADAPTER: "mock" }).name).toBe("http");
+    expect(contactAdapterFromEnv({ VITE_CONTACT_ADAPTER: "mock" }).name).toBe("mock");
+    expect(contactAdapterFromEnv({})).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * The contact form's states: validation messages, bot submissions that look
+ * sent but go nowhere, the rate limit, and a failed send with its mailto link.
+ */
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import I18nProvider from "../components/I18nProvider.jsx";
+import ContactForm from "../components/ContactForm.jsx";
+import { ContactError } from "../lib/contact.js";
+import en from "../content/locales/en.json";
+
+const EMAIL = "me@example.com";
+const ui = (key, vars = {}) => en.ui[key].replace(/\{(\w+)\}/g, (_, k) => vars[k]);
+
+let clock;
+beforeEach(() => {
+  clock = 1_000_000;
+  vi.spyOn(Date, "now").mockImplementation(() => clock);
+});
+afterEach(() => vi.restoreAllMocks());
+
+const mount = (adapter = { send: vi.fn().mockResolvedValue() }) => {
+  render(
+    <I18nProvider>
+      <ContactForm adapter={adapter} email={EMAIL} />
+    </I18nProvider>,
+  );
+  return adapter;
+};
+
+const field = (name) => screen.getByLabelText(name);
+const status = () => screen.getByRole("status");
+
+async function fillAndSend(user, { name = "Ada", email = "ada@example.com", message = "Hello there, nice site." } = {}) {
+  if (name) await user.type(field("Name"), name);
+  if (email) await user.type(field("Email"), email);
+  if (message) await user.type(field("Message"), message);
+  clock += 5000; // a human's worth of typing
+  await user.click(screen.getByRole("button", { name: ui("contact.form.send") }));
+}
+
+describe("the contact form", () => {
+  it("shows field errors only after a submit, and focuses the first invalid field", async () => {
+    const user = userEvent.setup();
+    const adapter = mount();
+    await user.type(field("Email"), "not-an-email");
+    expect(screen.queryByText(ui("contact.error.emailInvalid"))).toBeNull();
+
+    await fillAndSend(user, { name: "", email: "", message: "Hi" });
+    expect(screen.getByText(ui("contact.error.nameRequired"))).toBeTruthy();
+    expect(screen.getByText(ui("contact.error.emailInvalid"))).toBeTruthy();
+    expect(screen.getByText(ui("contact.error.messageShort"))).toBeTruthy();
+    expect(field("Name").getAttribute("aria-invalid")).toBe("true");
+    expect(field("Name").getAttribute("aria-describedby")).toBe("contact-name-error");
+    expect(document.activeElement).toBe(field("Name"));
+    expect(adapter.send).not.toHaveBeenCalled();
+  });
+
+  it("sends a trimmed message, clears the form and says so", async () => {
+    const user = userEvent.setup();
+    const adapter = mount();
+    await fillAndSend(user, { name: "  Ada ", message: "Hello there, nice site.  " });
+    expect(adapter.send).toHaveBeenCalledExactlyOnceWith({ name: "Ada", email: "ada@example.com", message: "Hello there, nice site." });
+    expect(status().textContent).toBe(ui("contact.form.sent"));
+    expect(field("Name").value).toBe("");
+  });
+
+  it("reports a filled honeypot as sent without sending", async () => {
+    const user = userEvent.setup();
+    const adapter = mount();
+    const honeypot = document.querySelector('input[name="website"]');
+    expect(honeypot.closest("[aria-hidden]")).toBeTruthy();
+    expect(honeypot.tabIndex).toBe(-1);
+    await user.type(honeypot, "http://spam.example");
+    await fillAndSend(user);
+    expect(status().textContent).toBe(ui("contact.form.sent"));
+    expect(adapter.send).not.toHaveBeenCalled();
+  });
+
+  it("reports a too-fast submit as sent without sending", async () => {
+    const user = userEvent.setup();
+    const adapter = mount();
+    await user.type(field("Name"), "Bot");
+    await user.type(field("Email"), "bot@example.com");
+    await user.type(field("Message"), "Buy things now please");
+    await user.click(screen.getByRole("button", { name: ui("contact.form.send") })); // clock never moved
+    expect(status().textContent).toBe(ui("contact.form.sent"));
+    expect(adapter.send).not.toHaveBeenCalled();
+  });
+
+  it("stops after three sends and says how long to wait", async () => {
+    const user = userEvent.setup();
+    const adapter = mount();
+    for (let i = 0; i < 3; i++) await fillAndSend(user);
+    expect(adapter.send).toHaveBeenCalledTimes(3);
+    clock += 60_000;
+    await fillAndSend(user);
+    expect(adapter.send).toHaveBeenCalledTimes(3);
+    // The first send was 75 s before this one, so its 10-minute window has 8¾ min left
+    expect(status().textContent).toBe(ui("contact.form.limited", { minutes: 9 }));
+  });
+
+  it.each([
+    ["a retryable failure", new ContactError("Network error", { retryable: true }), "contact.form.failed"],
+    ["a rejection", new ContactError("Endpoint answered 422", { retryable: false, status: 422 }), "contact.form.rejected"],
+  ])("offers a mailto link after %s and keeps what was typed", async (_, error, key) => {
+    const user = userEvent.setup();
+    mount({ send: vi.fn().mockRejectedValue(error) });
+    await fillAndSend(user);
+    expect(status().textContent).toBe(ui(key, { email: EMAIL }));
+    expect(within(status()).getByRole("link", { name: EMAIL }).getAttribute("href")).toBe(`mailto:${EMAIL}`);
+    expect(field("Name").value).toBe("Ada");
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { screen, within } from "@testing-library/react";
+import { renderApp } from "./renderApp.jsx";
+import content from "../content/portfolio.json";
+import { auditPortfolio, validatePortfolio } from "../content/schema.js";
+import { skillAnchor } from "../lib/skills.js";
+
+describe("portfolio content", () => {
+  it("renders every project card with its tags and metrics", () => {
+    renderApp();
+    const section = within(document.getElementById("projects"));
+    content.projects.forEach((p) => {
+      const title = section.getByRole("heading", { level: 3, name: p.title });
+      const card = title.closest(".card");
+      p.metrics.forEach((m) => expect(within(card).getByText(m)).toBeTruthy());
+      p.tags.forEach((t) => expect(within(card).getAllByText(t).length).toBeGreaterThan(0));
+    });
+  });
+
+  it("renders every experience entry with its role, organisation and points", () => {
+    renderApp();
+    const section = within(document.getElementById("experience"));
+    content.experience.forEach((e, i) => {
+      const card = within(document.getElementById(`experience-${i}`));
+      expect(card.getByRole("heading", { level: 3 }).textContent).toBe(`${e.role} • ${e.org}`);
+      e.pts.forEach((pt) => expect(card.getByText(pt)).toBeTruthy());
+    });
+    expect(section.getAllByRole("heading", { level: 3 })).toHaveLength(content.experience.length);
+  });
+
+  it.each(content.projects.map((p) => [p.slug, p]))("renders the /projects/%s page", (slug, p) => {
+    renderApp({ path: `/projects/${slug}` });
+    expect(screen.getByRole("heading", { level: 2, name: p.title })).toBeTruthy();
+    expect(screen.getByText(p.writeup[0])).toBeTruthy();
+  });
+
+  it("takes skill levels as optional and shows a meter only where one is set", () => {
+    const skills = (level) => [{ ...content.skills[0], level }, ...content.skills.slice(1)];
+    expect(validatePortfolio({ ...content, skills: skills("advanced") })).toEqual([]);
+    expect(validatePortfolio({ ...content, skills: skills("expert") })).toHaveLength(1);
+    renderApp();
+    expect(document.querySelector("#skills [title]")).toBeNull();
+  });
+
+  it("flags skills nothing on the page backs up, as warnings rather than errors", () => {
+    const warnings = auditPortfolio(content);
+    expect(validatePortfolio(content)).toEqual([]);
+    expect(warnings.some((w) => w.startsWith('skill "Java"'))).toBe(true);
+    expect(warnings.some((w) => w.startsWith('skill "Python"'))).toBe(false);
+  });
+
+  it("shows the year each skill was first used in the listed work", () => {
+    renderApp();
+    const first = (name) => Math.min(...content.experience.filter((e) => e.skills?.includes(name)).map((e) => Number(e.start.slice(0, 4))));
+    expect(document.getElementById(skillAnchor("Python")).textContent).toBe(`Python· since ${first("Python")}`);
+    expect(document.getElementById(skillAnchor("Java")).textContent).toBe("Java");
+  });
+
+  it("shows the not-found page for an unknown project", () => {
+    renderApp({ path: "/projects/does-not-exist" });
+    expect(document.getElementById("projects")).toBeNull();
+    expect(screen.getByRole("heading", { name: "Page not found" })).toBeTruthy();
+  });
+});
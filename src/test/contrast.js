@@ -0,0 +1,57 @@
+/**
+ * contrast.js (test helper)
+ * Reads the theme tokens out of src/index.css and computes WCAG 2.1
+ * contrast ratios, compositing translucent colors over what sits behind them.
+ */
+import { readFileSync } from "node:fs";
+
+const CSS = new URL("../index.css", import.meta.url);
+
+/** Token blocks before the print section → { dark: {page: "#020617", …}, light: {…}, … } (overrides merged onto dark). */
+export function readThemeTokens(css = readFileSync(CSS, "utf8")) {
+  const screen = css.split("@media print")[0];
+  const block = (re) => {
+    const body = re.exec(screen)?.[1] ?? "";
+    return Object.fromEntries([...body.matchAll(/--color-([\w-]+):\s*([^;]+);/g)].map((m) => [m[1], m[2].trim()]));
+  };
+  const dark = block(/@theme\s*\{([^}]*)\}/);
+  const themes = { dark };
+  for (const m of screen.matchAll(/:root\[data-theme="([\w-]+)"\]\s*\{([^}]*)\}/g)) {
+    themes[m[1]] = { ...dark, ...block(new RegExp(`:root\\[data-theme="${m[1]}"\\]\\s*\\{([^}]*)\\}`)) };
+  }
+  return themes;
+}
+
+/** "#0f172a" | "#fff" | "rgb(15 23 42 / 0.6)" → [r, g, b, a] */
+export function parseColor(value) {
+  const hex = /^#([\da-f]{3}|[\da-f]{6})$/i.exec(value);
+  if (hex) {
+    const h = hex[1].length === 3 ? [...hex[1]].map((c) => c + c).join("") : hex[1];
+    return [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16)).concat(1);
+  }
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[/,]\s*([\d.]+))?\s*\)$/.exec(value);
+  if (rgb) return [+rgb[1], +rgb[2], +rgb[3], rgb[4] === undefined ? 1 : +rgb[4]];
+  throw new Error(`Unsupported color: ${value}`);
+}
+
+/** Flatten layers listed top-most first ("rgb(… / 0.2)", "#020617") into one opaque color. */
+export function composite(...layers) {
+  return layers
+    .map(parseColor)
+    .reverse()
+    .reduce((under, [r, g, b, a]) => [r, g, b].map((c, i) => c * a + under[i] * (1 - a)));
+}
+
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/** WCAG contrast ratio between two opaque [r, g, b] colors (1–21). */
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
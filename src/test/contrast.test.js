@@ -0,0 +1,78 @@
+// @vitest-environment node
+/**
+ * WCAG 2.1 AA contrast for every theme's tokens, in the combinations the
+ * components actually use (translucent backgrounds composited over what's
+ * under them). Text is held to 4.5:1 — most of it is small — and form
+ * control borders to 3:1.
+ */
+import { describe, expect, it } from "vitest";
+import { composite, contrastRatio, readThemeTokens } from "./contrast.js";
+import { THEMES } from "../lib/themes.js";
+
+const tokens = readThemeTokens();
+
+// [foreground, backgrounds top-most first]
+const TEXT = [
+  ["text", ["page"]],
+  ["ink", ["page"]],
+  ["body", ["page"]],
+  ["faint", ["page"]],
+  ["link", ["page"]],
+  ["faint", ["nav", "page"]],
+  ["ink", ["surface", "page"]],
+  ["body", ["surface", "page"]],
+  ["faint", ["surface", "page"]],
+  ["link", ["surface", "page"]],
+  ["chip-ink", ["chip", "surface", "page"]],
+  ["btn-ink", ["chip", "page"]], // logo pills
+  ["metric-ink", ["metric", "surface", "page"]],
+  ["accent-ink", ["accent", "surface", "page"]],
+  ["text", ["field", "page"]],
+  ["body", ["field", "page"]],
+  ["body", ["btn", "page"]],
+  ["btn-ink", ["btn", "page"]],
+  ["btn-primary-ink", ["btn-primary", "page"]],
+  ["btn-go-ink", ["btn-go", "page"]],
+  ["btn-go-ink", ["btn-go", "surface", "page"]],
+  ["highlight-ink", ["highlight", "page"]],
+  ["highlight-ink", ["highlight", "surface", "page"]],
+  ...["code-ink", "code-keyword", "code-string", "code-comment", "code-number", "code-title"].map((fg) => [fg, ["code", "surface", "page"]]),
+];
+const NON_TEXT = [
+  ["field-line", ["page"]],
+  ["field-line", ["surface", "page"]],
+  ["meter", ["surface", "page"]],
+];
+
+const ratio = (theme, fg, bgs) => {
+  const t = tokens[theme];
+  const under = bgs.map((k) => t[k]);
+  return contrastRatio(composite(t[fg], ...under), composite(...under));
+};
+
+describe("theme token contrast", () => {
+  it("finds a token block for every theme", () => {
+    expect(Object.keys(tokens).sort()).toEqual(Object.keys(THEMES).sort());
+  });
+
+  describe.each(Object.keys(THEMES))("%s", (theme) => {
+    it.each(TEXT)("%s on %j is at least 4.5:1", (fg, bgs) => {
+      expect(ratio(theme, fg, bgs)).toBeGreaterThanOrEqual(4.5);
+    });
+    it.each(NON_TEXT)("%s on %j is at least 3:1", (fg, bgs) => {
+      expect(ratio(theme, fg, bgs)).toBeGreaterThanOrEqual(3);
+    });
+  });
+});
+
+describe("contrastRatio", () => {
+  it("matches the WCAG reference values", () => {
+    expect(contrastRatio([0, 0, 0], [255, 255, 255])).toBeCloseTo(21, 5);
+    expect(contrastRatio([255, 255, 255], [255, 255, 255])).toBe(1);
+    expect(contrastRatio(composite("#767676"), composite("#ffffff"))).toBeCloseTo(4.54, 2);
+  });
+
+  it("composites translucent layers over opaque ones", () => {
+    expect(composite("rgb(0 0 0 / 0.5)", "#ffffff")).toEqual([127.5, 127.5, 127.5]);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Easter eggs on the page: the RISC-V terminal's script, how effects close,
+ * give focus back and stay closed once easter eggs are turned off, and the
+ * bouncing ball under prefers-reduced-motion.
+ */
+import { afterEach, describe, expect, it, vi } from "vitest";
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp } from "./renderApp.jsx";
+import content from "../content/portfolio.json";
+import BouncingBall from "../components/easter-eggs/BouncingBall.jsx";
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+const type = (word) => [...word].forEach((key) => fireEvent.keyDown(window, { key }));
+
+describe("the RISC-V terminal", () => {
+  it("is labelled as simulated and only repeats what the project page says", () => {
+    vi.useFakeTimers({ toFake: ["setInterval", "clearInterval"] });
+    renderApp();
+    type("riscv");
+    const terminal = screen.getByRole("dialog", { name: "RISC-V terminal (simulated)" });
+    act(() => vi.advanceTimersByTime(10_000)); // every line typed out
+    const text = terminal.querySelector("pre").textContent;
+    const project = content.projects.find((p) => p.demo === "rv32i");
+    expect(text).toMatch(/^# simulated session/);
+    [project.title, project.blurb, ...project.metrics].forEach((fact) => expect(text).toContain(fact));
+    expect(text).not.toMatch(/cycles|KiB|MHz|version/);
+  });
+});
+
+describe("running effects", () => {
+  const terminal = () => screen.queryByRole("dialog", { name: "RISC-V terminal (simulated)" });
+
+  it("hand focus back when the terminal closes", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const trigger = screen.getByRole("button", { name: "Search and commands" });
+    trigger.focus();
+    await user.keyboard("riscv");
+    expect(document.activeElement).toBe(screen.getByRole("button", { name: "Close terminal" }));
+    await user.keyboard("{Escape}");
+    expect(terminal()).toBeNull();
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it("are dropped, not paused, while easter eggs are off", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.keyboard("riscv");
+    expect(terminal()).toBeTruthy();
+    await user.keyboard("{Control>}k{/Control}");
+    expect(terminal()).toBeNull();
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("combobox", { name: "Command palette" })).toBeNull();
+    expect(terminal()).toBeNull();
+  });
+});
+
+describe("the bouncing ball", () => {
+  it("stays still with reduced motion, then finishes", () => {
+    vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout", "requestAnimationFrame", "cancelAnimationFrame"] });
+    const matchMedia = window.matchMedia;
+    vi.spyOn(window, "matchMedia").mockImplementation((query) => ({ ...matchMedia(query), matches: query === "(prefers-reduced-motion: reduce)" }));
+    const raf = vi.spyOn(window, "requestAnimationFrame");
+    const onDone = vi.fn();
+    const { container } = render(<BouncingBall onDone={onDone} />);
+    const ball = container.firstChild;
+    const rest = ball.style.transform;
+    expect(rest).toMatch(/^translate\(20px, /);
+    act(() => vi.advanceTimersByTime(1000));
+    expect(ball.style.transform).toBe(rest);
+    expect(raf).not.toHaveBeenCalled();
+    act(() => vi.advanceTimersByTime(1000));
+    expect(onDone).toHaveBeenCalledOnce();
+  });
+});
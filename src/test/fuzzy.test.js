@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { fuzzyMatch, fuzzySearch } from "../lib/fuzzy.js";
+
+describe("fuzzyMatch", () => {
+  it("matches a case-insensitive subsequence, ignoring spaces in the query", () => {
+    expect(fuzzyMatch("rsm", "Resume Mode").indices).toEqual([0, 2, 4]); // earliest occurrence of each character
+    expect(fuzzyMatch("sec risc", "Secure RISC-V Emulation").indices).toEqual([0, 1, 2, 4, 8, 9, 10]);
+    expect(fuzzyMatch("SECURE", "secure")).not.toBeNull();
+  });
+
+  it("needs every character in order", () => {
+    expect(fuzzyMatch("msr", "Resume Mode")).toBeNull();
+    expect(fuzzyMatch("xyz", "Resume Mode")).toBeNull();
+  });
+
+  it("matches everything with a score of 0 for an empty query", () => {
+    expect(fuzzyMatch("", "anything")).toEqual({ score: 0, indices: [] });
+    expect(fuzzyMatch("   ", "anything")).toEqual({ score: 0, indices: [] });
+  });
+
+  it("scores consecutive runs and word starts above scattered matches", () => {
+    const score = (q, text) => fuzzyMatch(q, text).score;
+    expect(score("ris", "risk")).toBeGreaterThan(score("ris", "rules is"));
+    expect(score("rv", "RISC-V")).toBeGreaterThan(score("rv", "Reserve"));
+    expect(score("py", "Python")).toBeGreaterThan(score("py", "Happy"));
+  });
+
+  it("breaks ties toward the shorter text", () => {
+    expect(fuzzyMatch("go", "Go").score).toBeGreaterThan(fuzzyMatch("go", "Go language").score);
+  });
+});
+
+describe("fuzzySearch", () => {
+  const items = [
+    { label: "Resume Mode", keywords: ["theme", "print"] },
+    { label: "Projects", keywords: [] },
+    { label: "Download PDF", keywords: ["resume", "cv"] },
+    { label: "Python", keywords: [] },
+  ];
+  const fields = (item) => [item.label, ...item.keywords];
+  const labels = (results) => results.map((r) => r.item.label);
+
+  it("returns every item in input order for an empty query", () => {
+    const results = fuzzySearch(items, "", fields);
+    expect(labels(results)).toEqual(items.map((i) => i.label));
+    results.forEach((r) => expect(r.indices).toEqual([]));
+  });
+
+  it("orders by score, a label match above the same keyword match", () => {
+    expect(labels(fuzzySearch(items, "resume", fields))).toEqual(["Resume Mode", "Download PDF"]);
+    // Word starts first (shorter label ahead), a keyword's word start over a label's late one
+    expect(labels(fuzzySearch(items, "p", fields))).toEqual(["Python", "Projects", "Resume Mode", "Download PDF"]);
+  });
+
+  it("highlights label matches only", () => {
+    const [label, keyword] = fuzzySearch(items, "resume", fields);
+    expect(label.indices).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(keyword.indices).toEqual([]);
+  });
+
+  it("drops non-matches, skips empty fields and honours the limit", () => {
+    expect(fuzzySearch(items, "zzz", fields)).toEqual([]);
+    expect(labels(fuzzySearch([{ label: "", keywords: ["python"] }], "py", fields))).toEqual([""]);
+    expect(fuzzySearch(items, "", fields, { limit: 2 })).toHaveLength(2);
+  });
+});
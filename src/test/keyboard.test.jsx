@@ -0,0 +1,137 @@
+/**
+ * Keyboard-only use: skip link, nav order, the mobile menu's focus trap,
+ * the command palette (with its scene names) and the toggle buttons in the page.
+ */
+import { describe, expect, it } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp } from "./renderApp.jsx";
+import content from "../content/portfolio.json";
+import { skillAnchor } from "../lib/skills.js";
+
+const sectionTitles = Object.values(content.sections).map((s) => s.title);
+
+describe("keyboard navigation", () => {
+  it("starts with a skip link that moves focus to the main content", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.tab();
+    expect(document.activeElement).toHaveProperty("textContent", "Skip to content");
+    await user.keyboard("{Enter}");
+    expect(document.activeElement).toBe(screen.getByRole("main"));
+  });
+
+  it("reaches the brand and every section link in order", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const nav = screen.getByRole("navigation", { name: "Site" });
+    const expected = [content.profile.initials, ...sectionTitles];
+    await user.tab(); // skip link
+    const reached = [];
+    for (let i = 0; i < expected.length; i++) {
+      await user.tab();
+      expect(nav.contains(document.activeElement)).toBe(true);
+      reached.push(document.activeElement.textContent);
+    }
+    expect(reached).toEqual(expected);
+  });
+
+  it("traps focus in the open mobile menu and closes it with Escape", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const toggle = screen.getByRole("button", { name: "Open menu" });
+    toggle.focus();
+    await user.keyboard("{Enter}");
+
+    expect(toggle).toHaveProperty("ariaExpanded", "true");
+    const menu = document.getElementById("site-menu");
+    expect(document.activeElement).toBe(within(menu).getByRole("link", { name: sectionTitles[0] }));
+
+    // Shift+Tab past the toggle wraps to the last control in the panel
+    await user.tab({ shift: true });
+    expect(document.activeElement).toBe(toggle);
+    await user.tab({ shift: true });
+    expect(menu.contains(document.activeElement)).toBe(true);
+    await user.tab();
+    expect(document.activeElement).toBe(toggle);
+
+    await user.keyboard("{Escape}");
+    expect(document.getElementById("site-menu")).toBeNull();
+    expect(toggle).toHaveProperty("ariaExpanded", "false");
+    expect(document.activeElement).toBe(toggle);
+  });
+
+  it("opens the command palette with Ctrl+K and runs the highlighted command with Enter", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.keyboard("{Control>}k{/Control}");
+
+    const input = screen.getByRole("combobox", { name: "Command palette" });
+    expect(document.activeElement).toBe(input);
+    await user.keyboard("resume mode");
+    const active = document.getElementById(input.getAttribute("aria-activedescendant"));
+    expect(active).toHaveProperty("textContent", expect.stringContaining("Resume Mode"));
+    expect(active.getAttribute("aria-selected")).toBe("true");
+
+    await user.keyboard("{Enter}");
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(document.documentElement.dataset.theme).toBe("resume");
+  });
+
+  it("moves through palette results with the arrow keys and closes on Escape", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const trigger = screen.getByRole("button", { name: "Search and commands" });
+    trigger.focus();
+    await user.keyboard("{Enter}");
+
+    const input = screen.getByRole("combobox", { name: "Command palette" });
+    const options = within(screen.getByRole("listbox")).getAllByRole("option");
+    expect(input.getAttribute("aria-activedescendant")).toBe(options[0].id);
+    await user.keyboard("{ArrowDown}");
+    expect(input.getAttribute("aria-activedescendant")).toBe(options[1].id);
+    await user.keyboard("{ArrowUp}{ArrowUp}");
+    expect(input.getAttribute("aria-activedescendant")).toBe(options.at(-1).id);
+
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it("toggles skills and project tags from the keyboard", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const skill = document.getElementById(skillAnchor(content.skills[0].name));
+    skill.focus();
+    await user.keyboard("{Enter}");
+    expect(skill.getAttribute("aria-pressed")).toBe("true");
+    await user.keyboard(" ");
+    expect(skill.getAttribute("aria-pressed")).toBe("false");
+
+    const tags = screen.getByRole("group", { name: "Filter by tag" });
+    const tag = within(tags).getAllByRole("button")[0];
+    tag.focus();
+    await user.keyboard("{Enter}");
+    expect(tag.getAttribute("aria-pressed")).toBe("true");
+    expect(document.activeElement).toBe(tag); // filtering re-renders the grid, not the chips
+  });
+});
+
+describe("background scenes", () => {
+  it("are named in the page's language in the palette", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: "/?lang=es" });
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("fondo");
+    const options = within(screen.getByRole("listbox")).getAllByRole("option").map((o) => o.textContent);
+    ["Fondo: Orbital", "Fondo: Galaxia", "Fondo: Campo de flujo", "Fondo: N cuerpos"].forEach((name) =>
+      expect(options).toContainEqual(expect.stringContaining(name)),
+    );
+  });
+
+  it("fall back to the default for a saved name that isn't a scene", () => {
+    localStorage.setItem("physicsScene", "toString");
+    renderApp();
+    expect(localStorage.getItem("physicsScene")).toBe("orbital");
+  });
+});
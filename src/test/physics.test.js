@@ -0,0 +1,152 @@
+// @vitest-environment node
+/**
+ * Headless runs of the physics engine on a mocked 2D canvas: the engine
+ * draws every particle with ctx.arc(x, y, …), so the mock's arc calls are
+ * the particle positions for that frame.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createPhysicsEngine } from "../lib/physicsEngine.js";
+import { MAX_DT, clampDt } from "../lib/physics.js";
+import { SCENES, createScene } from "../lib/scenes.js";
+
+function mockCanvas() {
+  let frame = [];
+  const ctx = {
+    globalAlpha: 1,
+    fillStyle: "",
+    clearRect() {},
+    fillRect() {
+      frame = []; // drawParticles starts every frame by fading the last one
+    },
+    beginPath() {},
+    moveTo() {},
+    arc: (x, y) => frame.push({ x, y }),
+    fill() {},
+  };
+  return { width: 0, height: 0, getContext: () => ctx, frame: () => frame };
+}
+
+// Deterministic Math.random (LCG) so spawns are repeatable
+const seeded = (seed) => () => ((seed = (seed * 1664525 + 1013904223) % 2 ** 32) / 2 ** 32);
+
+let clock;
+let queued;
+const tick = (ms) => {
+  clock += ms;
+  const fn = queued;
+  queued = null;
+  fn?.(clock);
+};
+
+beforeEach(() => {
+  clock = 1000;
+  queued = null;
+  vi.spyOn(performance, "now").mockImplementation(() => clock);
+  vi.spyOn(Math, "random").mockImplementation(seeded(42));
+  vi.stubGlobal("requestAnimationFrame", (fn) => ((queued = fn), 1));
+  vi.stubGlobal("cancelAnimationFrame", () => (queued = null));
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+const W = 320;
+const H = 200;
+
+describe("physics tick", () => {
+  it.each(Object.keys(SCENES))("keeps every %s particle inside the canvas", (id) => {
+    const canvas = mockCanvas();
+    const engine = createPhysicsEngine(canvas, { width: W, height: H, dpr: 1, scene: id });
+    engine.pointers([{ x: W / 2, y: H / 2 }]);
+    engine.addWell(W / 4, H / 4);
+    for (let i = 0; i < 150; i++) {
+      tick(i % 25 === 0 ? 5000 : 16); // the odd long stall as well
+      const frame = canvas.frame();
+      expect(frame.length).toBeGreaterThan(0);
+      // (NaN fails every comparison, so it counts as outside too)
+      expect(frame.filter((p) => !(p.x >= 0 && p.x <= W && p.y >= 0 && p.y <= H))).toEqual([]);
+    }
+    engine.destroy();
+  });
+
+  it("clamps dt so a stalled tab moves particles no further than a MAX_DT step", () => {
+    // No forces: each particle moves exactly v·dt per frame
+    const drift = createScene({ particles: { count: 30, speed: 40 }, pointer: { mode: "none" } });
+    const canvas = mockCanvas();
+    const engine = createPhysicsEngine(canvas, { width: 4000, height: 4000, dpr: 1, scene: drift });
+
+    const positions = () => canvas.frame().map((p) => ({ ...p }));
+    tick(16);
+    const a = positions();
+    tick(16);
+    const b = positions();
+    tick(10_000); // 10 s without a frame
+    const c = positions();
+
+    b.forEach((p, i) => {
+      const step16 = Math.hypot(p.x - a[i].x, p.y - a[i].y);
+      const stalled = Math.hypot(c[i].x - p.x, c[i].y - p.y);
+      expect(stalled).toBeCloseTo(step16 * (MAX_DT / 0.016), 6);
+    });
+    engine.destroy();
+  });
+
+  it("draws one static frame and never schedules ticks with reduced motion", () => {
+    const canvas = mockCanvas();
+    createPhysicsEngine(canvas, { width: W, height: H, dpr: 1, reducedMotion: true });
+    expect(canvas.frame().length).toBe(SCENES.orbital.particles.count);
+    expect(queued).toBeNull();
+  });
+
+  it("stops scheduling while paused and resumes on request", () => {
+    const canvas = mockCanvas();
+    const engine = createPhysicsEngine(canvas, { width: W, height: H, dpr: 1 });
+    engine.setRunning(false);
+    expect(queued).toBeNull();
+    engine.setRunning(true);
+    expect(queued).toBeTypeOf("function");
+    engine.destroy();
+  });
+});
+
+describe("device pixel ratio", () => {
+  // A cheap frame (the mocked clock doesn't move during a tick), so the governor keeps trying to raise quality
+  const frames = (n) => {
+    for (let i = 0; i < n; i++) tick(16);
+  };
+
+  it.each([
+    [1, 2],
+    [2, 1],
+  ])("follows a move from a %sx to a %sx screen and keeps it through governor adjustments", (from, to) => {
+    const canvas = mockCanvas();
+    const engine = createPhysicsEngine(canvas, { width: W, height: H, dpr: from });
+    expect(canvas.width).toBe(W * from);
+    engine.resize(W, H, to);
+    expect([canvas.width, canvas.height]).toEqual([W * to, H * to]);
+    frames(120); // several governor windows
+    expect([canvas.width, canvas.height]).toEqual([W * to, H * to]);
+    engine.destroy();
+  });
+
+  it("keeps particles in place relative to the canvas when the ratio changes", () => {
+    const canvas = mockCanvas();
+    const engine = createPhysicsEngine(canvas, { width: W, height: H, dpr: 1, scene: createScene({ pointer: { mode: "none" } }) });
+    tick(16);
+    engine.resize(W, H, 2);
+    tick(16);
+    const frame = canvas.frame();
+    expect(frame.filter((p) => !(p.x >= 0 && p.x <= W * 2 && p.y >= 0 && p.y <= H * 2))).toEqual([]);
+    expect(frame.some((p) => p.x > W || p.y > H)).toBe(true);
+    engine.destroy();
+  });
+});
+
+describe("clampDt", () => {
+  it("converts rAF milliseconds to seconds within [0, MAX_DT]", () => {
+    expect(clampDt(1016, 1000)).toBeCloseTo(0.016, 10);
+    expect(clampDt(11_000, 1000)).toBe(MAX_DT);
+    expect(clampDt(900, 1000)).toBe(0);
+  });
+});
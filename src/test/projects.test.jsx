@@ -0,0 +1,67 @@
+/**
+ * The Projects grid's filters: the URL round trip, case-insensitive tags and
+ * the chips' pressed state, and other query params surviving a filter change.
+ */
+import { describe, expect, it } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp } from "./renderApp.jsx";
+import { filterProjects, parseFilters, sameTag, serializeFilters } from "../lib/projectFilters.js";
+
+describe("projectFilters", () => {
+  it("round-trips through the query string and leaves defaults out", () => {
+    const filters = { tag: "Django", q: "movie ", sort: "newest" };
+    expect(parseFilters(serializeFilters(filters))).toEqual(filters);
+    expect(serializeFilters({ tag: "", q: "", sort: "featured" })).toBe("");
+    expect(parseFilters("?sort=bogus").sort).toBe("featured");
+  });
+
+  it("keeps params it doesn't own and removes cleared filters", () => {
+    expect(serializeFilters({ tag: "NLP", q: "", sort: "featured" }, "?lang=es&for=ml&q=old&sort=alpha")).toBe("?lang=es&for=ml&tag=NLP");
+    expect(serializeFilters({ tag: "", q: "", sort: "featured" }, "?tag=NLP&lang=es")).toBe("?lang=es");
+  });
+
+  it("compares tags case-insensitively", () => {
+    expect(sameTag("django", "Django")).toBe(true);
+    expect(sameTag("Django", "NLP")).toBe(false);
+    expect(sameTag("", "")).toBe(false);
+  });
+});
+
+describe("sorting", () => {
+  const projects = [
+    { title: "B", date: "2024-01", tags: [], blurb: "" },
+    { title: "C", tags: [], blurb: "" },
+    { title: "A", date: "2025-03", tags: [], blurb: "" },
+    { title: "D", tags: [], blurb: "" },
+  ];
+  const titles = (sort) => filterProjects(projects, { tag: "", q: "", sort }).map((p) => p.title);
+
+  it("puts the newest first and undated projects last, in curated order", () => {
+    expect(titles("newest")).toEqual(["A", "B", "C", "D"]);
+    expect(titles("featured")).toEqual(["B", "C", "A", "D"]);
+    expect(titles("alpha")).toEqual(["A", "B", "C", "D"]);
+  });
+});
+
+describe("the tag chips", () => {
+  const chip = (name) => within(screen.getByRole("group", { name: "Filter by tag" })).getByRole("button", { name: new RegExp(`^${name}`) });
+
+  it("show a lower-case ?tag= as pressed, and clicking it clears the filter", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: "/?tag=django" });
+    expect(chip("Django").getAttribute("aria-pressed")).toBe("true");
+    await user.click(chip("Django"));
+    expect(window.location.search).toBe("");
+    expect(chip("Django").getAttribute("aria-pressed")).toBe("false");
+  });
+
+  it("keep ?lang= and ?for= when the filters change", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: "/?lang=en&for=fullstack" });
+    await user.click(chip("Django"));
+    expect(new URLSearchParams(window.location.search).get("tag")).toBe("Django");
+    expect(new URLSearchParams(window.location.search).get("lang")).toBe("en");
+    expect(new URLSearchParams(window.location.search).get("for")).toBe("fullstack");
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * renderApp.jsx (test helper)
+ * Renders the whole site at an app path with a saved theme. The particle
+ * canvas is switched off: jsdom has no 2D context to draw it with.
+ */
+import React from "react";
+import { render } from "@testing-library/react";
+import App from "../App.jsx";
+import { href } from "../lib/router.js";
+
+export function renderApp({ path = "/", theme = "dark" } = {}) {
+  localStorage.setItem("theme", theme);
+  localStorage.setItem("physicsBackground", "0");
+  window.history.replaceState(null, "", href(path));
+  return render(<App />);
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it, vi } from "vitest";
+import { act, render, screen } from "@testing-library/react";
+import ThemeProvider from "../components/ThemeProvider.jsx";
+import { useTheme } from "../hooks/useTheme.js";
+import { analytics } from "../lib/analytics.js";
+
+function Probe() {
+  const { id, resumeMode, toggleResumeMode, setPreference } = useTheme();
+  return (
+    <>
+      <output>{`${id}:${resumeMode}`}</output>
+      <button onClick={toggleResumeMode}>resume</button>
+      <button onClick={() => setPreference("light")}>light</button>
+      <button onClick={() => setPreference("resume")}>pick resume</button>
+    </>
+  );
+}
+
+const mount = () => render(<ThemeProvider><Probe /></ThemeProvider>);
+const state = () => screen.getByRole("status").textContent;
+const click = (name) => act(() => screen.getByRole("button", { name }).click());
+
+describe("Resume Mode persistence", () => {
+  it("saves Resume Mode and restores it on the next visit", () => {
+    const first = mount();
+    expect(state()).toBe("dark:false");
+    click("resume");
+    expect(state()).toBe("resume:true");
+    expect(localStorage.getItem("theme")).toBe("resume");
+    expect(document.documentElement.dataset.theme).toBe("resume");
+    first.unmount();
+
+    mount();
+    expect(state()).toBe("resume:true");
+  });
+
+  it("returns to the theme picked before Resume Mode and saves that", () => {
+    mount();
+    click("light");
+    click("resume");
+    click("resume");
+    expect(state()).toBe("light:false");
+    expect(localStorage.getItem("theme")).toBe("light");
+  });
+
+  it("leaving a restored Resume Mode goes back to the system theme", () => {
+    localStorage.setItem("theme", "resume");
+    mount();
+    click("resume");
+    expect(state()).toBe("dark:false");
+    expect(localStorage.getItem("theme")).toBe("system");
+  });
+
+  it("migrates the old resumeMode flag", () => {
+    localStorage.setItem("resumeMode", "1");
+    mount();
+    expect(state()).toBe("resume:true");
+    expect(localStorage.getItem("theme")).toBe("resume");
+  });
+
+  it("ignores unknown saved themes", () => {
+    localStorage.setItem("theme", "solarized");
+    mount();
+    expect(state()).toBe("dark:false");
+  });
+});
+
+describe("resume_mode events", () => {
+  it("are recorded from the toggle and the theme picker alike, once per switch", () => {
+    const track = vi.spyOn(analytics, "track").mockImplementation(() => {});
+    mount();
+    expect(track).not.toHaveBeenCalled();
+    click("resume");
+    click("resume");
+    click("pick resume");
+    click("light");
+    click("light");
+    expect(track.mock.calls).toEqual([
+      ["resume_mode", { on: true }],
+      ["resume_mode", { on: false }],
+      ["resume_mode", { on: true }],
+      ["resume_mode", { on: false }],
+    ]);
+    track.mockRestore();
+  });
+});
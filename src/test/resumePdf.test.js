@@ -0,0 +1,20 @@
+// @vitest-environment node
+/**
+ * The generated resume PDFs: the full one and one per audience variant all
+ * render and fit on one page.
+ */
+import { describe, expect, it } from "vitest";
+import content from "../content/portfolio.json";
+import { renderResumePdf } from "../../scripts/resume-pdf.js";
+
+describe("resume PDFs", () => {
+  it.each([null, ...content.variants].map((v) => [v?.id ?? "full", v]))("renders the %s resume", async (_, variant) => {
+    const pdf = await renderResumePdf(content, variant);
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(pdf.toString("latin1").match(/\/Type \/Page\b/g)).toHaveLength(1);
+  });
+
+  it("validates the full portfolio, not the variant's cut of it", async () => {
+    await expect(renderResumePdf({ ...content, projects: [] }, content.variants[0])).rejects.toThrow(/portfolio\.projects/);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * The RV32I demo: assembler encodings and errors, the sample programs'
+ * results (the ECC ones against a JS reference) and cycle counts, and the
+ * step / run / reset / compare panel on the Secure RISC-V project page.
+ */
+import { describe, expect, it } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp } from "./renderApp.jsx";
+import content from "../content/portfolio.json";
+import en from "../content/locales/en.json";
+import { AsmError, SimError, assemble, createMachine, loadWord, run, step } from "../lib/rv32i.js";
+import { CURVE, ECC_PAIR, PROGRAMS } from "../lib/rvPrograms.js";
+
+const exec = (source) => {
+  const m = createMachine(assemble(source));
+  run(m);
+  return m;
+};
+
+const resultOf = (m, { label, words }) =>
+  Array.from({ length: words }, (_, i) => loadWord(m, m.program.symbols.get(label) + 4 * i));
+
+// k·G with the same double-and-add as the assembly, in plain modular arithmetic
+function scalarMul(k, [gx, gy], { p, a }) {
+  const mod = (x) => ((x % p) + p) % p;
+  const inv = (x) => {
+    let r = 1;
+    for (let e = p - 2, b = x; e; e >>= 1, b = (b * b) % p) if (e & 1) r = (r * b) % p;
+    return r;
+  };
+  const slope = (num, den) => mod(num * inv(mod(den)));
+  let [x, y] = [gx, gy];
+  for (let bit = 31 - Math.clz32(k) - 1; bit >= 0; bit--) {
+    const l = slope(3 * x * x + a, 2 * y);
+    const x2 = mod(l * l - 2 * x);
+    [x, y] = [x2, mod(l * (x - x2) - y)];
+    if ((k >> bit) & 1) {
+      const m = slope(gy - y, gx - x);
+      const x3 = mod(m * m - x - gx);
+      [x, y] = [x3, mod(m * (x - x3) - y)];
+    }
+  }
+  return [x, y];
+}
+
+describe("assemble", () => {
+  it("produces real RV32I encodings", () => {
+    const { words } = assemble("addi a0, zero, 5\nadd a0, a0, a1\nsw a0, -4(sp)\nlui t0, 0x12345\nret");
+    expect([...words]).toEqual([0x00500513, 0x00b50533, 0xfea12e23, 0x123452b7, 0x00008067]);
+  });
+
+  it("resolves labels for branches, jumps and la", () => {
+    const m = exec("main:\n  la t0, value\n  lw a0, 0(t0)\n  j end\n  li a0, 1\nend:\n  li a7, 93\n  ecall\n  .data\nvalue: .word -7");
+    expect(m.halted).toBe(true);
+    expect(m.exitCode).toBe(-7);
+  });
+
+  it("reports the source line of errors", () => {
+    expect(() => assemble("nop\nfrob a0")).toThrow(AsmError);
+    expect(() => assemble("nop\nfrob a0")).toThrow(/^line 2:/);
+    expect(() => assemble("addi a0, a0, 4096")).toThrow(AsmError);
+    expect(() => assemble("j nowhere")).toThrow(AsmError);
+  });
+});
+
+describe("the simulator", () => {
+  it("counts one cycle per instruction plus load and taken-branch penalties", () => {
+    const m = exec("main:\n  la t0, x\n  lw t1, 0(t0)\n  beqz zero, end\n  nop\nend:\n  ebreak\n  .data\nx: .word 1");
+    // la (2) + lw (1 + 1) + taken beqz (1 + 2) + ebreak (1)
+    expect(m.instret).toBe(5);
+    expect(m.cycles).toBe(8);
+    expect(m.exitCode).toBeNull();
+  });
+
+  it("stops on a bad pc", () => {
+    const m = createMachine(assemble("jr zero\n"));
+    m.pc = 8;
+    expect(() => step(m)).toThrow(SimError);
+  });
+
+  it("runs every sample program to its expected result", () => {
+    const byId = Object.fromEntries(PROGRAMS.map((p) => [p.id, exec(p.source)]));
+    Object.values(byId).forEach((m) => expect(m.halted).toBe(true));
+    expect(resultOf(byId.sum, PROGRAMS[0].result)).toEqual([5050]);
+    expect(resultOf(byId.fibonacci, PROGRAMS[1].result)).toEqual([0, 1, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89]);
+    expect(resultOf(byId.sort, PROGRAMS[2].result)).toEqual([-3, 0, 7, 7, 19, 23, 42, 88]);
+  });
+
+  it("computes k·G on the toy curve, faster with the optimized multiply", () => {
+    const [naive, optimized] = ECC_PAIR.map((id) => PROGRAMS.find((p) => p.id === id)).map((p) => ({ m: exec(p.source), p }));
+    const k = loadWord(naive.m, naive.m.program.symbols.get("k"));
+    const expected = scalarMul(k, CURVE.G, CURVE);
+    expect(resultOf(naive.m, naive.p.result)).toEqual(expected);
+    expect(resultOf(optimized.m, optimized.p.result)).toEqual(expected);
+    const [x, y] = expected;
+    expect((y * y) % CURVE.p).toBe((x ** 3 + CURVE.a * x + CURVE.b) % CURVE.p);
+    expect(optimized.m.cycles).toBeLessThan(naive.m.cycles);
+  });
+});
+
+describe("the demo panel", () => {
+  const flagship = content.projects.find((p) => p.demo === "rv32i");
+
+  it("is only on the project that asks for it", () => {
+    const other = content.projects.find((p) => !p.demo);
+    renderApp({ path: `/projects/${other.slug}` });
+    expect(screen.queryByRole("heading", { name: en.ui["demo.title"] })).toBeNull();
+  });
+
+  it("steps, runs and resets a program", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: `/projects/${flagship.slug}` });
+    const panel = within(screen.getByRole("region", { name: en.ui["demo.title"] }));
+    const status = panel.getByRole("status");
+    expect(status.textContent).toContain(en.ui["demo.paused"].replace("{pc}", "0000"));
+
+    await user.click(panel.getByRole("button", { name: en.ui["demo.step"] }));
+    expect(status.textContent).toContain(en.ui["demo.paused"].replace("{pc}", "0004"));
+    expect(status.textContent).toContain("1 cycles · 1 instructions");
+
+    await user.click(panel.getByRole("button", { name: en.ui["demo.run"] }));
+    expect(status.textContent).toContain(en.ui["demo.halted"].replace("{code}", "5050"));
+    expect(panel.getByRole("button", { name: en.ui["demo.step"] }).disabled).toBe(true);
+    expect(panel.getByRole("cell", { name: "total" }).nextSibling.textContent).toBe("5050");
+
+    await user.click(panel.getByRole("button", { name: en.ui["demo.reset"] }));
+    expect(status.textContent).toContain("0 cycles");
+  });
+
+  it("switches programs and compares the ECC multiplies", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: `/projects/${flagship.slug}` });
+    const panel = within(screen.getByRole("region", { name: en.ui["demo.title"] }));
+    await user.selectOptions(panel.getByRole("combobox", { name: en.ui["demo.program"] }), "sort");
+    expect(panel.getByText(en.ui["demo.about.sort"])).toBeTruthy();
+    expect(panel.getByRole("cell", { name: "array" })).toBeTruthy();
+
+    await user.click(panel.getByRole("button", { name: en.ui["demo.compare"] }));
+    const [naive, optimized] = ECC_PAIR.map((id) => exec(PROGRAMS.find((p) => p.id === id).source));
+    const gain = Math.round((naive.cycles / optimized.cycles - 1) * 100);
+    const results = panel.getByText(en.ui["demo.speedup"].replace("{gain}", gain)).parentElement;
+    expect(results.textContent).toContain(`${en.ui["demo.program.ecc-naive"]}: ${naive.cycles.toLocaleString("en")} cycles`);
+    expect(results.textContent).toContain(`${en.ui["demo.program.ecc-optimized"]}: ${optimized.cycles.toLocaleString("en")} cycles`);
+  });
+});
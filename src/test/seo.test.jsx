@@ -0,0 +1,89 @@
+// @vitest-environment node
+/**
+ * Prerendering: the page list and metadata built from the content, and the
+ * app rendering to static HTML without a browser.
+ */
+import { describe, expect, it } from "vitest";
+import content from "../content/portfolio.json";
+import en from "../content/locales/en.json";
+import { render } from "../entry-server.jsx";
+import { pageUrl, robotsTxt, sitePages, sitemapXml } from "../lib/seo.js";
+import { injectPage } from "../../scripts/vite-plugin-prerender.js";
+
+const siteUrl = "https://example.test/sarthak-portfolio/";
+const pages = sitePages(content, { siteUrl, ui: en.ui });
+
+describe("sitePages", () => {
+  it("has the home page, one page per project and the 404 fallback", () => {
+    expect(pages.map((p) => p.file)).toEqual([
+      "index.html",
+      ...content.projects.map((p) => `projects/${p.slug}/index.html`),
+      "404.html",
+    ]);
+    expect(new Set(pages.map((p) => p.title)).size).toBe(pages.length - 1); // 404 reuses the home title
+  });
+
+  it("describes the person and every project in JSON-LD", () => {
+    const [home, ...rest] = pages;
+    const [person, ...works] = home.jsonLd["@graph"];
+    expect(person).toMatchObject({ "@type": "Person", name: content.profile.name, url: siteUrl });
+    expect(works.map((w) => w.name)).toEqual(content.projects.map((p) => p.title));
+    expect(works.every((w) => w.author["@id"] === person["@id"])).toBe(true);
+    works.forEach((w, i) => expect(w.dateCreated).toBe(content.projects[i].date)); // undefined when the content has no date
+    expect(works.filter((w) => "dateCreated" in w)).toHaveLength(content.projects.filter((p) => p.date).length);
+    rest.filter((p) => p.jsonLd).forEach((page, i) => {
+      expect(page.jsonLd["@graph"][1]).toMatchObject({ "@type": "CreativeWork", url: pageUrl(siteUrl, page.path) });
+      expect(page.jsonLd["@graph"][1].name).toBe(content.projects[i].title);
+    });
+  });
+
+  it("lists only indexable pages in the sitemap", () => {
+    const xml = sitemapXml(pages, siteUrl);
+    expect(xml.match(/<loc>/g)).toHaveLength(pages.length - 1);
+    expect(xml).toContain(`<loc>${siteUrl}projects/${content.projects[0].slug}/</loc>`);
+    expect(xml).not.toContain("404");
+    expect(robotsTxt(siteUrl)).toContain(`Sitemap: ${siteUrl}sitemap.xml`);
+  });
+});
+
+describe("prerendered HTML", () => {
+  const template = `<html><head>\n  <meta name="description" content="x">\n  <title>x</title>\n  </head><body><div id="root"></div></body></html>`;
+
+  it("renders each route's content", () => {
+    expect(render("/")).toContain(content.profile.name);
+    const project = content.projects[0];
+    expect(render(`/projects/${project.slug}/`)).toContain(project.writeup[0]);
+    expect(render("/404")).toContain(en.ui["notFound.title"]);
+  });
+
+  it("fills in title, description, social tags and JSON-LD", () => {
+    const page = pages[1];
+    const html = injectPage(template, page, { html: "<p>app</p>", siteUrl, siteName: "Site" });
+    expect(html).toContain(`<title>${page.title.replace(/&/g, "&amp;")}</title>`);
+    expect(html).toContain(`<link rel="canonical" href="${pageUrl(siteUrl, page.path)}" />`);
+    expect(html).toContain(`<meta property="og:image" content="${pageUrl(siteUrl, `/${page.image}`)}" />`);
+    expect(html).toContain('<meta name="twitter:card" content="summary_large_image" />');
+    expect(html).toContain('<div id="root"><p>app</p></div>');
+    const ld = html.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1];
+    expect(JSON.parse(ld)).toEqual(page.jsonLd);
+  });
+
+  it("keeps the 404 page out of search and escapes script-breaking content", () => {
+    const html = injectPage(template, pages.at(-1), { html: "", siteUrl, siteName: "Site" });
+    expect(html).toContain('<meta name="robots" content="noindex" />');
+    expect(html).not.toContain("canonical");
+
+    const evil = { ...pages[0], title: 'A "quoted" <b>', jsonLd: { name: "</script><script>alert(1)</script>" } };
+    const out = injectPage(template, evil, { html: "", siteUrl, siteName: "Site" });
+    expect(out).toContain("<title>A &quot;quoted&quot; &lt;b&gt;</title>");
+    expect(out).not.toContain("</script><script>");
+  });
+
+  it("keeps replacement patterns in titles and page content as written", () => {
+    const dollars = { ...pages[0], title: "Costs $& and $1", description: "Saved $' and $`" };
+    const out = injectPage(template, dollars, { html: "<p>$&lt;$& $$ $'</p>", siteUrl, siteName: "Site" });
+    expect(out).toContain("<title>Costs $&amp; and $1</title>");
+    expect(out).toContain(`<meta name="description" content="Saved $' and $\`">`);
+    expect(out).toContain("<div id=\"root\"><p>$&lt;$& $$ $'</p></div>");
+  });
+});
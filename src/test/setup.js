@@ -0,0 +1,34 @@
+/**
+ * setup.js (vitest)
+ * jsdom lacks a few browser APIs the site touches at render time; stub them
+ * with inert versions and reset the DOM, storage and URL between tests.
+ * Suites that opt into the node environment skip all of this.
+ */
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+if (typeof window !== "undefined") {
+  // Every media query is false: dark theme, fine pointer, motion allowed, screen
+  window.matchMedia = vi.fn((query) => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+  }));
+
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+
+  Element.prototype.scrollIntoView = function scrollIntoView() {};
+  window.scrollTo = () => {};
+
+  afterEach(() => {
+    cleanup();
+    localStorage.clear();
+    document.documentElement.removeAttribute("data-theme");
+    window.history.replaceState(null, "", import.meta.env.BASE_URL);
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * Experience dates and the timeline view: structured start/end, track
+ * layout for overlapping roles, keyboard navigation, zoom and the
+ * remembered list/timeline toggle.
+ */
+import { describe, expect, it } from "vitest";
+import { act, fireEvent, render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import I18nProvider from "../components/I18nProvider.jsx";
+import ExperienceTimeline from "../components/ExperienceTimeline.jsx";
+import { renderApp } from "./renderApp.jsx";
+import content from "../content/portfolio.json";
+import { validatePortfolio } from "../content/schema.js";
+import { formatTimeRange } from "../lib/i18n.js";
+import { layoutTimeline, neighbour, yearTicks } from "../lib/timeline.js";
+import { navigate } from "../lib/router.js";
+
+const NOW = new Date("2025-10-15T00:00:00Z");
+const { experience } = content;
+const byOrg = (org) => experience.findIndex((e) => e.org === org);
+
+describe("experience dates", () => {
+  it("formats start and end per locale, with ongoing roles ending at Present", () => {
+    expect(formatTimeRange({ start: "2023-06", end: "2023-08" }, "en", "Present")).toBe("Jun 2023 – Aug 2023");
+    expect(formatTimeRange({ start: "2025-05" }, "en", "Present")).toBe("May 2025 – Present");
+    expect(formatTimeRange({ start: "2025-05" }, "es", "Actualidad")).toBe("may 2025 – Actualidad");
+  });
+
+  it("rejects malformed dates, ranges that end before they start and the old free-text field", () => {
+    const withEntry = (patch) => {
+      const data = structuredClone(content);
+      data.experience[0] = { ...data.experience[0], ...patch };
+      return validatePortfolio(data);
+    };
+    expect(withEntry({ start: "May 2025" })).toEqual([expect.stringContaining('"May 2025" does not match YYYY-MM')]);
+    expect(withEntry({ start: "2025-05", end: "2024-01" })).toEqual([expect.stringContaining("ends (2024-01) before it starts (2025-05)")]);
+    expect(withEntry({ time: "May 2025 – Present" })).toEqual(["portfolio.experience[0].time: unknown field"]);
+  });
+});
+
+describe("layoutTimeline", () => {
+  const layout = layoutTimeline(experience, NOW);
+  const item = (org) => layout.items.find((i) => i.idx === byOrg(org));
+
+  it("puts concurrent roles on parallel tracks and reuses free tracks", () => {
+    expect(layout.tracks).toBe(3);
+    const concurrent = ["Carnegie Mellon University", "Georgia Tech VIP", "Westlake Corporation"].map((org) => item(org).track);
+    expect(new Set(concurrent).size).toBe(3);
+    expect(item("University of Nebraska").track).toBe(0);
+  });
+
+  it("runs ongoing roles up to now and orders items chronologically", () => {
+    expect(item("Carnegie Mellon University")).toMatchObject({ ongoing: true, end: 2025 * 12 + 9 });
+    expect(item("University of Nebraska")).toMatchObject({ ongoing: false, start: 2023 * 12 + 5, end: 2023 * 12 + 7 });
+    expect(layout.items.map((i) => i.start)).toEqual([...layout.items.map((i) => i.start)].sort((a, b) => a - b));
+    expect(layout.from).toBe(2023 * 12 + 5);
+    expect(layout.to).toBe(2025 * 12 + 9);
+  });
+
+  it("ticks every January in range", () => {
+    expect(yearTicks(layout.from, layout.to).map((t) => t.year)).toEqual([2024, 2025]);
+  });
+
+  it("moves through time with ←/→ and across tracks with ↑/↓", () => {
+    const [first, ...rest] = layout.items;
+    const last = rest[rest.length - 1];
+    expect(neighbour(layout.items, first, "ArrowLeft")).toBe(first);
+    expect(neighbour(layout.items, first, "ArrowRight")).toBe(rest[0]);
+    expect(neighbour(layout.items, first, "End")).toBe(last);
+    expect(neighbour(layout.items, last, "Home")).toBe(first);
+    const down = neighbour(layout.items, item("Carnegie Mellon University"), "ArrowDown");
+    expect(down.track).toBe(1);
+    expect(neighbour(layout.items, down, "ArrowUp")).toBe(item("Carnegie Mellon University"));
+    expect(neighbour(layout.items, first, "ArrowUp")).toBe(first); // no track above
+    expect(neighbour(layout.items, first, "a")).toBeNull();
+  });
+});
+
+describe("<ExperienceTimeline>", () => {
+  const renderTimeline = () =>
+    render(
+      <I18nProvider>
+        <ExperienceTimeline experience={experience} now={NOW} />
+      </I18nProvider>,
+    );
+  const bar = (org) => screen.getByRole("button", { name: new RegExp(`• ${org},`) });
+  const details = () => document.getElementById("timeline-details");
+
+  it("expands a role's bullets on hover and keeps them while selected", async () => {
+    const user = userEvent.setup();
+    renderTimeline();
+    const cmu = experience[byOrg("Carnegie Mellon University")];
+    expect(details().textContent).toBe("");
+
+    fireEvent.pointerEnter(bar("Carnegie Mellon University"));
+    expect(within(details()).getByText(cmu.pts[0])).toBeTruthy();
+    fireEvent.pointerLeave(bar("Carnegie Mellon University"));
+    expect(details().textContent).toBe("");
+
+    await user.click(bar("Westlake Corporation"));
+    expect(bar("Westlake Corporation").getAttribute("aria-pressed")).toBe("true");
+    await user.click(document.body);
+    expect(within(details()).getByText(experience[byOrg("Westlake Corporation")].pts[0])).toBeTruthy();
+  });
+
+  it("has a single tab stop and moves it with the arrow keys", async () => {
+    const user = userEvent.setup();
+    renderTimeline();
+    const group = screen.getByRole("group", { name: "Roles over time" });
+    expect(within(group).getAllByRole("button").filter((b) => b.tabIndex === 0)).toHaveLength(1);
+
+    await user.tab();
+    await user.tab();
+    await user.tab(); // zoom out, zoom in, then the timeline's tab stop
+    const start = document.activeElement;
+    expect(group.contains(start)).toBe(true);
+    await user.keyboard("{Home}");
+    expect(document.activeElement).toBe(bar("University of Nebraska"));
+    expect(within(details()).getByText(experience[byOrg("University of Nebraska")].pts[0])).toBeTruthy();
+    await user.keyboard("{ArrowRight}");
+    expect(document.activeElement).not.toBe(bar("University of Nebraska"));
+    expect(document.activeElement.tabIndex).toBe(0);
+    await user.keyboard("{Enter}");
+    expect(document.activeElement.getAttribute("aria-pressed")).toBe("true");
+    await user.keyboard("{Escape}");
+    expect(document.activeElement.getAttribute("aria-pressed")).toBe("false");
+  });
+
+  it("zooms with the buttons and +/− keys", async () => {
+    const user = userEvent.setup();
+    renderTimeline();
+    const width = () => parseFloat(bar("University of Nebraska").style.width);
+    const initial = width();
+    await user.click(screen.getByRole("button", { name: "Zoom in" }));
+    expect(width()).toBe(initial * 2);
+    expect(screen.getByRole("button", { name: "Zoom in" }).disabled).toBe(true);
+    bar("University of Nebraska").focus();
+    await user.keyboard("---");
+    expect(width()).toBe(initial / 4);
+    expect(screen.getByRole("button", { name: "Zoom out" }).disabled).toBe(true);
+  });
+
+  it("selects the role named in the URL hash", () => {
+    renderTimeline();
+    act(() => navigate(`/#experience-${byOrg("Georgia Tech VIP")}`));
+    expect(bar("Georgia Tech VIP").getAttribute("aria-pressed")).toBe("true");
+  });
+});
+
+describe("list/timeline toggle", () => {
+  it("remembers the chosen view across visits", async () => {
+    const user = userEvent.setup();
+    const { unmount } = renderApp();
+    const section = within(document.getElementById("experience"));
+    expect(section.getByRole("button", { name: "List" }).getAttribute("aria-pressed")).toBe("true");
+    expect(section.queryByRole("group", { name: "Roles over time" })).toBeNull();
+
+    await user.click(section.getByRole("button", { name: "Timeline" }));
+    expect(section.getByRole("group", { name: "Roles over time" })).toBeTruthy();
+    expect(localStorage.getItem("experienceView")).toBe("timeline");
+
+    unmount();
+    renderApp();
+    const again = within(document.getElementById("experience"));
+    expect(again.getByRole("button", { name: "Timeline" }).getAttribute("aria-pressed")).toBe("true");
+    expect(again.getByRole("group", { name: "Roles over time" })).toBeTruthy();
+  });
+
+  it("ignores an unknown saved view", () => {
+    localStorage.setItem("experienceView", "carousel");
+    renderApp();
+    expect(within(document.getElementById("experience")).getByRole("button", { name: "List" }).getAttribute("aria-pressed")).toBe("true");
+  });
+});
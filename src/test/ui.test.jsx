@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import { Card, LogoPill, SectionHeading } from "../components/ui.jsx";
+
+describe("LogoPill", () => {
+  it.each([
+    ["md", "px-3 py-1", "text-[11px]", "h-4 w-4"],
+    ["lg", "px-4 py-2", "text-sm", "h-6 w-6"],
+    ["xl", "px-5 py-2.5", "text-base", "h-7 w-7"],
+  ])("size %s sets padding, text and logo size", (size, pad, text, img) => {
+    const { container } = render(<LogoPill src="logos/cmu.png" label="CMU" size={size} />);
+    const pill = container.firstChild;
+    expect(pill.className).toContain(pad);
+    expect(pill.className).toContain(text);
+    expect(screen.getByRole("img", { name: "CMU" }).className).toContain(img);
+  });
+
+  it("falls back to md for unknown sizes and leaves out the image without a src", () => {
+    const { container } = render(<LogoPill label="GT" size="huge" />);
+    expect(container.firstChild.className).toContain("px-3 py-1");
+    expect(screen.queryByRole("img")).toBeNull();
+    expect(screen.getByText("GT")).toBeTruthy();
+  });
+
+  it("uses the chip border token unless an accent border is given", () => {
+    const { container, rerender } = render(<LogoPill label="CMU" />);
+    expect(container.firstChild.className).toContain("border-chip-line");
+    rerender(<LogoPill label="CMU" border="border-red-400/30" />);
+    expect(container.firstChild.className).toContain("border-red-400/30");
+    expect(container.firstChild.className).not.toContain("border-chip-line");
+  });
+});
+
+// Themes restyle these through CSS tokens (index.css), so they must only use token utilities
+const TOKEN_ONLY = /\b(bg|text|border)-(slate|gray|white|black|zinc|neutral)\b/;
+
+describe("Card", () => {
+  it("renders a themed surface and merges extra classes and attributes", () => {
+    const { container } = render(
+      <Card className="scroll-mt-24" id="experience-0">
+        body
+      </Card>,
+    );
+    const card = container.firstChild;
+    expect(card.className).toMatch(/\bcard\b.*\bbg-surface\b.*\bborder-line\b.*\bscroll-mt-24\b/);
+    expect(card.id).toBe("experience-0");
+    expect(card.textContent).toBe("body");
+    expect(card.className).not.toMatch(TOKEN_ONLY);
+  });
+});
+
+describe("SectionHeading", () => {
+  it("renders the title as an h2 and the subtitle when there is one", () => {
+    const { container, rerender } = render(<SectionHeading title="Projects" subtitle="Things I built" />);
+    expect(screen.getByRole("heading", { level: 2, name: "Projects" }).className).toContain("text-ink");
+    expect(screen.getByText("Things I built").className).toContain("text-body");
+    expect(container.innerHTML).not.toMatch(TOKEN_ONLY);
+
+    rerender(<SectionHeading title="Skills" />);
+    expect(container.querySelectorAll("p")).toHaveLength(0);
+  });
+});
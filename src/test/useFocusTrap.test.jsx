@@ -0,0 +1,87 @@
+import React, { useRef, useState } from "react";
+import { describe, expect, it, vi } from "vitest";
+import { act, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { useFocusTrap } from "../hooks/useFocusTrap.js";
+
+function Dialog({ onEscape, autofocus = false }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+  useFocusTrap(ref, open, { onEscape: onEscape ?? (() => setOpen(false)) });
+  return (
+    <>
+      <button onClick={() => setOpen(true)}>open</button>
+      {open && (
+        <div ref={ref} role="dialog">
+          <button>first</button>
+          <button disabled>disabled</button>
+          <input aria-label="middle" data-autofocus={autofocus || undefined} />
+          <button tabIndex={-1}>skipped</button>
+          <a href="#x">last</a>
+        </div>
+      )}
+      <button>outside</button>
+    </>
+  );
+}
+
+const el = (name) => screen.getByRole(name === "middle" ? "textbox" : name === "last" ? "link" : "button", { name });
+
+describe("useFocusTrap", () => {
+  it("moves focus to the first focusable, or the [data-autofocus] one", async () => {
+    const user = userEvent.setup();
+    const { unmount } = render(<Dialog />);
+    await user.click(el("open"));
+    expect(document.activeElement).toBe(el("first"));
+    unmount();
+
+    render(<Dialog autofocus />);
+    await user.click(el("open"));
+    expect(document.activeElement).toBe(el("middle"));
+  });
+
+  it("wraps Tab and Shift+Tab at the ends, skipping disabled and tabindex=-1 elements", async () => {
+    const user = userEvent.setup();
+    render(<Dialog />);
+    await user.click(el("open"));
+    await user.tab();
+    expect(document.activeElement).toBe(el("middle"));
+    await user.tab();
+    expect(document.activeElement).toBe(el("last"));
+    await user.tab();
+    expect(document.activeElement).toBe(el("first"));
+    await user.tab({ shift: true });
+    expect(document.activeElement).toBe(el("last"));
+  });
+
+  it("pulls focus back in when it has escaped the trap", async () => {
+    const user = userEvent.setup();
+    render(<Dialog />);
+    await user.click(el("open"));
+    act(() => el("outside").focus());
+    await user.tab();
+    expect(document.activeElement).toBe(el("first"));
+  });
+
+  it("calls onEscape on Escape and gives focus back when released", async () => {
+    const user = userEvent.setup();
+    render(<Dialog />);
+    await user.click(el("open"));
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(document.activeElement).toBe(el("open"));
+  });
+
+  it("uses the latest onEscape without re-trapping", async () => {
+    const user = userEvent.setup();
+    const [a, b] = [vi.fn(), vi.fn()];
+    const { rerender } = render(<Dialog onEscape={a} />);
+    await user.click(el("open"));
+    await user.tab();
+    rerender(<Dialog onEscape={b} />);
+    expect(document.activeElement).toBe(el("middle"));
+    await user.keyboard("{Escape}");
+    expect(a).not.toHaveBeenCalled();
+    expect(b).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, renderHook } from "@testing-library/react";
+import { useKonami } from "../hooks/useKeySequences.js";
+import { KONAMI, createSequenceMatcher } from "../lib/keySequences.js";
+
+const type = (keys, target = window, init = {}) => keys.forEach((key) => fireEvent.keyDown(target, { key, ...init }));
+
+describe("useKonami", () => {
+  it("fires once the full sequence is typed, and again every time after", () => {
+    const onMatch = vi.fn();
+    renderHook(() => useKonami(onMatch));
+    type(KONAMI.slice(0, -1));
+    expect(onMatch).not.toHaveBeenCalled();
+    type(["a"]);
+    expect(onMatch).toHaveBeenCalledExactlyOnceWith("konami");
+    type(KONAMI);
+    expect(onMatch).toHaveBeenCalledTimes(2);
+  });
+
+  it("starts over after a wrong key and ignores letter case", () => {
+    const onMatch = vi.fn();
+    renderHook(() => useKonami(onMatch));
+    type([...KONAMI.slice(0, 5), "x", ...KONAMI.slice(5)]);
+    expect(onMatch).not.toHaveBeenCalled();
+    type([...KONAMI.slice(0, -2), "B", "A"]);
+    expect(onMatch).toHaveBeenCalledOnce();
+  });
+
+  it("ignores modified keys and typing in form fields", () => {
+    const onMatch = vi.fn();
+    renderHook(() => useKonami(onMatch));
+    type(KONAMI, window, { ctrlKey: true });
+    const input = document.body.appendChild(document.createElement("input"));
+    type(KONAMI, input);
+    input.remove();
+    expect(onMatch).not.toHaveBeenCalled();
+  });
+
+  it("does nothing while disabled and stops listening on unmount", () => {
+    const onMatch = vi.fn();
+    const { rerender, unmount } = renderHook(({ enabled }) => useKonami(onMatch, { enabled }), { initialProps: { enabled: false } });
+    type(KONAMI);
+    rerender({ enabled: true });
+    type(KONAMI);
+    unmount();
+    type(KONAMI);
+    expect(onMatch).toHaveBeenCalledOnce();
+  });
+});
+
+describe("createSequenceMatcher", () => {
+  it("reset() drops a partly typed sequence", () => {
+    const matcher = createSequenceMatcher({ konami: KONAMI });
+    KONAMI.slice(0, -1).forEach((k) => matcher.push(k));
+    matcher.reset();
+    expect(matcher.push("a")).toBeNull();
+  });
+
+  it("reports whichever of several sequences was completed", () => {
+    const matcher = createSequenceMatcher({ riscv: [..."riscv"], buzz: [..."buzz"] });
+    expect([..."xbuzz"].map((k) => matcher.push(k)).at(-1)).toBe("buzz");
+    expect([..."riscv"].map((k) => matcher.push(k)).at(-1)).toBe("riscv");
+  });
+});
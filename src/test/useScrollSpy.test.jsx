@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import { useScrollSpy } from "../hooks/useScrollSpy.js";
+
+// An IntersectionObserver the test drives by hand
+let observers = [];
+class FakeObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = new Set();
+    observers.push(this);
+  }
+  observe(el) {
+    this.targets.add(el);
+  }
+  unobserve(el) {
+    this.targets.delete(el);
+  }
+  disconnect() {
+    this.targets.clear();
+    observers = observers.filter((o) => o !== this);
+  }
+}
+
+const cross = (changes) =>
+  act(() =>
+    observers.forEach((o) =>
+      o.callback(Object.entries(changes).map(([id, isIntersecting]) => ({ target: document.getElementById(id), isIntersecting }))),
+    ),
+  );
+
+const ids = ["about", "projects", "contact"];
+let saved;
+
+beforeEach(() => {
+  saved = window.IntersectionObserver;
+  window.IntersectionObserver = FakeObserver;
+  ids.forEach((id) => (document.body.appendChild(document.createElement("section")).id = id));
+});
+
+afterEach(() => {
+  window.IntersectionObserver = saved;
+  observers = [];
+  document.body.replaceChildren();
+});
+
+describe("useScrollSpy", () => {
+  it("observes each section that exists, in a band above the middle", () => {
+    renderHook(() => useScrollSpy([...ids, "missing"]));
+    expect(observers).toHaveLength(1);
+    expect([...observers[0].targets].map((el) => el.id)).toEqual(ids);
+    expect(observers[0].options.rootMargin).toBe("-40% 0px -55% 0px");
+  });
+
+  it("tracks the section in the band, preferring the earliest one", () => {
+    const { result } = renderHook(() => useScrollSpy(ids));
+    expect(result.current).toBeNull();
+    cross({ projects: true });
+    expect(result.current).toBe("projects");
+    cross({ contact: true });
+    expect(result.current).toBe("projects");
+    cross({ projects: false });
+    expect(result.current).toBe("contact");
+    cross({ contact: false });
+    expect(result.current).toBeNull();
+  });
+
+  it("returns null and stops observing while disabled", () => {
+    const { result, rerender } = renderHook(({ enabled }) => useScrollSpy(ids, { enabled }), { initialProps: { enabled: true } });
+    cross({ about: true });
+    expect(result.current).toBe("about");
+    rerender({ enabled: false });
+    expect(result.current).toBeNull();
+    expect(observers).toHaveLength(0);
+  });
+
+  it("re-observes when the list of sections changes", () => {
+    const { rerender } = renderHook(({ list }) => useScrollSpy(list), { initialProps: { list: ids } });
+    const first = observers[0];
+    rerender({ list: [...ids] }); // same ids, new array: no churn
+    expect(observers).toEqual([first]);
+    rerender({ list: ["contact"] });
+    expect(observers).toHaveLength(1);
+    expect(observers[0]).not.toBe(first);
+    expect([...observers[0].targets].map((el) => el.id)).toEqual(["contact"]);
+  });
+});
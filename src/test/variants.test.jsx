@@ -0,0 +1,136 @@
+/**
+ * Audience variants (?for=<id>): what a variant selects, how the choice
+ * follows the visitor around the site, and that the page, Resume Mode and
+ * the PDF link all reflect it.
+ */
+import { describe, expect, it } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp } from "./renderApp.jsx";
+import content from "../content/portfolio.json";
+import { validatePortfolio } from "../content/schema.js";
+import { navigate, withSticky } from "../lib/router.js";
+import { applyVariant, resumeFile, variantFromSearch } from "../lib/variants.js";
+
+const variant = (id) => content.variants.find((v) => v.id === id);
+const embedded = variant("embedded");
+
+describe("applyVariant", () => {
+  it("selects and orders projects, skills and experience bullets, and swaps the tagline", () => {
+    const cut = applyVariant(content, embedded);
+    expect(cut.profile.tagline).toBe(embedded.tagline);
+    expect(cut.profile.name).toBe(content.profile.name);
+    expect(cut.projects.map((p) => p.slug)).toEqual(embedded.projects);
+    expect(cut.skills.map((s) => s.name)).toEqual(embedded.skills);
+    expect(cut.experience.map((e) => e.org)).toEqual(embedded.experience.map((e) => e.org));
+
+    const vip = content.experience.find((e) => e.org === "Georgia Tech VIP");
+    expect(cut.experience.find((e) => e.org === "Georgia Tech VIP").pts).toEqual([vip.pts[1]]);
+    const westlake = content.experience.find((e) => e.org === "Westlake Corporation");
+    expect(cut.experience.find((e) => e.org === "Westlake Corporation")).toBe(westlake); // no pts: all of them
+  });
+
+  it("leaves out nothing it isn't told to", () => {
+    expect(applyVariant(content, null)).toBe(content);
+    const taglineOnly = applyVariant(content, { id: "x", label: "X", tagline: "Hi" });
+    expect(taglineOnly.projects).toBe(content.projects);
+    expect(taglineOnly.skills).toBe(content.skills);
+  });
+
+  it("reads the variant from ?for= and names its PDF", () => {
+    expect(variantFromSearch("?for=ml", content.variants)).toBe(variant("ml"));
+    expect(variantFromSearch("?for=nope", content.variants)).toBeNull();
+    expect(variantFromSearch("", content.variants)).toBeNull();
+    expect(resumeFile(variant("ml"))).toBe("resume-ml.pdf");
+    expect(resumeFile(null)).toBe("resume.pdf");
+  });
+
+  it("is validated against the portfolio it cuts from", () => {
+    const withVariant = (v) => validatePortfolio({ ...content, variants: [{ id: "x", label: "X", ...v }] });
+    expect(withVariant({ projects: ["secure-risc-v-emulation"] })).toEqual([]);
+    expect(withVariant({ projects: ["nope"] })).toEqual(['portfolio.variants[0].projects[0]: no project with slug "nope"']);
+    expect(withVariant({ skills: ["COBOL"] })).toEqual(['portfolio.variants[0].skills[0]: "COBOL" is not listed in portfolio.skills']);
+    expect(withVariant({ experience: [{ org: "Nowhere" }] })).toEqual(['portfolio.variants[0].experience[0].org: no experience entry at "Nowhere"']);
+    expect(withVariant({ experience: [{ org: "Westlake Corporation", pts: [3] }] })).toEqual([
+      'portfolio.variants[0].experience[0].pts[0]: "Westlake Corporation" has only 1 point(s)',
+    ]);
+    expect(withVariant({ experience: [{ org: "Westlake Corporation", pts: [-1] }] })[0]).toMatch(/expected a list index/);
+  });
+});
+
+describe("sticky ?for=", () => {
+  it("is carried over to links that don't set it", () => {
+    window.history.replaceState(null, "", "/sarthak-portfolio/?for=ml#about");
+    expect(withSticky("/projects/x")).toBe("/projects/x?for=ml");
+    expect(withSticky("/?tag=NLP#projects")).toBe("/?tag=NLP&for=ml#projects");
+    expect(withSticky("/?for=embedded")).toBe("/?for=embedded");
+    window.history.replaceState(null, "", "/sarthak-portfolio/");
+    expect(withSticky("/projects/x")).toBe("/projects/x");
+  });
+
+  it("can be dropped explicitly", () => {
+    window.history.replaceState(null, "", "/sarthak-portfolio/?for=ml");
+    navigate("/#about");
+    expect(window.location.search).toBe("?for=ml");
+    navigate("/", { sticky: false });
+    expect(window.location.search).toBe("");
+  });
+});
+
+describe("a variant on the page", () => {
+  const projectTitles = () =>
+    within(document.getElementById("projects"))
+      .getAllByRole("heading", { level: 3 })
+      .map((h) => h.textContent);
+
+  it("shows the variant's tagline, projects and skills, with a way back to everything", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: "/?for=embedded" });
+    expect(screen.getAllByText(embedded.tagline).length).toBeGreaterThan(0);
+    expect(screen.getByText("Tailored for Embedded & Security roles")).toBeTruthy();
+    expect(projectTitles()).toEqual(embedded.projects.map((slug) => content.projects.find((p) => p.slug === slug).title));
+    expect(document.getElementById("skill-tensorflow")).toBeNull();
+
+    await user.click(screen.getByRole("link", { name: "Show full portfolio" }));
+    expect(window.location.search).toBe("");
+    expect(projectTitles()).toHaveLength(content.projects.length);
+    expect(screen.queryByText("Tailored for Embedded & Security roles")).toBeNull();
+  });
+
+  it("keeps the variant when following a project link", async () => {
+    const user = userEvent.setup();
+    renderApp({ path: "/?for=ml" });
+    const first = within(document.getElementById("projects")).getAllByRole("link", { name: content.projects[1].title })[0];
+    expect(first.getAttribute("href")).toBe(`/sarthak-portfolio/projects/${content.projects[1].slug}?for=ml`);
+    await user.click(first);
+    expect(window.location.search).toBe("?for=ml");
+    // prev/next stay inside the variant
+    const more = within(screen.getByRole("navigation", { name: "More projects" }));
+    expect(more.getByRole("link", { name: /FinTech Sentiment/ })).toBeTruthy();
+  });
+
+  it("carries into Resume Mode and its PDF download", () => {
+    renderApp({ path: "/?for=fullstack", theme: "resume" });
+    expect(screen.getByRole("link", { name: "Download PDF" }).getAttribute("href")).toBe("/sarthak-portfolio/resume-fullstack.pdf");
+    const print = document.querySelector(".print-resume");
+    expect(within(print).getByText(variant("fullstack").tagline)).toBeTruthy();
+    expect(within(print).queryByText(content.projects.find((p) => p.slug === "secure-risc-v-emulation").title)).toBeNull();
+  });
+
+  it("ignores an unknown variant", () => {
+    renderApp({ path: "/?for=astronaut" });
+    expect(screen.queryByText(/^Tailored for/)).toBeNull();
+    expect(projectTitles()).toHaveLength(content.projects.length);
+  });
+
+  it("switches variants from the command palette", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("tailor ml");
+    await user.keyboard("{Enter}");
+    expect(window.location.search).toBe("?for=ml");
+    expect(screen.getByText("Tailored for ML & NLP roles")).toBeTruthy();
+  });
+});
+
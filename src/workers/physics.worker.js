@@ -0,0 +1,44 @@
+/**
+ * physics.worker.js
+ * Runs the particle simulation and drawing off the main thread on an
+ * OffscreenCanvas handed over by <PhysicsBackground />.
+ *
+ * Messages in:
+ *   { type: "init", canvas, width, height, dpr, scene, reducedMotion, targetFps, maxCount }
+ *   { type: "resize", width, height, dpr }
+ *   { type: "pointers", list }             [{ x, y }] in CSS px
+ *   { type: "well", x, y }                 tap-and-hold gravity well (CSS px)
+ *   { type: "tilt", vec }                  { x, y } CSS px/s² or null
+ *   { type: "scene", scene }               (id or config from lib/scenes.js)
+ *   { type: "running", on }
+ */
+import { createPhysicsEngine } from "../lib/physicsEngine.js";
+
+let engine = null;
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case "init":
+      engine?.destroy();
+      engine = createPhysicsEngine(msg.canvas, msg);
+      break;
+    case "resize":
+      engine?.resize(msg.width, msg.height, msg.dpr);
+      break;
+    case "pointers":
+      engine?.pointers(msg.list);
+      break;
+    case "well":
+      engine?.addWell(msg.x, msg.y);
+      break;
+    case "tilt":
+      engine?.tilt(msg.vec);
+      break;
+    case "scene":
+      engine?.setScene(msg.scene);
+      break;
+    case "running":
+      engine?.setRunning(msg.on);
+      break;
+  }
+};
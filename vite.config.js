@@ -1,8 +1,16 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import contentSchema from './scripts/vite-plugin-content.js'
+import resumePdf from './scripts/vite-plugin-resume.js'
+import prerender from './scripts/vite-plugin-prerender.js'
+import posts from './scripts/vite-plugin-posts.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   base: '/sarthak-portfolio/',   // repo name
-  plugins: [react()],
-})
\ No newline at end of file
+  plugins: [contentSchema(), posts(), react(), resumePdf(), prerender({ origin: 'https://skenix64.github.io' })],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
+})